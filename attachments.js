@@ -0,0 +1,157 @@
+// JARVIS AI - Homework attachments
+// The 📎 button uploads PDF, text/Markdown and .docx worksheets; the backend
+// extracts their text. Attached files show as chips above the input and go
+// with every question until they are removed, so follow-up questions can
+// refer to the same sheet.
+class JarvisAttachments {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        // Overridden by the `attachments` block of /health
+        this.settings = { types: ['.pdf', '.txt', '.md', '.docx'], maxBytes: 16 * 1024 * 1024, maxPerMessage: 5 };
+        this.files = [];    // { name, id, info } - id is null while uploading
+
+        this.button = document.getElementById('attachButton');
+        this.input = document.getElementById('attachmentInput');
+        this.chips = document.getElementById('attachmentChips');
+
+        this.button.addEventListener('click', () => this.input.click());
+        this.input.addEventListener('change', () => {
+            [...this.input.files].forEach(file => this.upload(file));
+            this.input.value = '';
+        });
+    }
+
+    // `attachments` comes from the `attachments` block of /health
+    configure(attachments) {
+        if (!attachments) return;
+        this.settings = {
+            types: attachments.types || this.settings.types,
+            maxBytes: attachments.max_bytes || this.settings.maxBytes,
+            maxPerMessage: attachments.max_per_message || this.settings.maxPerMessage
+        };
+        this.input.accept = this.settings.types.join(',');
+        this.button.title = 'Attach homework (' + this.settings.types.join(', ') + ')';
+    }
+
+    get uploading() {
+        return this.files.some(file => !file.id);
+    }
+
+    // Attachments ready to send: [{ id, name }]
+    list() {
+        return this.files.filter(file => file.id).map(file => ({ id: file.id, name: file.name }));
+    }
+
+    async upload(file) {
+        const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+        if (!this.settings.types.includes(extension)) {
+            this.showError("⚠️ " + file.name + " can't be attached - use " + this.settings.types.join(', ') + " files.");
+            return;
+        }
+        if (file.size > this.settings.maxBytes) {
+            this.showError("⚠️ " + file.name + " is too large - attachments must be under " +
+                Math.round(this.settings.maxBytes / (1024 * 1024)) + "MB.");
+            return;
+        }
+        if (this.files.length >= this.settings.maxPerMessage) {
+            this.showError("⚠️ You can attach up to " + this.settings.maxPerMessage + " files - remove one first.");
+            return;
+        }
+
+        const entry = { name: file.name, id: null, info: null };
+        this.files.push(entry);
+        this.render();
+        this.jarvis.updateSystemStatus("Reading " + file.name + "...", "Extracting text");
+
+        try {
+            const response = await this.jarvis.apiFetch('/api/attachments', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': file.type || 'application/octet-stream',
+                    'X-File-Name': encodeURIComponent(file.name)
+                },
+                body: file
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw this.jarvis.backendError(data.message || data.error || 'Upload failed', response);
+            }
+            entry.id = data.id;
+            entry.info = data;
+            console.log("📎 Attached " + data.name + " (" + data.chunks + " parts)");
+            this.jarvis.updateSystemStatus("File attached", data.name);
+        } catch (error) {
+            console.error("❌ Attachment failed:", error);
+            this.files = this.files.filter(item => item !== entry);
+            this.showError("⚠️ Could not attach " + file.name + ": " + error.message + this.jarvis.requestIdNote(error));
+        }
+        this.render();
+    }
+
+    async remove(entry) {
+        this.files = this.files.filter(item => item !== entry);
+        this.render();
+        if (!entry.id) return;
+        try {
+            await this.jarvis.apiFetch('/api/attachments/' + encodeURIComponent(entry.id), { method: 'DELETE' });
+        } catch (error) {
+            console.error("❌ Could not delete attachment:", error);
+        }
+    }
+
+    // Forgets the chips without deleting the files, which earlier messages
+    // in the conversation still name
+    clear() {
+        this.files = [];
+        this.render();
+    }
+
+    render() {
+        this.chips.replaceChildren(...this.files.map(entry => {
+            const chip = document.createElement('span');
+            chip.className = 'attachment-chip' + (entry.id ? '' : ' uploading');
+            chip.title = entry.name;
+
+            const label = document.createElement('span');
+            label.textContent = (entry.id ? '📄 ' : '⏳ ') + entry.name;
+            chip.appendChild(label);
+
+            if (entry.info) {
+                const details = [];
+                if (entry.info.pages) details.push(entry.info.pages + (entry.info.pages === 1 ? ' page' : ' pages'));
+                if (entry.info.questions) details.push(entry.info.questions + (entry.info.questions === 1 ? ' question' : ' questions'));
+                if (details.length > 0) {
+                    const meta = document.createElement('span');
+                    meta.className = 'attachment-meta';
+                    meta.textContent = details.join(' · ');
+                    chip.appendChild(meta);
+                }
+            }
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment-remove';
+            remove.textContent = '✕';
+            remove.title = 'Remove ' + entry.name;
+            remove.setAttribute('aria-label', 'Remove ' + entry.name);
+            remove.addEventListener('click', () => this.remove(entry));
+            chip.appendChild(remove);
+            return chip;
+        }));
+        this.chips.style.display = this.files.length > 0 ? 'flex' : 'none';
+    }
+
+    // Names the files a question was asked about under the student's message
+    showOnMessage(messageContent, attachments) {
+        if (!messageContent || !attachments || attachments.length === 0) return;
+        const note = document.createElement('div');
+        note.className = 'message-attachments';
+        note.textContent = '📎 ' + attachments.map(attachment => attachment.name).join(', ');
+        messageContent.appendChild(note);
+    }
+
+    showError(message) {
+        this.jarvis.addMessageToChat(message, 'ai');
+        this.jarvis.updateSystemStatus("Attachment failed", "See the message in the chat");
+    }
+}
@@ -0,0 +1,139 @@
+// JARVIS AI - Sign-in view
+// Keeps the session token issued by /api/auth, asks the student to sign in,
+// register or continue as a guest, and reopens itself when a token expires.
+class JarvisAuth {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        this.token = localStorage.getItem('jarvis-auth-token');
+        this.user = null;
+        this.options = { registration: true, guests: false };
+        this.waiting = [];
+
+        this.overlay = document.getElementById('authOverlay');
+        this.form = document.getElementById('authForm');
+        this.errorElement = document.getElementById('authError');
+        this.guestButton = document.getElementById('authGuest');
+        this.registerButton = document.getElementById('authRegister');
+        this.accountButton = document.getElementById('accountButton');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.signIn('login');
+        });
+        this.registerButton.addEventListener('click', () => this.signIn('register'));
+        this.guestButton.addEventListener('click', () => this.continueAsGuest());
+        this.accountButton.addEventListener('click', () => this.signOut());
+    }
+
+    // `options` comes from the `auth` block of /health
+    configure(options) {
+        this.options = { ...this.options, ...(options || {}) };
+        this.registerButton.hidden = !this.options.registration;
+        this.guestButton.hidden = !this.options.guests;
+    }
+
+    // Resolves with the signed-in user, showing the sign-in view if needed
+    async ensureSession() {
+        if (this.token) {
+            try {
+                const response = await fetch(this.jarvis.backendURL + '/api/auth/me', {
+                    headers: { 'Authorization': 'Bearer ' + this.token }
+                });
+                if (response.ok) {
+                    const data = await response.json();
+                    this.setUser(data.user);
+                    return this.user;
+                }
+            } catch (error) {
+                console.error("❌ Could not check session:", error);
+            }
+            this.clearSession();
+        }
+        return this.prompt();
+    }
+
+    prompt() {
+        this.overlay.hidden = false;
+        this.form.username.focus();
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    // Called by JarvisAISystem.apiFetch when the backend rejects the token
+    handleUnauthorized() {
+        if (!this.overlay.hidden) return;
+        this.clearSession();
+        this.showError('Your session has expired. Please sign in again.');
+        this.prompt();
+    }
+
+    async signIn(mode) {
+        const username = this.form.username.value.trim();
+        const password = this.form.password.value;
+        if (!username || !password) {
+            this.showError('Enter a username and password');
+            return;
+        }
+        await this.requestSession('/api/auth/' + mode, { username: username, password: password });
+    }
+
+    continueAsGuest() {
+        return this.requestSession('/api/auth/guest', {});
+    }
+
+    async requestSession(path, body) {
+        this.showError('');
+        try {
+            const response = await fetch(this.jarvis.backendURL + path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'HTTP ' + response.status);
+            }
+
+            this.token = data.token;
+            localStorage.setItem('jarvis-auth-token', data.token);
+            this.setUser(data.user);
+            this.form.reset();
+            this.overlay.hidden = true;
+            console.log("🔐 Signed in as " + data.user.username);
+            this.waiting.splice(0).forEach(resolve => resolve(this.user));
+        } catch (error) {
+            console.error("❌ Sign-in failed:", error);
+            this.showError(error.message);
+        }
+    }
+
+    async signOut() {
+        if (this.token) {
+            await fetch(this.jarvis.backendURL + '/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + this.token }
+            }).catch(() => {});
+        }
+        this.clearSession();
+        this.jarvis.offline.clear();
+        localStorage.removeItem('jarvis-conversation-id');
+        localStorage.removeItem('jarvis-plan-id');
+        location.reload();
+    }
+
+    setUser(user) {
+        this.user = user;
+        this.accountButton.hidden = false;
+        this.accountButton.textContent = (user.role === 'guest' ? '👤 Guest' : '👤 ' + user.username) + ' · Sign out';
+    }
+
+    clearSession() {
+        this.token = null;
+        this.user = null;
+        localStorage.removeItem('jarvis-auth-token');
+        this.accountButton.hidden = true;
+    }
+
+    showError(message) {
+        this.errorElement.textContent = message;
+    }
+}
@@ -0,0 +1,99 @@
+// Anthropic Messages API (POST /v1/messages)
+// The system prompt is a top-level field and turns must alternate, starting
+// with the user.
+const { ProviderError, splitSystemPrompt } = require('./common');
+
+const API_VERSION = '2023-06-01';
+
+const STOP_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_use',
+    refusal: 'content_filter'
+};
+
+function stopReason(reason) {
+    return reason ? STOP_REASONS[reason] || reason : null;
+}
+
+function mapUsage(usage) {
+    if (!usage) return null;
+    return {
+        prompt_tokens: usage.input_tokens || 0,
+        completion_tokens: usage.output_tokens || 0
+    };
+}
+
+module.exports = {
+    stream: 'sse',
+
+    buildRequest(provider, messages, { stream }) {
+        const { system, turns } = splitSystemPrompt(messages);
+        return {
+            url: provider.url,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'JARVIS-AI/2.0',
+                'x-api-key': provider.key,
+                'anthropic-version': provider.apiVersion || API_VERSION
+            },
+            body: {
+                model: provider.model,
+                max_tokens: provider.maxTokens,
+                temperature: Math.min(provider.temperature, 1), // Anthropic accepts 0-1
+                ...(system ? { system } : {}),
+                messages: turns,
+                stream
+            }
+        };
+    },
+
+    parseResponse(provider, data) {
+        if (data.type === 'error' || !Array.isArray(data.content)) {
+            throw new ProviderError(provider, (data.error && data.error.message) || 'Invalid response format', {
+                code: data.error && data.error.type
+            });
+        }
+        return {
+            text: data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            usage: mapUsage(data.usage),
+            stopReason: stopReason(data.stop_reason)
+        };
+    },
+
+    // Events: message_start, content_block_start/delta/stop, message_delta,
+    // message_stop, ping and error
+    parseStreamEvent(provider, event, state) {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch {
+            return '';
+        }
+
+        if (data.type === 'message_start') {
+            state.usage = mapUsage(data.message && data.message.usage);
+        } else if (data.type === 'content_block_delta') {
+            return data.delta && data.delta.type === 'text_delta' ? data.delta.text : '';
+        } else if (data.type === 'message_delta') {
+            if (data.delta && data.delta.stop_reason) state.stopReason = stopReason(data.delta.stop_reason);
+            if (data.usage) {
+                state.usage = {
+                    prompt_tokens: (state.usage && state.usage.prompt_tokens) || data.usage.input_tokens || 0,
+                    completion_tokens: data.usage.output_tokens || 0
+                };
+            }
+        } else if (data.type === 'message_stop') {
+            state.done = true;
+        } else if (data.type === 'error') {
+            throw new ProviderError(provider, `stream error: ${(data.error && data.error.message) || 'unknown'}`, {
+                code: data.error && data.error.type
+            });
+        }
+        return '';
+    }
+};
@@ -0,0 +1,134 @@
+// Shared pieces for the provider adapters: the error types, readers for
+// event-stream and newline-delimited JSON bodies, and message shaping for
+// APIs that take the system prompt separately.
+
+class ProviderError extends Error {
+    // `status` is the HTTP status (null for network or stream errors) and
+    // `code` the provider's own error type when it sends one
+    constructor(provider, message, { status = null, code = null } = {}) {
+        super(`${provider.name} API error: ${message}`);
+        this.name = 'ProviderError';
+        this.provider = provider.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// The caller gave up on the request (the student pressed Stop or closed the
+// page). Not the provider's fault, so it should not count against it.
+class RequestAbortedError extends Error {
+    constructor(message = 'Request aborted by the client') {
+        super(message);
+        this.name = 'RequestAbortedError';
+    }
+}
+
+// Pulls a message out of the error bodies the supported APIs send:
+//   OpenAI / Gemini   { "error": { "message", "type" | "status" } }
+//   Anthropic         { "type": "error", "error": { "type", "message" } }
+//   Ollama / HF       { "error": "text" }
+function describeErrorBody(data) {
+    if (!data || typeof data !== 'object') return { message: null, code: null };
+    const error = data.error;
+    if (typeof error === 'string') return { message: error, code: null };
+    if (error && typeof error === 'object') {
+        return { message: error.message || null, code: error.type || error.status || error.code || null };
+    }
+    return { message: data.message || data.detail || null, code: null };
+}
+
+async function readErrorResponse(provider, response) {
+    const body = await response.text().catch(() => '');
+    let data = null;
+    try {
+        data = JSON.parse(body);
+    } catch {
+        // plain text (or HTML) error page
+    }
+    const { message, code } = describeErrorBody(data);
+    return new ProviderError(provider, message || body.trim().substring(0, 200) || `HTTP ${response.status}`, {
+        status: response.status,
+        code
+    });
+}
+
+// Text chunks of a response body; works with native fetch and node-fetch
+async function* readText(body) {
+    const decoder = new TextDecoder();
+    for await (const chunk of body) {
+        yield decoder.decode(chunk, { stream: true });
+    }
+}
+
+async function* readLines(body) {
+    let buffer = '';
+    for await (const text of readText(body)) {
+        buffer += text;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        yield* lines;
+    }
+    if (buffer) yield buffer;
+}
+
+// Server-sent events as { event, data } with `data` as raw text
+async function* readEventStream(body) {
+    let event = null;
+    let data = [];
+    for await (const rawLine of readLines(body)) {
+        const line = rawLine.replace(/\r$/, '');
+        if (line === '') {
+            if (data.length > 0) yield { event, data: data.join('\n') };
+            event = null;
+            data = [];
+        } else if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).trimStart());
+        }
+    }
+    if (data.length > 0) yield { event, data: data.join('\n') };
+}
+
+// Newline-delimited JSON objects (Ollama streams)
+async function* readJSONLines(body) {
+    for await (const line of readLines(body)) {
+        if (line.trim()) yield JSON.parse(line);
+    }
+}
+
+// Splits out the system messages and merges consecutive turns from the same
+// role, for APIs that need strictly alternating user/assistant turns that
+// start with the user
+function splitSystemPrompt(messages) {
+    const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+
+    const turns = [];
+    messages
+        .filter(message => message.role !== 'system')
+        .forEach(message => {
+            const last = turns[turns.length - 1];
+            if (last && last.role === message.role) {
+                last.content += '\n\n' + message.content;
+            } else {
+                turns.push({ role: message.role, content: message.content });
+            }
+        });
+    while (turns.length > 0 && turns[0].role !== 'user') {
+        turns.shift();
+    }
+    return { system, turns };
+}
+
+module.exports = {
+    ProviderError,
+    describeErrorBody,
+    readErrorResponse,
+    readEventStream,
+    readJSONLines,
+    RequestAbortedError,
+    splitSystemPrompt
+};
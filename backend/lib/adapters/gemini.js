@@ -0,0 +1,96 @@
+// Google Gemini generateContent / streamGenerateContent
+// "url" is the API base (e.g. https://generativelanguage.googleapis.com/v1beta);
+// the model and method are added per request. Gemini calls the assistant
+// role "model" and takes the system prompt as systemInstruction.
+const { ProviderError, splitSystemPrompt } = require('./common');
+
+const STOP_REASONS = {
+    STOP: 'stop',
+    MAX_TOKENS: 'length',
+    SAFETY: 'content_filter',
+    RECITATION: 'content_filter',
+    BLOCKLIST: 'content_filter',
+    PROHIBITED_CONTENT: 'content_filter',
+    SPII: 'content_filter'
+};
+
+function stopReason(reason) {
+    return reason ? STOP_REASONS[reason] || reason.toLowerCase() : null;
+}
+
+function mapUsage(metadata) {
+    if (!metadata) return null;
+    return {
+        prompt_tokens: metadata.promptTokenCount || 0,
+        completion_tokens: metadata.candidatesTokenCount || 0
+    };
+}
+
+// Text, usage and finish reason from one (possibly partial) response
+function readCandidate(provider, data) {
+    if (data.error) {
+        throw new ProviderError(provider, data.error.message || 'unknown error', { code: data.error.status });
+    }
+    if (data.promptFeedback && data.promptFeedback.blockReason) {
+        throw new ProviderError(provider, `prompt blocked (${data.promptFeedback.blockReason})`, {
+            code: data.promptFeedback.blockReason
+        });
+    }
+    const candidate = data.candidates && data.candidates[0];
+    const parts = (candidate && candidate.content && candidate.content.parts) || [];
+    return {
+        text: parts.map(part => part.text || '').join(''),
+        usage: mapUsage(data.usageMetadata),
+        stopReason: stopReason(candidate && candidate.finishReason)
+    };
+}
+
+module.exports = {
+    stream: 'sse',
+
+    buildRequest(provider, messages, { stream }) {
+        const { system, turns } = splitSystemPrompt(messages);
+        const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+        return {
+            url: `${provider.url.replace(/\/+$/, '')}/models/${encodeURIComponent(provider.model)}:${method}`,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'JARVIS-AI/2.0',
+                'x-goog-api-key': provider.key
+            },
+            body: {
+                ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+                contents: turns.map(turn => ({
+                    role: turn.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: turn.content }]
+                })),
+                generationConfig: {
+                    maxOutputTokens: provider.maxTokens,
+                    temperature: provider.temperature
+                }
+            }
+        };
+    },
+
+    parseResponse(provider, data) {
+        const result = readCandidate(provider, data);
+        if (!data.candidates || data.candidates.length === 0) {
+            throw new ProviderError(provider, 'Invalid response format');
+        }
+        return result;
+    },
+
+    // Each event carries a partial GenerateContentResponse
+    parseStreamEvent(provider, event, state) {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch {
+            return '';
+        }
+        const { text, usage, stopReason: reason } = readCandidate(provider, data);
+        if (usage) state.usage = usage;
+        if (reason) state.stopReason = reason;
+        return text;
+    }
+};
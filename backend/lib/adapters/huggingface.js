@@ -0,0 +1,16 @@
+// HuggingFace Inference chat completions for chat-template models
+// "url" is the model endpoint (…/models/<org>/<model>); the server applies
+// the model's own chat template, so system prompt and history are kept.
+const openai = require('./openai');
+
+module.exports = {
+    ...openai,
+
+    buildRequest(provider, messages, options) {
+        const request = openai.buildRequest(provider, messages, options);
+        request.url = `${provider.url.replace(/\/+$/, '')}/v1/chat/completions`;
+        request.body.model = provider.model || 'tgi';
+        delete request.body.stream_options;
+        return request;
+    }
+};
@@ -0,0 +1,113 @@
+// JARVIS Provider Adapters
+// Maps the shared chat format ({ role, content } messages with an optional
+// system prompt) onto each provider API and back to { text, usage,
+// stopReason }. usage is { prompt_tokens, completion_tokens } or null when
+// the API does not report it; stopReason is normalised to "stop", "length",
+// "content_filter" or "tool_use" where the API's reason has an equivalent.
+const { ProviderError, RequestAbortedError, readErrorResponse, readEventStream, readJSONLines } = require('./common');
+
+const ADAPTERS = {
+    'openai-compatible': require('./openai'),
+    llamacpp: require('./openai'),
+    anthropic: require('./anthropic'),
+    gemini: require('./gemini'),
+    ollama: require('./ollama'),
+    huggingface: require('./huggingface')
+};
+
+const ADAPTER_TYPES = Object.keys(ADAPTERS);
+
+// Used for providers without their own connectTimeoutMs / timeoutMs
+const DEFAULT_CONNECT_TIMEOUT_MS = parseInt(process.env.PROVIDER_CONNECT_TIMEOUT_MS, 10) || 10000;
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS, 10) || 60000;
+
+// Streams when `onToken` is given, handing it each text delta.
+// The call is aborted when `signal` fires (RequestAbortedError), when the
+// provider sends no response headers within `connectTimeoutMs`, or when the
+// whole call - including the stream - takes longer than `timeoutMs`
+// (ProviderError with code "timeout").
+async function callAdapter(provider, messages, { onToken, signal } = {}) {
+    const adapter = ADAPTERS[provider.type];
+    if (!adapter) {
+        throw new Error(`Unsupported provider type: ${provider.type}`);
+    }
+    if (signal && signal.aborted) {
+        throw new RequestAbortedError();
+    }
+
+    const connectTimeoutMs = provider.connectTimeoutMs || DEFAULT_CONNECT_TIMEOUT_MS;
+    const timeoutMs = provider.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timeout = (message) => () => controller.abort(new ProviderError(provider, message, { code: 'timeout' }));
+    const connectTimer = setTimeout(timeout(`no response within ${connectTimeoutMs}ms`), connectTimeoutMs);
+    const totalTimer = setTimeout(timeout(`timed out after ${timeoutMs}ms`), timeoutMs);
+    const onAbort = () => controller.abort(new RequestAbortedError());
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        return await sendRequest(adapter, provider, messages, {
+            onToken,
+            signal: controller.signal,
+            onConnect: () => clearTimeout(connectTimer)
+        });
+    } catch (error) {
+        // Reading an aborted body throws a generic AbortError; report why
+        if (controller.signal.aborted) throw controller.signal.reason;
+        throw error;
+    } finally {
+        clearTimeout(connectTimer);
+        clearTimeout(totalTimer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
+
+async function sendRequest(adapter, provider, messages, { onToken, signal, onConnect }) {
+    const stream = Boolean(onToken);
+    const request = adapter.buildRequest(provider, messages, { stream });
+    const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal
+    });
+    onConnect();
+
+    if (!response.ok) {
+        throw await readErrorResponse(provider, response);
+    }
+
+    if (!stream) {
+        let data;
+        try {
+            data = await response.json();
+        } catch {
+            throw new ProviderError(provider, 'Response was not valid JSON', { status: response.status });
+        }
+        return adapter.parseResponse(provider, data);
+    }
+
+    const state = { text: '', usage: null, stopReason: null, done: false };
+    const events = adapter.stream === 'ndjson' ? readJSONLines(response.body) : readEventStream(response.body);
+    for await (const event of events) {
+        const delta = adapter.parseStreamEvent(provider, event, state);
+        if (delta) {
+            state.text += delta;
+            onToken(delta);
+        }
+        if (state.done) break;
+    }
+
+    if (!state.text) {
+        throw new ProviderError(provider, 'Empty stream');
+    }
+    return { text: state.text, usage: state.usage, stopReason: state.stopReason };
+}
+
+module.exports = {
+    ADAPTER_TYPES,
+    DEFAULT_CONNECT_TIMEOUT_MS,
+    DEFAULT_TIMEOUT_MS,
+    ProviderError,
+    RequestAbortedError,
+    callAdapter
+};
@@ -0,0 +1,66 @@
+// Ollama native chat API (POST /api/chat), for models served locally.
+// Streams newline-delimited JSON rather than server-sent events.
+const { ProviderError } = require('./common');
+
+function mapUsage(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+    return {
+        prompt_tokens: data.prompt_eval_count || 0,
+        completion_tokens: data.eval_count || 0
+    };
+}
+
+module.exports = {
+    stream: 'ndjson',
+
+    buildRequest(provider, messages, { stream }) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'JARVIS-AI/2.0'
+        };
+        // Only needed when Ollama sits behind an authenticating proxy
+        if (provider.key) {
+            headers['Authorization'] = `Bearer ${provider.key}`;
+        }
+        return {
+            url: provider.url,
+            headers,
+            body: {
+                model: provider.model,
+                messages: messages.map(({ role, content }) => ({ role, content })),
+                stream,
+                options: {
+                    temperature: provider.temperature,
+                    num_predict: provider.maxTokens,
+                    num_ctx: provider.contextWindow
+                }
+            }
+        };
+    },
+
+    parseResponse(provider, data) {
+        if (data.error) {
+            throw new ProviderError(provider, data.error);
+        }
+        if (!data.message) {
+            throw new ProviderError(provider, 'Invalid response format');
+        }
+        return {
+            text: data.message.content || '',
+            usage: mapUsage(data),
+            stopReason: data.done_reason || 'stop'
+        };
+    },
+
+    parseStreamEvent(provider, data, state) {
+        if (data.error) {
+            throw new ProviderError(provider, `stream error: ${data.error}`);
+        }
+        if (data.done) {
+            state.done = true;
+            state.usage = mapUsage(data);
+            state.stopReason = data.done_reason || 'stop';
+        }
+        return (data.message && data.message.content) || '';
+    }
+};
@@ -0,0 +1,84 @@
+// OpenAI-compatible chat completions (Groq, DeepSeek, Together, and
+// llama.cpp's llama-server, which speaks the same format natively)
+const { ProviderError } = require('./common');
+
+const STOP_REASONS = {
+    stop: 'stop',
+    length: 'length',
+    content_filter: 'content_filter',
+    tool_calls: 'tool_use',
+    function_call: 'tool_use'
+};
+
+function buildHeaders(provider) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'JARVIS-AI/2.0'
+    };
+    if (provider.key) {
+        headers['Authorization'] = `Bearer ${provider.key}`;
+    }
+
+    // Special headers for specific providers
+    if (provider.name.includes('OpenRouter')) {
+        headers['HTTP-Referer'] = process.env.FRONTEND_URL || 'https://yourusername.github.io';
+        headers['X-Title'] = 'JARVIS AI Educational Assistant';
+    }
+    return headers;
+}
+
+function stopReason(reason) {
+    return reason ? STOP_REASONS[reason] || reason : null;
+}
+
+module.exports = {
+    stream: 'sse',
+
+    buildRequest(provider, messages, { stream }) {
+        return {
+            url: provider.url,
+            headers: buildHeaders(provider),
+            body: {
+                model: provider.model,
+                messages: messages.map(({ role, content }) => ({ role, content })),
+                max_tokens: provider.maxTokens,
+                temperature: provider.temperature,
+                stream,
+                // Ask for the final usage chunk so streamed calls can be costed
+                ...(stream ? { stream_options: { include_usage: true } } : {})
+            }
+        };
+    },
+
+    parseResponse(provider, data) {
+        const choice = data.choices && data.choices[0];
+        if (!choice || !choice.message) {
+            throw new ProviderError(provider, 'Invalid response format');
+        }
+        return {
+            text: choice.message.content || '',
+            usage: data.usage || null,
+            stopReason: stopReason(choice.finish_reason)
+        };
+    },
+
+    parseStreamEvent(provider, event, state) {
+        if (event.data === '[DONE]') {
+            state.done = true;
+            return '';
+        }
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch {
+            return '';
+        }
+        if (data.error) {
+            throw new ProviderError(provider, `stream error: ${data.error.message || data.error}`);
+        }
+        if (data.usage) state.usage = data.usage;
+        const choice = data.choices && data.choices[0];
+        if (choice && choice.finish_reason) state.stopReason = stopReason(choice.finish_reason);
+        return (choice && choice.delta && choice.delta.content) || '';
+    }
+};
@@ -0,0 +1,156 @@
+// JARVIS Answer Cache
+// Reuses answers to questions the class has already asked. Entries are keyed
+// on the normalised question, the class/subject/chapter and the last turns of
+// history, expire after a TTL, are evicted least-recently-used first and are
+// written to disk so they survive a restart.
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonFile');
+const { logger } = require('./logger');
+
+// How many of the latest history messages make an answer context-specific
+const HISTORY_MESSAGES = 2;
+
+// Only case and spacing are ignored: "2+3" and "2*3", or two different
+// Hindi questions, must never share an answer
+const normalizeQuestion = (text) => String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+
+function cacheKey(message, curriculum, history) {
+    const recent = (history || []).slice(-HISTORY_MESSAGES).map(m => `${m.role}:${normalizeQuestion(m.content)}`);
+    const context = curriculum || {};
+    return crypto.createHash('sha256').update(JSON.stringify([
+        normalizeQuestion(message),
+        context.class || null,
+        context.subject ? context.subject.toLowerCase() : null,
+        context.chapter ? normalizeQuestion(context.chapter) : null,
+        recent
+    ])).digest('hex');
+}
+
+class AnswerCache {
+    // Lookups only change hit counts and drop expired entries, so they are
+    // written saveDelayMs later in one go rather than on every request
+    constructor(filePath, { ttlMs = 7 * 24 * 60 * 60 * 1000, maxEntries = 1000, saveDelayMs = 60 * 1000 } = {}) {
+        this.filePath = filePath;
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.saveDelayMs = saveDelayMs;
+        this.saveTimer = null;
+        this.entries = new Map(); // insertion order = least recently used first
+        this.stats = { hits: 0, misses: 0 };
+
+        const now = Date.now();
+        (readJSON(filePath, {}).entries || [])
+            .filter(entry => Date.parse(entry.expires_at) > now)
+            .forEach(entry => this.entries.set(entry.key, entry));
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        writeJSON(this.filePath, { entries: [...this.entries.values()] });
+    }
+
+    saveSoon() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            try {
+                this.save();
+            } catch (error) {
+                logger.error('Could not save answer cache', { err: error });
+            }
+        }, this.saveDelayMs);
+        this.saveTimer.unref();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || Date.parse(entry.expires_at) <= Date.now()) {
+            if (entry) {
+                this.entries.delete(key);
+                this.saveSoon();
+            }
+            this.stats.misses += 1;
+            return null;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        entry.hits += 1;
+        entry.last_hit_at = new Date().toISOString();
+        this.entries.set(key, entry);
+        this.stats.hits += 1;
+        this.saveSoon();
+        return entry;
+    }
+
+    set(key, { message, curriculum, response, provider, model, citations }) {
+        const now = new Date();
+        this.entries.delete(key);
+        this.entries.set(key, {
+            key,
+            message: message.substring(0, 500),
+            curriculum: curriculum || null,
+            response,
+            provider,
+            model: model || null,
+            citations: citations || [],
+            created_at: now.toISOString(),
+            expires_at: new Date(now.getTime() + this.ttlMs).toISOString(),
+            hits: 0,
+            last_hit_at: null
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.save();
+    }
+
+    // Removes entries matching every given filter (all entries when none are
+    // given): `class`, `subject`, `provider`, or `q` - text in the question.
+    // Returns how many were removed.
+    purge(filters = {}) {
+        const q = filters.q ? normalizeQuestion(filters.q) : null;
+        let removed = 0;
+        [...this.entries.values()].forEach(entry => {
+            const curriculum = entry.curriculum || {};
+            const matches = (!filters.class || String(curriculum.class) === String(filters.class)) &&
+                (!filters.subject || String(curriculum.subject || '').toLowerCase() === filters.subject.toLowerCase()) &&
+                (!filters.provider || entry.provider === filters.provider) &&
+                (!q || normalizeQuestion(entry.message).includes(q));
+            if (matches) {
+                this.entries.delete(entry.key);
+                removed += 1;
+            }
+        });
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    describe() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            entries: this.entries.size,
+            max_entries: this.maxEntries,
+            ttl_hours: this.ttlMs / (60 * 60 * 1000),
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hit_rate: lookups ? Number((this.stats.hits / lookups).toFixed(3)) : null
+        };
+    }
+
+    // Most used entries first, without the full answers
+    list(limit = 50) {
+        return [...this.entries.values()]
+            .sort((a, b) => b.hits - a.hits)
+            .slice(0, limit)
+            .map(({ key, message, curriculum, provider, created_at: createdAt, expires_at: expiresAt, hits }) => ({
+                key, message, curriculum, provider, created_at: createdAt, expires_at: expiresAt, hits
+            }));
+    }
+}
+
+module.exports = {
+    AnswerCache,
+    cacheKey
+};
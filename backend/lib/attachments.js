@@ -0,0 +1,259 @@
+// JARVIS Attachments
+// Homework sheets a student attaches to their questions: PDFs, plain text or
+// Markdown, and Word (.docx) files. Text is extracted locally and only the
+// text is kept, split into chunks - one per numbered question where the sheet
+// has them - so "question 4 on the attached sheet" can be answered from the
+// part of the sheet it refers to.
+const crypto = require('crypto');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const { readJSON, writeJSON } = require('./jsonFile');
+const { tokenize } = require('./knowledge');
+
+const ATTACHMENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const MAX_TEXT_CHARS = 200000;
+const CHUNK_WORDS = 150;
+
+// "4.", "4)", "Q4", "Q. 4", "Question 4:" at the start of a line
+const QUESTION_START = /^\s*(?:(?:q|que|ques|question)\s*\.?\s*(\d{1,3})\b|(\d{1,3})\s*[.)](?=\s))/i;
+// "question 4", "Q4", "problem 4", "exercise 4", "no. 4" in a student's message
+const QUESTION_REFERENCE = /\b(?:q|que|ques|question|problem|exercise|no)\s*\.?\s*#?\s*(\d{1,3})\b/gi;
+
+class AttachmentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AttachmentError';
+        this.status = status;
+    }
+}
+
+// pdf-parse's page renderer, with a page marker in front of every page
+function renderPdfPage(page) {
+    return page.getTextContent({ normalizeWhitespace: true }).then(content => {
+        let lastY = null;
+        let text = '';
+        content.items.forEach(item => {
+            text += lastY === null || lastY === item.transform[5] ? item.str : '\n' + item.str;
+            lastY = item.transform[5];
+        });
+        return `[page ${page.pageNumber}]\n${text}`;
+    });
+}
+
+// Returns { type, text, pages } for an uploaded file. The extension decides
+// how it is read; PDFs and .docx files must also look like one.
+async function extractText(name, buffer) {
+    const extension = path.extname(name || '').toLowerCase();
+    const type = ATTACHMENT_TYPES[extension];
+    if (!type) {
+        throw new AttachmentError(`Unsupported file type - attach ${Object.keys(ATTACHMENT_TYPES).join(', ')} files`, 415);
+    }
+
+    let text;
+    let pages = null;
+    try {
+        if (extension === '.pdf') {
+            if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') throw new Error('not a PDF');
+            // The bundled pdf.js misreads cross-reference tables from a Node
+            // Buffer, so it gets a plain Uint8Array copy
+            const pdf = await pdfParse(new Uint8Array(buffer), { pagerender: renderPdfPage });
+            text = pdf.text;
+            pages = pdf.numpages;
+        } else if (extension === '.docx') {
+            if (buffer.subarray(0, 2).toString('latin1') !== 'PK') throw new Error('not a .docx file');
+            text = (await mammoth.extractRawText({ buffer })).value;
+        } else {
+            text = buffer.toString('utf8').replace(/^﻿/, '');
+        }
+    } catch (error) {
+        throw new AttachmentError(`Could not read ${name}: ${error.message}`, 422);
+    }
+
+    text = text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').trim();
+    if (!text) {
+        throw new AttachmentError(`${name} has no text to read - scanned sheets need to be typed or photographed as text`, 422);
+    }
+    return { type, text: text.substring(0, MAX_TEXT_CHARS), pages };
+}
+
+// Splits extracted text into chunks of up to CHUNK_WORDS words. A numbered
+// question always starts a new chunk; PDF page markers set the page.
+function splitChunks(text) {
+    const chunks = [];
+    let page = null;
+    let current = null;
+
+    const flush = () => {
+        if (current && current.words > 0) {
+            chunks.push({ n: chunks.length + 1, page: current.page, question: current.question, text: current.lines.join('\n').trim() });
+        }
+        current = null;
+    };
+
+    text.split('\n').forEach(line => {
+        const marker = line.match(/^\[page (\d+)\]$/);
+        if (marker) {
+            page = Number(marker[1]);
+            return;
+        }
+        const words = line.split(/\s+/).filter(Boolean).length;
+        if (words === 0) {
+            if (current) current.lines.push('');
+            return;
+        }
+
+        const question = line.match(QUESTION_START);
+        if (question || (current && current.words + words > CHUNK_WORDS)) flush();
+        if (!current) {
+            current = { page, question: question ? Number(question[1] || question[2]) : null, lines: [], words: 0 };
+        }
+        current.lines.push(line);
+        current.words += words;
+    });
+    flush();
+    return chunks;
+}
+
+// Question numbers the student's message refers to
+function questionReferences(message) {
+    return [...String(message || '').matchAll(QUESTION_REFERENCE)].map(match => Number(match[1]));
+}
+
+// Picks the chunks of `attachments` most relevant to `message`, within
+// `maxChars`. Chunks of questions the message names come first, then the best
+// keyword matches; with nothing to go on the start of each file is used.
+// Returned in reading order.
+function selectChunks(attachments, message, maxChars) {
+    const all = attachments.flatMap((attachment, fileIndex) =>
+        attachment.chunks.map(chunk => ({ ...chunk, name: attachment.name, fileIndex, terms: tokenize(chunk.text) })));
+    if (all.length === 0) return [];
+
+    const referenced = questionReferences(message);
+    const queryTerms = [...new Set(tokenize(message))];
+    const documentFrequency = {};
+    all.forEach(chunk => new Set(chunk.terms).forEach(term => {
+        documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    }));
+
+    const scored = all.map(chunk => {
+        let score = chunk.question !== null && referenced.includes(chunk.question) ? 100 : 0;
+        queryTerms.forEach(term => {
+            const frequency = chunk.terms.filter(t => t === term).length;
+            if (frequency) score += (1 + Math.log(frequency)) * Math.log(1 + all.length / documentFrequency[term]);
+        });
+        return { chunk, score };
+    });
+    const ranked = scored.some(entry => entry.score > 0)
+        ? scored.filter(entry => entry.score > 0).sort((a, b) => b.score - a.score)
+        : scored;
+
+    const chosen = [];
+    let used = 0;
+    ranked.forEach(({ chunk }) => {
+        if (used + chunk.text.length > maxChars && chosen.length > 0) return;
+        chosen.push(chunk);
+        used += Math.min(chunk.text.length, maxChars);
+    });
+    return chosen
+        .sort((a, b) => a.fileIndex - b.fileIndex || a.n - b.n)
+        .map(({ name, page, question, text }) => ({ name, page, question, text: text.substring(0, maxChars) }));
+}
+
+// System prompt block with the selected chunks of the student's files
+function buildAttachmentPrompt(chunks) {
+    if (chunks.length === 0) return '';
+    const excerpts = chunks.map(chunk => {
+        const where = [chunk.name, chunk.page ? `page ${chunk.page}` : null, chunk.question ? `question ${chunk.question}` : null];
+        return `[${where.filter(Boolean).join(', ')}]\n${chunk.text}`;
+    }).join('\n\n');
+    return '\n\nExcerpts from files the student attached:\n' + excerpts +
+        '\n\nWhen the student refers to an attached sheet, question or file, answer from these excerpts. ' +
+        'If the part they mean is not among them, say which part you can see.';
+}
+
+class AttachmentStore {
+    constructor(filePath, { maxPerUser = 50 } = {}) {
+        this.filePath = filePath;
+        this.maxPerUser = maxPerUser;
+        this.attachments = new Map(); // oldest first
+        (readJSON(filePath, {}).attachments || []).forEach(attachment => {
+            this.attachments.set(attachment.id, attachment);
+        });
+    }
+
+    save() {
+        writeJSON(this.filePath, { attachments: [...this.attachments.values()] });
+    }
+
+    async add({ userId, name, buffer }) {
+        const { type, text, pages } = await extractText(name, buffer);
+        const attachment = {
+            id: crypto.randomUUID(),
+            userId,
+            name: path.basename(name).substring(0, 200),
+            type,
+            size: buffer.length,
+            pages,
+            characters: text.length,
+            chunks: splitChunks(text),
+            created_at: new Date().toISOString()
+        };
+        this.attachments.set(attachment.id, attachment);
+        // Over the cap, the student's own oldest upload makes way
+        const own = [...this.attachments.values()].filter(stored => stored.userId === userId);
+        own.slice(0, Math.max(0, own.length - this.maxPerUser)).forEach(stored => this.attachments.delete(stored.id));
+        this.save();
+        return attachment;
+    }
+
+    get(id) {
+        return this.attachments.get(id) || null;
+    }
+
+    delete(id) {
+        const removed = this.attachments.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    deleteForUser(userId) {
+        const owned = [...this.attachments.values()].filter(attachment => attachment.userId === userId);
+        owned.forEach(attachment => this.attachments.delete(attachment.id));
+        if (owned.length > 0) this.save();
+        return owned.length;
+    }
+}
+
+// What the client is told about an attachment (the text stays on the server)
+function describeAttachment(attachment) {
+    const questions = attachment.chunks.filter(chunk => chunk.question !== null).length;
+    return {
+        id: attachment.id,
+        name: attachment.name,
+        type: attachment.type,
+        size: attachment.size,
+        pages: attachment.pages,
+        characters: attachment.characters,
+        chunks: attachment.chunks.length,
+        questions,
+        created_at: attachment.created_at
+    };
+}
+
+module.exports = {
+    ATTACHMENT_TYPES,
+    AttachmentError,
+    AttachmentStore,
+    extractText,
+    splitChunks,
+    selectChunks,
+    buildAttachmentPrompt,
+    describeAttachment
+};
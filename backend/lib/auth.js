@@ -0,0 +1,246 @@
+// JARVIS Accounts
+// Local accounts with scrypt-hashed passwords, guest sessions and long-lived
+// API tokens. Tokens are random bearer strings; only their SHA-256 digest is
+// stored, so a leaked users file cannot be replayed against the API.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { readJSON, writeJSON } = require('./jsonFile');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+const TOKEN_PREFIX = 'jv_';
+const LAST_USED_PRECISION_MS = 60 * 1000;
+// Checked against when the username is unknown, so a wrong username takes
+// as long to reject as a wrong password
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+    return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
+}
+
+function digest(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns an error string, or null if the credentials are acceptable
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim().toLowerCase())) {
+        return 'Username must be 3-32 letters, numbers, dots, dashes or underscores';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        created_at: user.created_at
+    };
+}
+
+function publicToken(record) {
+    return {
+        id: record.id,
+        type: record.type,
+        name: record.name,
+        created_at: record.created_at,
+        expires_at: record.expires_at,
+        last_used_at: record.last_used_at
+    };
+}
+
+class AuthStore {
+    // sessionTtlMs applies to login sessions and guestTtlMs to guest ones;
+    // API tokens do not expire unless a lifetime is given when they are issued
+    constructor(filePath, { sessionTtlMs = 30 * 24 * 60 * 60 * 1000, guestTtlMs = 24 * 60 * 60 * 1000 } = {}) {
+        this.filePath = filePath;
+        this.sessionTtlMs = sessionTtlMs;
+        this.guestTtlMs = guestTtlMs;
+        this.users = new Map();
+        this.tokens = new Map(); // digest -> token record
+        this.load();
+    }
+
+    load() {
+        const data = readJSON(this.filePath, {});
+        (data.users || []).forEach(user => this.users.set(user.id, user));
+        (data.tokens || []).forEach(record => this.tokens.set(record.digest, record));
+    }
+
+    // Ids of guests without a live session. Guests cannot sign back in, so
+    // once their sessions expire they are gone, along with what they made.
+    expiredGuests(now = Date.now()) {
+        const activeUsers = new Set([...this.tokens.values()]
+            .filter(record => !record.expires_at || Date.parse(record.expires_at) > now)
+            .map(record => record.user_id));
+        return [...this.users.values()]
+            .filter(user => user.role === 'guest' && !activeUsers.has(user.id))
+            .map(user => user.id);
+    }
+
+    // Drops expired tokens and expiredGuests(now). Returns the guests' ids.
+    pruneExpired(now = Date.now()) {
+        const guests = this.expiredGuests(now);
+        const expired = [...this.tokens.values()].filter(record => record.expires_at && Date.parse(record.expires_at) <= now);
+        expired.forEach(record => this.tokens.delete(record.digest));
+        guests.forEach(id => this.users.delete(id));
+
+        if (expired.length > 0 || guests.length > 0) this.save();
+        return guests;
+    }
+
+    save() {
+        writeJSON(this.filePath, {
+            users: [...this.users.values()],
+            tokens: [...this.tokens.values()]
+        });
+    }
+
+    findByUsername(username) {
+        const wanted = String(username || '').trim().toLowerCase();
+        return [...this.users.values()].find(user => user.username === wanted) || null;
+    }
+
+    async register(username, password) {
+        const problem = validateCredentials(username, password);
+        if (problem) throw new AuthError(problem);
+        if (this.findByUsername(username)) {
+            throw new AuthError('That username is already taken', 409);
+        }
+
+        const passwordHash = await hashPassword(password);
+        // Checked again: another registration may have taken the name while
+        // this one was hashing
+        if (this.findByUsername(username)) {
+            throw new AuthError('That username is already taken', 409);
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username: username.trim().toLowerCase(),
+            role: 'student',
+            password_hash: passwordHash,
+            created_at: new Date().toISOString()
+        };
+        this.users.set(user.id, user);
+        this.save();
+        return user;
+    }
+
+    createGuest() {
+        const user = {
+            id: crypto.randomUUID(),
+            username: `guest-${crypto.randomBytes(3).toString('hex')}`,
+            role: 'guest',
+            created_at: new Date().toISOString()
+        };
+        this.users.set(user.id, user);
+        this.save();
+        return user;
+    }
+
+    // Resolves to the user, or null when the username or password is wrong
+    async login(username, password) {
+        if (typeof password !== 'string') return null;
+        const user = this.findByUsername(username);
+        if (!user || !user.password_hash) {
+            await verifyPassword(password, DUMMY_HASH);
+            return null;
+        }
+        return await verifyPassword(password, user.password_hash) ? user : null;
+    }
+
+    // The plain token is returned once and never stored
+    issueToken(userId, { type = 'session', name = null, ttlMs } = {}) {
+        const user = this.users.get(userId);
+        const sessionTtlMs = user && user.role === 'guest' ? this.guestTtlMs : this.sessionTtlMs;
+        const lifetime = ttlMs !== undefined ? ttlMs : (type === 'session' ? sessionTtlMs : null);
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+        const record = {
+            id: crypto.randomUUID(),
+            digest: digest(token),
+            user_id: userId,
+            type,
+            name: name ? String(name).substring(0, 60) : null,
+            created_at: now.toISOString(),
+            expires_at: lifetime ? new Date(now.getTime() + lifetime).toISOString() : null,
+            last_used_at: null
+        };
+        this.tokens.set(record.digest, record);
+        this.save();
+        return { token, record };
+    }
+
+    // Returns { user, token } for a valid bearer token, or null
+    authenticate(token) {
+        if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+        const record = this.tokens.get(digest(token));
+        if (!record) return null;
+
+        const now = Date.now();
+        if (record.expires_at && Date.parse(record.expires_at) <= now) {
+            this.tokens.delete(record.digest);
+            this.save();
+            return null;
+        }
+        const user = this.users.get(record.user_id);
+        if (!user) return null;
+
+        // Only persist last-use times at minute precision to avoid a disk
+        // write on every request
+        if (!record.last_used_at || now - Date.parse(record.last_used_at) > LAST_USED_PRECISION_MS) {
+            record.last_used_at = new Date(now).toISOString();
+            this.save();
+        }
+        return { user, token: record };
+    }
+
+    listTokens(userId) {
+        return [...this.tokens.values()]
+            .filter(record => record.user_id === userId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(publicToken);
+    }
+
+    revokeToken(userId, tokenId) {
+        const record = [...this.tokens.values()].find(r => r.id === tokenId && r.user_id === userId);
+        if (!record) return false;
+        this.tokens.delete(record.digest);
+        this.save();
+        return true;
+    }
+}
+
+module.exports = {
+    AuthError,
+    AuthStore,
+    validateCredentials,
+    publicUser,
+    publicToken
+};
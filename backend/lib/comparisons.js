@@ -0,0 +1,94 @@
+// JARVIS Answer Comparisons
+// Compare mode asks several providers the same question at once. Each
+// comparison is kept with its answers until the student marks the best one;
+// those choices are a preference signal for how providers should be ranked.
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonFile');
+
+class ComparisonStore {
+    constructor(filePath, { maxEntries = 5000 } = {}) {
+        this.filePath = filePath;
+        this.maxEntries = maxEntries;
+        this.comparisons = new Map(); // oldest first
+        (readJSON(filePath, {}).comparisons || []).forEach(comparison => {
+            this.comparisons.set(comparison.id, comparison);
+        });
+    }
+
+    save() {
+        writeJSON(this.filePath, { comparisons: [...this.comparisons.values()] });
+    }
+
+    // `answers` are { provider, model, response, latency_ms, ok, ... } in the
+    // order they were shown
+    add({ userId, conversationId, message, curriculum, citations, attachments, cacheKey, answers }) {
+        const comparison = {
+            id: crypto.randomUUID(),
+            userId,
+            conversationId: conversationId || null,
+            message,
+            curriculum: curriculum || null,
+            citations: citations || [],
+            attachments: attachments || [],
+            cacheKey: cacheKey || null,
+            answers,
+            preferred: null,
+            preferred_at: null,
+            created_at: new Date().toISOString()
+        };
+        this.comparisons.set(comparison.id, comparison);
+        while (this.comparisons.size > this.maxEntries) {
+            this.comparisons.delete(this.comparisons.keys().next().value);
+        }
+        this.save();
+        return comparison;
+    }
+
+    get(id) {
+        return this.comparisons.get(id) || null;
+    }
+
+    // Marks `provider`'s answer as the best one. Returns the chosen answer.
+    prefer(id, provider) {
+        const comparison = this.get(id);
+        const answer = comparison && comparison.answers.find(a => a.ok && a.provider === provider);
+        if (!answer) return null;
+        comparison.preferred = provider;
+        comparison.preferred_at = new Date().toISOString();
+        this.save();
+        return answer;
+    }
+
+    // Per provider: how often it answered in a comparison the student judged,
+    // and how often its answer was picked
+    stats() {
+        const providers = {};
+        const judged = [...this.comparisons.values()].filter(c => c.preferred);
+        judged.forEach(comparison => {
+            comparison.answers.filter(a => a.ok).forEach(answer => {
+                const entry = providers[answer.provider] || (providers[answer.provider] = { judged: 0, preferred: 0, latency_ms_total: 0 });
+                entry.judged += 1;
+                entry.latency_ms_total += answer.latency_ms;
+                if (comparison.preferred === answer.provider) entry.preferred += 1;
+            });
+        });
+
+        return {
+            comparisons: this.comparisons.size,
+            judged: judged.length,
+            providers: Object.entries(providers)
+                .map(([name, entry]) => ({
+                    provider: name,
+                    judged: entry.judged,
+                    preferred: entry.preferred,
+                    win_rate: Number((entry.preferred / entry.judged).toFixed(3)),
+                    avg_latency_ms: Math.round(entry.latency_ms_total / entry.judged)
+                }))
+                .sort((a, b) => b.win_rate - a.win_rate)
+        };
+    }
+}
+
+module.exports = {
+    ComparisonStore
+};
@@ -0,0 +1,111 @@
+// JARVIS Context Assembly
+// Fits the system prompt, a running summary of older turns, as many recent
+// turns as possible and the new question into a provider's context window.
+// Token counts are estimated (~4 characters per token plus per-message
+// overhead), which is close enough to stay safely inside model limits.
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function messageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Tokens available for prompt content once the reply is reserved
+function promptBudget(provider) {
+    const contextWindow = provider.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    const reserved = provider.maxTokens || 2000;
+    return Math.max(256, contextWindow - reserved);
+}
+
+function summaryMessage(summary) {
+    return {
+        role: 'system',
+        content: `Summary of the earlier part of this study session:\n${summary.text}`
+    };
+}
+
+// Cuts an over-long question down to `maxTokens`, keeping its start and end
+function truncateToTokens(text, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    if (text.length <= maxChars) return text;
+    const half = Math.floor((maxChars - 40) / 2);
+    return text.slice(0, half) + '\n\n[... passage shortened to fit ...]\n\n' + text.slice(-half);
+}
+
+// Works out which history turns fit for `provider`.
+// `summary` is { text, covers } where `covers` is how many of the oldest
+// history messages it already describes. Returns the assembled messages and
+// `omitted`, the number of oldest messages that did not fit.
+function planContext({ provider, systemPrompt, history, message, summary }) {
+    let budget = promptBudget(provider);
+    const system = { role: 'system', content: systemPrompt };
+    budget -= messageTokens(system);
+
+    // The question always goes in, shortened if it alone would overflow
+    const questionBudget = Math.max(64, Math.floor(budget * 0.75));
+    const question = { role: 'user', content: truncateToTokens(message, questionBudget) };
+    budget -= messageTokens(question);
+
+    const summaryMsg = summary && summary.text ? summaryMessage(summary) : null;
+    if (summaryMsg) {
+        budget -= messageTokens(summaryMsg);
+    }
+
+    const firstCandidate = summaryMsg ? summary.covers : 0;
+    const included = [];
+    for (let i = history.length - 1; i >= firstCandidate; i--) {
+        const cost = messageTokens(history[i]);
+        if (cost > budget) break;
+        budget -= cost;
+        included.unshift(history[i]);
+    }
+
+    const omitted = history.length - included.length;
+    return {
+        messages: [system, ...(summaryMsg ? [summaryMsg] : []), ...included, question],
+        omitted,
+        // Omitted turns that the current summary does not describe yet
+        unsummarized: omitted - (summaryMsg ? summary.covers : 0),
+        info: {
+            turns_included: included.length,
+            turns_total: history.length,
+            summarized: Boolean(summaryMsg),
+            summary_covers: summaryMsg ? summary.covers : 0,
+            message_truncated: question.content !== message
+        }
+    };
+}
+
+// Prompt asking a provider to fold `messages` into the previous summary
+function buildSummaryPrompt(previousSummary, messages) {
+    const transcript = messages
+        .map(m => `${m.role === 'user' ? 'Student' : 'JARVIS'}: ${m.content.substring(0, 2000)}`)
+        .join('\n\n');
+
+    return [
+        {
+            role: 'system',
+            content: 'You maintain a running summary of a study session between a student and JARVIS, an AI tutor. ' +
+                'Merge the previous summary and the new transcript into one concise summary of at most 200 words. ' +
+                'Keep the topics covered, the questions asked, key facts and formulas from the answers, and what the student is currently working on. ' +
+                'Reply with the summary only.'
+        },
+        {
+            role: 'user',
+            content: `Previous summary:\n${previousSummary || '(none)'}\n\nNew transcript:\n${transcript}`
+        }
+    ];
+}
+
+module.exports = {
+    DEFAULT_CONTEXT_WINDOW,
+    estimateTokens,
+    planContext,
+    buildSummaryPrompt
+};
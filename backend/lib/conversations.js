@@ -0,0 +1,139 @@
+// JARVIS Conversation Store
+// Keeps study sessions in a local JSON file so they survive page refreshes
+// and server restarts.
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonFile');
+
+const VALID_ROLES = ['user', 'assistant'];
+// Longest message kept, by role. Answers are clipped to this when saved, so
+// every stored conversation can be exported and imported back.
+const MAX_CONTENT_CHARS = { user: 20000, assistant: 100000 };
+
+class ConversationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.conversations = new Map();
+        this.load();
+    }
+
+    load() {
+        const data = readJSON(this.filePath, {});
+        (data.conversations || []).forEach(conversation => {
+            this.conversations.set(conversation.id, conversation);
+        });
+    }
+
+    save() {
+        writeJSON(this.filePath, {
+            conversations: [...this.conversations.values()]
+        });
+    }
+
+    create({ title, userId = null } = {}) {
+        const now = new Date().toISOString();
+        const conversation = {
+            id: crypto.randomUUID(),
+            userId,
+            title: (title || 'New conversation').substring(0, 120),
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+        this.conversations.set(conversation.id, conversation);
+        this.save();
+        return conversation;
+    }
+
+    // Conversations owned by userId, most recently active first
+    list(userId) {
+        return [...this.conversations.values()]
+            .filter(conversation => conversation.userId === userId)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(summarize);
+    }
+
+    get(id) {
+        return this.conversations.get(id) || null;
+    }
+
+    append(id, messages) {
+        const conversation = this.get(id);
+        if (!conversation) return null;
+
+        const now = new Date().toISOString();
+        messages.forEach(message => {
+            conversation.messages.push({
+                role: message.role,
+                content: message.content.substring(0, MAX_CONTENT_CHARS[message.role]),
+                timestamp: message.timestamp || now,
+                ...(message.provider ? { provider: message.provider } : {}),
+                ...(message.citations && message.citations.length ? { citations: message.citations } : {}),
+                ...(message.attachments && message.attachments.length ? { attachments: message.attachments } : {})
+            });
+        });
+
+        // Name untitled conversations after their first question
+        if (conversation.title === 'New conversation') {
+            const firstQuestion = conversation.messages.find(m => m.role === 'user');
+            if (firstQuestion) {
+                conversation.title = firstQuestion.content.substring(0, 60);
+            }
+        }
+
+        conversation.updatedAt = now;
+        this.save();
+        return conversation;
+    }
+
+    // A conversation rebuilt from an exported file (see lib/transcripts.js)
+    import({ userId, title, createdAt, messages }) {
+        const conversation = this.create({ title, userId });
+        if (createdAt) conversation.createdAt = createdAt;
+        return this.append(conversation.id, messages);
+    }
+
+    // `summary` is { text, covers, updatedAt }; see lib/context.js
+    setSummary(id, summary) {
+        const conversation = this.get(id);
+        if (!conversation) return null;
+        conversation.summary = summary;
+        this.save();
+        return conversation;
+    }
+
+    delete(id) {
+        const deleted = this.conversations.delete(id);
+        if (deleted) this.save();
+        return deleted;
+    }
+
+    deleteForUser(userId) {
+        const owned = [...this.conversations.values()].filter(conversation => conversation.userId === userId);
+        owned.forEach(conversation => this.conversations.delete(conversation.id));
+        if (owned.length > 0) this.save();
+        return owned.length;
+    }
+}
+
+function summarize(conversation) {
+    return {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        message_count: conversation.messages.length
+    };
+}
+
+// Returns an error string, or null if the message can be appended
+function validateMessage(message) {
+    if (!message || typeof message !== 'object') return 'Message must be an object';
+    if (!VALID_ROLES.includes(message.role)) return `Role must be one of ${VALID_ROLES.join(', ')}`;
+    if (typeof message.content !== 'string' || !message.content.trim()) return 'Message content is required';
+    if (message.content.length > MAX_CONTENT_CHARS[message.role]) {
+        return `Message content is too long - ${message.role} messages can be up to ${MAX_CONTENT_CHARS[message.role]} characters`;
+    }
+    return null;
+}
+
+module.exports = { ConversationStore, validateMessage, summarize };
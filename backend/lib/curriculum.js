@@ -0,0 +1,149 @@
+// JARVIS Curriculum Context
+// Validates the class/subject/chapter a student has selected against the
+// configured CBSE lists and turns it into prompt guidance, so answers are
+// pitched at the right level for that class.
+
+const DEFAULT_CLASSES = ['6', '7', '8', '9', '10', '11', '12'];
+const DEFAULT_SUBJECTS = [
+    'Mathematics', 'Science', 'Physics', 'Chemistry', 'Biology', 'English', 'Hindi',
+    'Social Science', 'History', 'Geography', 'Political Science', 'Economics',
+    'Accountancy', 'Business Studies', 'Computer Science'
+];
+
+// Subjects that CBSE only offers in part of the school range. Anything not
+// listed here is available in every class. Keys are lower-case. Physics,
+// chemistry and biology stay open to all classes because they are the
+// strands of the Class 6-10 science textbooks.
+const SUBJECT_CLASS_RANGES = {
+    'science': [6, 10],
+    'social science': [6, 10],
+    'history': [11, 12],
+    'geography': [11, 12],
+    'political science': [11, 12],
+    'economics': [9, 12],
+    'accountancy': [11, 12],
+    'business studies': [11, 12]
+};
+
+const STAGES = [
+    {
+        classes: [6, 8],
+        name: 'middle school',
+        guidance: 'Use simple language, short sentences and everyday examples from a student\'s life in India. ' +
+            'Introduce any technical term with a plain explanation and avoid advanced notation.'
+    },
+    {
+        classes: [9, 10],
+        name: 'secondary (board exam) level',
+        guidance: 'Match the depth of the NCERT textbook and the CBSE Class 10 board pattern. ' +
+            'Show full step-by-step working, state the formulas used and point out common mistakes that lose marks.'
+    },
+    {
+        classes: [11, 12],
+        name: 'senior secondary level',
+        guidance: 'Use precise terminology, derivations and rigorous reasoning at NCERT Class 11-12 depth. ' +
+            'Where useful, mention how the topic appears in CBSE board papers and in JEE/NEET style questions.'
+    }
+];
+
+const MAX_CHAPTER_LENGTH = 120;
+
+// Accepts "6,7,8" or a range such as "6-12"
+function parseList(value, fallback) {
+    if (!value || !value.trim()) return fallback;
+    const range = value.trim().match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+        const list = [];
+        for (let n = Number(range[1]); n <= Number(range[2]); n++) list.push(String(n));
+        return list;
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function loadCurriculumConfig(env = process.env) {
+    const classes = parseList(env.SUPPORTED_CLASSES, DEFAULT_CLASSES);
+    const subjects = parseList(env.SUPPORTED_SUBJECTS, DEFAULT_SUBJECTS);
+    const defaultClass = classes.includes(String(env.DEFAULT_CLASS)) ? String(env.DEFAULT_CLASS) : classes[0];
+    const defaultSubject = subjects.find(s => s.toLowerCase() === String(env.DEFAULT_SUBJECT).toLowerCase()) || null;
+    return { classes, subjects, defaultClass, defaultSubject };
+}
+
+function subjectsForClass(config, classLevel) {
+    const level = Number(classLevel);
+    return config.subjects.filter(subject => {
+        const range = SUBJECT_CLASS_RANGES[subject.toLowerCase()];
+        return !range || (level >= range[0] && level <= range[1]);
+    });
+}
+
+function stageForClass(classLevel) {
+    const level = Number(classLevel);
+    return STAGES.find(stage => level >= stage.classes[0] && level <= stage.classes[1]) || null;
+}
+
+// Returns { curriculum } on success or { error } describing the problem.
+// A missing class falls back to the configured default; subject and chapter
+// are optional.
+function validateCurriculum(config, input) {
+    if (input !== undefined && input !== null && typeof input !== 'object') {
+        return { error: 'Curriculum must be an object with class, subject and chapter' };
+    }
+    const selection = input || {};
+
+    const classLevel = selection.class !== undefined && selection.class !== ''
+        ? String(selection.class)
+        : config.defaultClass;
+    if (!config.classes.includes(classLevel)) {
+        return { error: `Class must be one of ${config.classes.join(', ')}` };
+    }
+
+    let subject = null;
+    if (selection.subject) {
+        subject = config.subjects.find(s => s.toLowerCase() === String(selection.subject).toLowerCase());
+        if (!subject) {
+            return { error: `Subject must be one of ${config.subjects.join(', ')}` };
+        }
+        if (!subjectsForClass(config, classLevel).includes(subject)) {
+            return { error: `${subject} is not offered in Class ${classLevel}` };
+        }
+    }
+
+    let chapter = null;
+    if (selection.chapter) {
+        if (typeof selection.chapter !== 'string' || selection.chapter.length > MAX_CHAPTER_LENGTH) {
+            return { error: `Chapter must be text under ${MAX_CHAPTER_LENGTH} characters` };
+        }
+        chapter = selection.chapter.trim() || null;
+    }
+
+    return { curriculum: { class: classLevel, subject, chapter } };
+}
+
+// Extra system prompt text describing who JARVIS is teaching
+function buildCurriculumPrompt(curriculum) {
+    if (!curriculum) return '';
+    const stage = stageForClass(curriculum.class);
+    const lines = [
+        '',
+        'Student context:',
+        `- The student is in CBSE Class ${curriculum.class}${stage ? ` (${stage.name})` : ''}.`
+    ];
+    if (curriculum.subject) {
+        lines.push(`- Current subject: ${curriculum.subject}.`);
+    }
+    if (curriculum.chapter) {
+        lines.push(`- Current chapter: ${curriculum.chapter}. Relate the answer to this chapter where it makes sense.`);
+    }
+    if (stage) {
+        lines.push(`- ${stage.guidance}`);
+    }
+    lines.push('- Stay within the NCERT syllabus for this class unless the student asks to go beyond it.');
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadCurriculumConfig,
+    subjectsForClass,
+    validateCurriculum,
+    buildCurriculumPrompt
+};
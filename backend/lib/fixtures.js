@@ -0,0 +1,80 @@
+// JARVIS Fixture Provider
+// Answers from recorded request/response pairs so JARVIS can be demoed with
+// no internet and the chat fallback path can be driven deterministically.
+// Fixtures are matched on the normalised student message and subject.
+const fs = require('fs');
+const { readJSON, writeJSON } = require('./jsonFile');
+const { normalizeWords } = require('./text');
+
+// "What is Ohm's Law?!" and "what is ohms law" are the same question, and
+// so are "Café" and "cafe"; Hindi questions keep their own words
+function normalizeMessage(text) {
+    return normalizeWords(String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]/g, ''));
+}
+
+function normalizeSubject(subject) {
+    return subject ? String(subject).trim().toLowerCase() : null;
+}
+
+class FixtureLibrary {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fixtures = [];
+        this.loadedMtime = null;
+    }
+
+    // Re-reads the file whenever it has changed on disk
+    refresh() {
+        let mtime = null;
+        try {
+            mtime = fs.statSync(this.filePath).mtimeMs;
+        } catch {
+            // a missing file is an empty library (e.g. before the first recording)
+        }
+        if (mtime === this.loadedMtime) return;
+        this.fixtures = readJSON(this.filePath, {}).fixtures || [];
+        this.loadedMtime = mtime;
+    }
+
+    // A fixture for this exact subject wins over one recorded without a subject
+    match(message, subject) {
+        this.refresh();
+        const key = normalizeMessage(message);
+        const wanted = normalizeSubject(subject);
+        const candidates = this.fixtures.filter(fixture => normalizeMessage(fixture.message) === key);
+        return candidates.find(fixture => normalizeSubject(fixture.subject) === wanted) ||
+            candidates.find(fixture => !fixture.subject) ||
+            null;
+    }
+
+    // Adds or replaces the fixture for this message and subject
+    record({ message, subject, response, provider }) {
+        this.refresh();
+        const key = normalizeMessage(message);
+        const wanted = normalizeSubject(subject);
+        this.fixtures = this.fixtures.filter(fixture =>
+            normalizeMessage(fixture.message) !== key || normalizeSubject(fixture.subject) !== wanted);
+        this.fixtures.push({
+            message,
+            subject: wanted,
+            response,
+            recorded_from: provider || null,
+            recorded_at: new Date().toISOString()
+        });
+        writeJSON(this.filePath, { fixtures: this.fixtures });
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    }
+
+    get size() {
+        this.refresh();
+        return this.fixtures.length;
+    }
+}
+
+module.exports = {
+    FixtureLibrary,
+    normalizeMessage
+};
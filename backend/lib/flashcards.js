@@ -0,0 +1,301 @@
+// JARVIS Flashcards
+// Turns an answer from the chat into question/answer cards, keeps them in one
+// deck per student, class and subject, and schedules reviews with SM-2: each
+// card has an ease factor and an interval in days that grows while the
+// student keeps remembering it and starts over when they forget.
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonFile');
+const { validateCurriculum } = require('./curriculum');
+const { extractJSON } = require('./practice');
+const { normalizeWords } = require('./text');
+
+const MAX_SOURCE_CHARS = 12000;      // answer text sent to the provider
+const MAX_CARDS_PER_ANSWER = 10;
+const MAX_DECK_CARDS = 1000;
+const MAX_QUESTION_CHARS = 500;
+const MAX_ANSWER_CHARS = 1500;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASSING_GRADE = 3;             // grades run from 0 (blackout) to 5 (perfect)
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class FlashcardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FlashcardError';
+    }
+}
+
+// Due dates are 'YYYY-MM-DD' strings in the student's own day, which the
+// browser sends as `today`; UTC is used when it doesn't
+const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+    new Date(value + 'T00:00:00Z').toISOString().startsWith(value);
+const addDays = (date, days) => new Date(new Date(date + 'T00:00:00Z').getTime() + days * 86400000).toISOString().substring(0, 10);
+
+// Returns { today } or { error } for an optional `today` parameter
+function validateToday(value) {
+    if (value === undefined || value === '') return { today: new Date().toISOString().substring(0, 10) };
+    if (!isDate(value)) return { error: 'today must be a date in YYYY-MM-DD format' };
+    return { today: value };
+}
+
+// Returns { request } or { error } for the body of POST /api/flashcards
+function validateCardRequest(body, config) {
+    const { curriculum, error: curriculumError } = validateCurriculum(config, body.curriculum);
+    if (curriculumError) return { error: curriculumError };
+
+    if (typeof body.content !== 'string' || !body.content.trim()) {
+        return { error: 'content must be the answer to make flashcards from' };
+    }
+    const count = body.count === undefined ? 5 : Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CARDS_PER_ANSWER) {
+        return { error: `count must be a whole number from 1 to ${MAX_CARDS_PER_ANSWER}` };
+    }
+    const { today, error: todayError } = validateToday(body.today);
+    if (todayError) return { error: todayError };
+
+    return {
+        request: {
+            curriculum,
+            content: body.content.trim().substring(0, MAX_SOURCE_CHARS),
+            question: typeof body.question === 'string' ? body.question.trim().substring(0, 1000) : '',
+            conversationId: typeof body.conversationId === 'string' ? body.conversationId : null,
+            count,
+            today
+        }
+    };
+}
+
+function buildCardPrompt(request) {
+    const { curriculum } = request;
+    const topic = [curriculum.subject, curriculum.chapter].filter(Boolean).join(', ');
+    return [
+        {
+            role: 'system',
+            content: 'You write revision flashcards for CBSE students. Reply with a single JSON object and nothing else - no markdown fences, no commentary. ' +
+                'The JSON must match this shape exactly:\n' +
+                '{"cards": [{"question": string, "answer": string}]}\n' +
+                'Each card tests one fact, definition, formula or step. Questions must make sense on their own, without the explanation beside them. ' +
+                'Keep answers short - a sentence or a formula. Write maths in LaTeX between $ signs.'
+        },
+        {
+            role: 'user',
+            content: `Write up to ${request.count} flashcards for a Class ${curriculum.class} student` +
+                (topic ? ` studying ${topic}` : '') +
+                ' from the explanation below. Only use what the explanation covers.\n\n' +
+                (request.question ? `Student's question: ${request.question}\n\n` : '') +
+                `Explanation:\n${request.content}`
+        }
+    ];
+}
+
+// "What is Ohm's law?" and "what is ohms law" are the same card
+const normalizeQuestion = (text) => normalizeWords(String(text || '').replace(/['’]/g, ''));
+
+// Cards from model output, without blanks and repeats. Throws
+// FlashcardError when none are usable.
+function parseCards(output, request) {
+    const parsed = extractJSON(output);
+    if (!parsed || !Array.isArray(parsed.cards)) {
+        throw new FlashcardError('Output has no cards array');
+    }
+
+    const seen = new Set();
+    const cards = [];
+    for (const raw of parsed.cards) {
+        if (!raw || typeof raw.question !== 'string' || typeof raw.answer !== 'string') continue;
+        const question = raw.question.trim().substring(0, MAX_QUESTION_CHARS);
+        const answer = raw.answer.trim().substring(0, MAX_ANSWER_CHARS);
+        const key = normalizeQuestion(question);
+        if (!key || !answer || seen.has(key)) continue;
+        seen.add(key);
+        cards.push({ question, answer });
+        if (cards.length === request.count) break;
+    }
+
+    if (cards.length === 0) throw new FlashcardError('No usable cards in the output');
+    return cards;
+}
+
+// A deck is named after the class and subject its cards were made under
+const deckTitle = (curriculum) => `Class ${curriculum.class} · ${curriculum.subject || 'General'}`;
+
+// Adds new cards to a deck, skipping questions it already has. New cards are
+// due straight away. Returns the cards that were added.
+function addCards(deck, cards, source, today) {
+    const existing = new Set(deck.cards.map(card => normalizeQuestion(card.question)));
+    const now = new Date().toISOString();
+    const added = cards
+        .filter(card => !existing.has(normalizeQuestion(card.question)))
+        .slice(0, Math.max(0, MAX_DECK_CARDS - deck.cards.length))
+        .map(card => ({
+            id: crypto.randomUUID(),
+            question: card.question,
+            answer: card.answer,
+            source,
+            ease: INITIAL_EASE,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            due: today,
+            last_reviewed: null,
+            created_at: now
+        }));
+    deck.cards.push(...added);
+    return added;
+}
+
+// SM-2: a passing grade moves the card to 1 day, then 6, then the last
+// interval times its ease; a failing one starts it over at 1 day. The ease
+// factor moves with every grade and never drops below MIN_EASE.
+function reviewCard(card, grade, today) {
+    const reviewed = { ...card };
+    if (grade >= PASSING_GRADE) {
+        reviewed.interval = card.repetitions === 0 ? 1
+            : card.repetitions === 1 ? 6
+                : Math.round(card.interval * card.ease);
+        reviewed.repetitions = card.repetitions + 1;
+    } else {
+        reviewed.interval = 1;
+        reviewed.repetitions = 0;
+        reviewed.lapses = card.lapses + 1;
+    }
+    const miss = 5 - grade;
+    reviewed.ease = Math.max(MIN_EASE, Math.round((card.ease + 0.1 - miss * (0.08 + miss * 0.02)) * 100) / 100);
+    reviewed.due = addDays(today, reviewed.interval);
+    reviewed.last_reviewed = today;
+    return reviewed;
+}
+
+// Returns { grade } or { error } for the body of a review
+function validateGrade(value) {
+    const grade = Number(value);
+    if (value === undefined || value === null || !Number.isInteger(grade) || grade < 0 || grade > 5) {
+        return { error: 'grade must be a whole number from 0 (forgot) to 5 (perfect recall)' };
+    }
+    return { grade };
+}
+
+const isDue = (card, today) => card.due <= today;
+
+function summarizeDeck(deck, today) {
+    return {
+        id: deck.id,
+        title: deck.title,
+        class: deck.class,
+        subject: deck.subject,
+        cards: deck.cards.length,
+        due: deck.cards.filter(card => isDue(card, today)).length,
+        created_at: deck.created_at,
+        updated_at: deck.updated_at
+    };
+}
+
+class DeckStore {
+    constructor(filePath, { maxPerUser = 50 } = {}) {
+        this.filePath = filePath;
+        this.maxPerUser = maxPerUser;
+        this.decks = new Map(); // oldest first
+        (readJSON(filePath, {}).decks || []).forEach(deck => this.decks.set(deck.id, deck));
+    }
+
+    save() {
+        writeJSON(this.filePath, { decks: [...this.decks.values()] });
+    }
+
+    get(id) {
+        return this.decks.get(id) || null;
+    }
+
+    find(userId, curriculum) {
+        const subject = curriculum.subject || null;
+        return [...this.decks.values()].find(deck =>
+            deck.userId === userId && deck.class === curriculum.class && deck.subject === subject) || null;
+    }
+
+    count(userId) {
+        return [...this.decks.values()].filter(deck => deck.userId === userId).length;
+    }
+
+    // False when cards for this class and subject would need a new deck and
+    // the student already has maxPerUser. Decks hold review history, so none
+    // is ever dropped to make room.
+    hasRoom(userId, curriculum) {
+        return Boolean(this.find(userId, curriculum)) || this.count(userId) < this.maxPerUser;
+    }
+
+    // The student's deck for a class and subject, created when missing;
+    // null when there is no room for another
+    forCurriculum(userId, curriculum) {
+        const found = this.find(userId, curriculum);
+        if (found) return found;
+        if (!this.hasRoom(userId, curriculum)) return null;
+
+        const now = new Date().toISOString();
+        const deck = {
+            id: crypto.randomUUID(),
+            userId,
+            title: deckTitle(curriculum),
+            class: curriculum.class,
+            subject: curriculum.subject || null,
+            cards: [],
+            created_at: now,
+            updated_at: now
+        };
+        this.decks.set(deck.id, deck);
+        return deck;
+    }
+
+    // Decks owned by userId, most recently changed first
+    list(userId, today) {
+        return [...this.decks.values()]
+            .filter(deck => deck.userId === userId)
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+            .map(deck => summarizeDeck(deck, today));
+    }
+
+    // Cards due by `today` in the student's decks (or just `deckId`), most
+    // overdue first
+    due(userId, today, deckId) {
+        return [...this.decks.values()]
+            .filter(deck => deck.userId === userId && (!deckId || deck.id === deckId))
+            .flatMap(deck => deck.cards
+                .filter(card => isDue(card, today))
+                .map(card => ({ ...card, deck_id: deck.id, deck_title: deck.title })))
+            .sort((a, b) => a.due.localeCompare(b.due));
+    }
+
+    replace(deck) {
+        deck.updated_at = new Date().toISOString();
+        this.decks.set(deck.id, deck);
+        this.save();
+        return deck;
+    }
+
+    delete(id) {
+        const removed = this.decks.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    deleteForUser(userId) {
+        const owned = [...this.decks.values()].filter(deck => deck.userId === userId);
+        owned.forEach(deck => this.decks.delete(deck.id));
+        if (owned.length > 0) this.save();
+        return owned.length;
+    }
+}
+
+module.exports = {
+    FlashcardError,
+    DeckStore,
+    validateCardRequest,
+    validateToday,
+    validateGrade,
+    buildCardPrompt,
+    parseCards,
+    addCards,
+    reviewCard,
+    summarizeDeck
+};
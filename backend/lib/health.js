@@ -0,0 +1,126 @@
+// JARVIS Provider Health
+// Tracks a rolling window of outcomes per provider (success rate, latency
+// percentiles, last error) and runs a circuit breaker that skips a provider
+// for a cool-down period after repeated consecutive failures.
+const { logger } = require('./logger');
+
+const WINDOW_SIZE = 50;
+const MIN_SAMPLES = 5; // below this a provider is treated as healthy
+
+class ProviderHealth {
+    constructor({ failureThreshold = 5, cooldownMs = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.stats = new Map();
+    }
+
+    entry(name) {
+        if (!this.stats.has(name)) {
+            this.stats.set(name, {
+                outcomes: [],
+                consecutiveFailures: 0,
+                lastError: null,
+                lastSuccessAt: null,
+                openUntil: 0
+            });
+        }
+        return this.stats.get(name);
+    }
+
+    record(name, ok, latencyMs) {
+        const entry = this.entry(name);
+        entry.outcomes.push({ ok, latencyMs, at: Date.now() });
+        if (entry.outcomes.length > WINDOW_SIZE) {
+            entry.outcomes.shift();
+        }
+        return entry;
+    }
+
+    recordSuccess(name, latencyMs) {
+        const entry = this.record(name, true, latencyMs);
+        entry.consecutiveFailures = 0;
+        entry.lastSuccessAt = new Date().toISOString();
+        entry.openUntil = 0;
+    }
+
+    recordFailure(name, error, latencyMs) {
+        const entry = this.record(name, false, latencyMs);
+        entry.consecutiveFailures++;
+        entry.lastError = {
+            message: error.message,
+            at: new Date().toISOString()
+        };
+
+        // A failed trial while half-open re-opens the breaker straight away
+        if (entry.consecutiveFailures >= this.failureThreshold) {
+            entry.openUntil = Date.now() + this.cooldownMs;
+            logger.warn('Circuit opened', { provider: name, consecutive_failures: entry.consecutiveFailures });
+        }
+    }
+
+    state(name) {
+        const entry = this.entry(name);
+        if (entry.consecutiveFailures < this.failureThreshold) return 'closed';
+        return Date.now() < entry.openUntil ? 'open' : 'half-open';
+    }
+
+    successRate(name) {
+        const { outcomes } = this.entry(name);
+        if (outcomes.length < MIN_SAMPLES) return 1;
+        return outcomes.filter(o => o.ok).length / outcomes.length;
+    }
+
+    latencyPercentile(name, percentile) {
+        const latencies = this.entry(name).outcomes
+            .filter(o => o.ok)
+            .map(o => o.latencyMs)
+            .sort((a, b) => a - b);
+        if (latencies.length === 0) return null;
+        const index = Math.min(latencies.length - 1, Math.ceil(percentile / 100 * latencies.length) - 1);
+        return latencies[Math.max(0, index)];
+    }
+
+    // Orders providers by observed health. Providers with an open breaker are
+    // skipped; if every provider is open they are all returned in priority
+    // order as a last resort rather than failing outright.
+    rank(providers) {
+        const available = providers.filter(p => this.state(p.name) !== 'open');
+        if (available.length === 0) {
+            return [...providers].sort((a, b) => a.priority - b.priority);
+        }
+
+        return available.sort((a, b) => {
+            // Bucket success rates so small differences do not reshuffle the order
+            const rateA = Math.round(this.successRate(a.name) * 10);
+            const rateB = Math.round(this.successRate(b.name) * 10);
+            if (rateA !== rateB) return rateB - rateA;
+
+            const latencyA = this.latencyPercentile(a.name, 50);
+            const latencyB = this.latencyPercentile(b.name, 50);
+            if (latencyA !== null && latencyB !== null && latencyA !== latencyB) {
+                return latencyA - latencyB;
+            }
+            return a.priority - b.priority;
+        });
+    }
+
+    describe(name) {
+        const entry = this.entry(name);
+        const state = this.state(name);
+        return {
+            state,
+            samples: entry.outcomes.length,
+            success_rate: entry.outcomes.length
+                ? Number((entry.outcomes.filter(o => o.ok).length / entry.outcomes.length).toFixed(3))
+                : null,
+            latency_p50_ms: this.latencyPercentile(name, 50),
+            latency_p95_ms: this.latencyPercentile(name, 95),
+            consecutive_failures: entry.consecutiveFailures,
+            last_error: entry.lastError,
+            last_success_at: entry.lastSuccessAt,
+            open_until: state === 'open' ? new Date(entry.openUntil).toISOString() : null
+        };
+    }
+}
+
+module.exports = { ProviderHealth };
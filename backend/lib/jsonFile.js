@@ -0,0 +1,27 @@
+// Small helpers for the JSON files the backend keeps under data/
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Returns `fallback` when the file does not exist yet
+function readJSON(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Could not read JSON file', { file: filePath, err: error });
+        }
+        return fallback;
+    }
+}
+
+// Writes to a temp file and renames it into place so a crash mid-write
+// never leaves a truncated file behind
+function writeJSON(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = filePath + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJSON, writeJSON };
@@ -0,0 +1,274 @@
+// JARVIS Knowledge Base
+// A BM25 index over local NCERT chapter files, organised on disk as
+// <class>/<subject>/<chapter>.md (or .txt). Chapters are split into short
+// passages that remember their book, chapter and page, so answers can cite
+// exactly where the supporting text came from.
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('./jsonFile');
+const { logger } = require('./logger');
+const { normalizeWords } = require('./text');
+
+const INDEX_VERSION = 1;
+const PASSAGE_WORDS = 120;
+const K1 = 1.2;
+const B = 0.75;
+const MIN_SCORE = 0.5; // below this a passage is too weak a match to cite
+
+const STOPWORDS = new Set((
+    'a an and are as at be been but by can do does for from had has have how i if in into is it its ' +
+    'me my of on or so than that the their them then there these they this to was we were what when ' +
+    'where which who why will with you your explain tell about please give example examples detail'
+).split(' '));
+
+// Light plural stemming so "reactions" matches "reaction"
+function stem(word) {
+    if (word.length <= 4) return word;
+    if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function tokenize(text) {
+    return normalizeWords(text)
+        .split(' ')
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+// Reads optional front matter (book, chapter, page) and the body of a file
+function parseChapterFile(content) {
+    const meta = {};
+    let body = content;
+    const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    if (frontMatter) {
+        frontMatter[1].split(/\r?\n/).forEach(line => {
+            const pair = line.match(/^(\w+):\s*(.+)$/);
+            if (pair) meta[pair[1].toLowerCase()] = pair[2].trim();
+        });
+        body = content.slice(frontMatter[0].length);
+    }
+    return { meta, body };
+}
+
+function titleFromFilename(filename) {
+    return path.basename(filename, path.extname(filename))
+        .replace(/^\d+[-_ ]*/, '')
+        .replace(/[-_]+/g, ' ')
+        .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// Splits a chapter into ~PASSAGE_WORDS passages along paragraph boundaries.
+// Page markers such as "<!-- page 12 -->" or "[page 12]" set the page for
+// the text that follows them.
+function splitPassages(body, startPage) {
+    const passages = [];
+    let page = startPage;
+    let current = { page, words: [] };
+
+    const flush = () => {
+        if (current.words.length > 0) {
+            passages.push({ page: current.page, text: current.words.join(' ') });
+        }
+        current = { page, words: [] };
+    };
+
+    body.split(/\r?\n\s*\r?\n/).forEach(paragraph => {
+        paragraph.split(/(<!--\s*page\s*\d+\s*-->|\[page\s*\d+\])/i).forEach(part => {
+            const marker = part.match(/page\s*(\d+)/i);
+            if (marker && /^(<!--|\[)/.test(part.trim())) {
+                flush();
+                page = Number(marker[1]);
+                current.page = page;
+                return;
+            }
+            const words = part.replace(/^#+\s*/gm, '').split(/\s+/).filter(Boolean);
+            if (words.length === 0) return;
+            if (current.words.length > 0 && current.words.length + words.length > PASSAGE_WORDS) {
+                flush();
+            }
+            current.words.push(...words);
+        });
+    });
+    flush();
+    return passages;
+}
+
+// Walks knowledgeDir/<class>/<subject>/* and returns every passage
+function collectPassages(knowledgeDir) {
+    const passages = [];
+    const dirs = (dir) => fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory());
+
+    dirs(knowledgeDir).forEach(classDir => {
+        const classLevel = classDir.name.replace(/^class[-_ ]*/i, '');
+        dirs(path.join(knowledgeDir, classDir.name)).forEach(subjectDir => {
+            const subjectPath = path.join(knowledgeDir, classDir.name, subjectDir.name);
+            fs.readdirSync(subjectPath)
+                .filter(file => /\.(md|txt)$/i.test(file))
+                .sort()
+                .forEach(file => {
+                    const { meta, body } = parseChapterFile(fs.readFileSync(path.join(subjectPath, file), 'utf8'));
+                    const chapter = meta.chapter || titleFromFilename(file);
+                    const book = meta.book || `NCERT ${subjectDir.name.replace(/[-_]+/g, ' ')} Class ${classLevel}`;
+                    splitPassages(body, Number(meta.page) || null).forEach(passage => {
+                        passages.push({
+                            id: passages.length,
+                            class: classLevel,
+                            subject: subjectDir.name.replace(/[-_]+/g, ' ').toLowerCase(),
+                            chapter,
+                            book,
+                            page: passage.page,
+                            source: path.join(classDir.name, subjectDir.name, file),
+                            text: passage.text
+                        });
+                    });
+                });
+        });
+    });
+    return passages;
+}
+
+function buildIndex(passages) {
+    const documentFrequency = {};
+    let totalLength = 0;
+
+    const documents = passages.map(passage => {
+        const terms = {};
+        const tokens = tokenize(`${passage.chapter} ${passage.text}`);
+        tokens.forEach(token => {
+            terms[token] = (terms[token] || 0) + 1;
+        });
+        Object.keys(terms).forEach(term => {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        });
+        totalLength += tokens.length;
+        return { ...passage, length: tokens.length, terms };
+    });
+
+    return {
+        version: INDEX_VERSION,
+        built_at: new Date().toISOString(),
+        average_length: documents.length ? totalLength / documents.length : 0,
+        document_frequency: documentFrequency,
+        documents
+    };
+}
+
+class KnowledgeBase {
+    constructor(indexPath) {
+        this.indexPath = indexPath;
+        this.index = null;
+    }
+
+    load() {
+        const index = readJSON(this.indexPath, null);
+        this.index = index && index.version === INDEX_VERSION ? index : null;
+        return this.index ? this.index.documents.length : 0;
+    }
+
+    watch() {
+        fs.watchFile(this.indexPath, { interval: 5000 }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            logger.info('Knowledge base reloaded', { passages: this.load() });
+        });
+    }
+
+    get size() {
+        return this.index ? this.index.documents.length : 0;
+    }
+
+    // Chapter titles per class and subject, for the chapter picker
+    chapters() {
+        const chapters = {};
+        (this.index ? this.index.documents : []).forEach(doc => {
+            const byClass = chapters[doc.class] = chapters[doc.class] || {};
+            const list = byClass[doc.subject] = byClass[doc.subject] || [];
+            if (!list.includes(doc.chapter)) list.push(doc.chapter);
+        });
+        return chapters;
+    }
+
+    // BM25 search restricted to the student's class (and subject when set);
+    // passages from the selected chapter get a boost
+    search(query, curriculum = {}, limit = 3) {
+        if (!this.index) return [];
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const { documents, document_frequency: df, average_length: avgLength } = this.index;
+        const total = documents.length;
+        const subject = curriculum.subject ? curriculum.subject.toLowerCase() : null;
+        const chapter = curriculum.chapter ? curriculum.chapter.toLowerCase() : null;
+
+        return documents
+            .filter(doc => (!curriculum.class || doc.class === String(curriculum.class)) &&
+                (!subject || doc.subject === subject))
+            .map(doc => {
+                let score = 0;
+                terms.forEach(term => {
+                    const frequency = doc.terms[term];
+                    if (!frequency) return;
+                    const idf = Math.log(1 + (total - df[term] + 0.5) / (df[term] + 0.5));
+                    score += idf * (frequency * (K1 + 1)) /
+                        (frequency + K1 * (1 - B + B * doc.length / (avgLength || 1)));
+                });
+                if (score > 0 && chapter && doc.chapter.toLowerCase().includes(chapter)) {
+                    score *= 1.5;
+                }
+                return { doc, score };
+            })
+            .filter(result => result.score >= MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ doc, score }) => ({
+                class: doc.class,
+                subject: doc.subject,
+                chapter: doc.chapter,
+                book: doc.book,
+                page: doc.page,
+                text: doc.text,
+                score: Number(score.toFixed(2))
+            }));
+    }
+}
+
+// System prompt block listing the retrieved passages as numbered sources
+function buildRetrievalPrompt(passages) {
+    if (passages.length === 0) return '';
+    const sources = passages.map((passage, index) =>
+        `[${index + 1}] ${passage.book}, "${passage.chapter}"${passage.page ? `, page ${passage.page}` : ''}:\n${passage.text}`
+    ).join('\n\n');
+    return '\n\nNCERT reference passages:\n' + sources +
+        '\n\nBase your answer on these passages where they are relevant and cite them inline as [1], [2] and so on. ' +
+        'Do not cite a passage you did not use.';
+}
+
+function toCitations(passages) {
+    return passages.map((passage, index) => ({
+        n: index + 1,
+        book: passage.book,
+        chapter: passage.chapter,
+        page: passage.page,
+        class: passage.class,
+        subject: passage.subject,
+        excerpt: passage.text.length > 400 ? passage.text.substring(0, 400) + '…' : passage.text
+    }));
+}
+
+function ingest(knowledgeDir, indexPath) {
+    const passages = collectPassages(knowledgeDir);
+    const index = buildIndex(passages);
+    writeJSON(indexPath, index);
+    return { passages: passages.length, terms: Object.keys(index.document_frequency).length };
+}
+
+module.exports = {
+    KnowledgeBase,
+    tokenize,
+    splitPassages,
+    collectPassages,
+    buildIndex,
+    buildRetrievalPrompt,
+    toCitations,
+    ingest
+};
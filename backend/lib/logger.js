@@ -0,0 +1,77 @@
+// JARVIS Logger
+// Structured logs: one JSON object per line ({ time, level, msg, ...fields })
+// on stdout, or readable text lines with LOG_FORMAT=pretty for local
+// development. Child loggers add fixed fields - such as the request ID - to
+// every line they write.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors become plain objects so they survive JSON.stringify. Stack traces
+// are only worth their size on error lines; provider failures logged as
+// warnings are expected.
+function serializeError(error, { stack = true } = {}) {
+    if (!(error instanceof Error)) return error;
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.problems ? { problems: error.problems } : {}),
+        ...(stack ? { stack: error.stack } : {})
+    };
+}
+
+class Logger {
+    constructor({ level = 'info', format = 'json', fields = {}, stream = process.stdout } = {}) {
+        level = String(level).toLowerCase();
+        this.level = LEVELS[level] ? level : 'info';
+        this.format = format === 'pretty' ? 'pretty' : 'json';
+        this.fields = fields;
+        this.stream = stream;
+    }
+
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            fields: { ...this.fields, ...fields },
+            stream: this.stream
+        });
+    }
+
+    debug(msg, fields) { this.write('debug', msg, fields); }
+    info(msg, fields) { this.write('info', msg, fields); }
+    warn(msg, fields) { this.write('warn', msg, fields); }
+    error(msg, fields) { this.write('error', msg, fields); }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+        const time = new Date().toISOString();
+        const extra = { ...this.fields };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== undefined) {
+                extra[key] = value instanceof Error ? serializeError(value, { stack: level === 'error' }) : value;
+            }
+        });
+
+        if (this.format === 'json') {
+            this.stream.write(JSON.stringify({ time, level, msg, ...extra }) + '\n');
+            return;
+        }
+        const details = Object.entries(extra)
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+            .join(' ');
+        this.stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ' ' + details : ''}\n`);
+    }
+}
+
+// Shared root logger (LOG_LEVEL, LOG_FORMAT)
+const logger = new Logger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json'
+});
+
+module.exports = {
+    Logger,
+    logger,
+    serializeError
+};
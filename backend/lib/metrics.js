@@ -0,0 +1,128 @@
+// JARVIS Metrics
+// Counters, histograms and gauges rendered in the Prometheus text exposition
+// format for GET /metrics. Kept dependency-free; label values are escaped but
+// callers must keep label cardinality low (route patterns, not raw URLs).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return '{' + entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+// One series per distinct label set, keyed by the labels in declared order
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    labelsFor(labels) {
+        return Object.fromEntries(this.labelNames.map(label => [label, labels[label] === undefined ? '' : labels[label]]));
+    }
+
+    seriesFor(labels, create) {
+        const normalized = this.labelsFor(labels);
+        const key = JSON.stringify(normalized);
+        if (!this.series.has(key)) this.series.set(key, { labels: normalized, ...create() });
+        return this.series.get(key);
+    }
+
+    header(type) {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+    }
+}
+
+class Counter extends Metric {
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        return [
+            ...this.header('counter'),
+            ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)
+        ];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    render() {
+        const lines = this.header('histogram');
+        this.series.forEach(s => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${Number(s.sum.toFixed(6))}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        });
+        return lines;
+    }
+}
+
+// Read when scraped: `collect()` returns [{ labels, value }]
+class Gauge extends Metric {
+    constructor(name, help, collect) {
+        super(name, help);
+        this.collect = collect;
+    }
+
+    render() {
+        return [
+            ...this.header('gauge'),
+            ...this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+        ];
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    DEFAULT_BUCKETS
+};
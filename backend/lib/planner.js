@@ -0,0 +1,561 @@
+// JARVIS Study Planner
+// Turns a student's exam dates, syllabus chapters and daily study hours into
+// a day-by-day revision timetable. A provider only weighs the chapters (how
+// much each is worth and how hard it is); the timetable itself is worked out
+// here, so the same weights always give the same plan.
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonFile');
+const { validateCurriculum } = require('./curriculum');
+const { extractJSON } = require('./practice');
+const { normalizeWords } = require('./text');
+
+const MAX_EXAMS = 15;
+const MAX_CHAPTERS = 40;             // per exam
+const MAX_PLAN_DAYS = 180;
+const SESSION_MAX_MINUTES = 60;      // longer chapters are split over sessions
+const MIN_SESSION_MINUTES = 15;
+const DEFAULT_SCORE = 3;             // weights and difficulties run from 1 to 5
+const REMINDER_MINUTES = 10;         // alarm before each session in .ics files
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class PlanError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PlanError';
+    }
+}
+
+// Calendar dates are 'YYYY-MM-DD' strings, worked on in UTC so that no
+// time zone can move them
+const toDate = (date) => new Date(date + 'T00:00:00Z');
+const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) && toDate(value).toISOString().startsWith(value);
+const addDays = (date, days) => new Date(toDate(date).getTime() + days * 86400000).toISOString().substring(0, 10);
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / 86400000);
+const weekday = (date) => toDate(date).getUTCDay();
+
+const toMinutes = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+};
+const toTime = (minutes) => String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+const formatHours = (minutes) => `${Math.round(minutes / 6) / 10}h`;
+
+// Returns { request } or { error } for the body of POST /api/plans.
+// `start_date` defaults to today in UTC; browsers send their local date.
+function validatePlanRequest(body, config) {
+    const { curriculum, error: curriculumError } = validateCurriculum(config, { class: body.class });
+    if (curriculumError) return { error: curriculumError };
+
+    const request = {
+        title: typeof body.title === 'string' && body.title.trim() ? body.title.trim().substring(0, 120) : `Class ${curriculum.class} exam plan`,
+        class: curriculum.class,
+        start_date: body.start_date === undefined ? new Date().toISOString().substring(0, 10) : body.start_date,
+        daily_hours: body.daily_hours === undefined ? 3 : Number(body.daily_hours),
+        start_time: body.start_time === undefined ? '17:00' : body.start_time,
+        rest_days: body.rest_days === undefined ? [] : body.rest_days,
+        exams: []
+    };
+
+    if (!isDate(request.start_date)) return { error: 'start_date must be a date in YYYY-MM-DD format' };
+    if (!Number.isFinite(request.daily_hours) || request.daily_hours < 0.5 || request.daily_hours > 12) {
+        return { error: 'daily_hours must be between 0.5 and 12' };
+    }
+    request.daily_hours = Math.round(request.daily_hours * 4) / 4;
+    if (typeof request.start_time !== 'string' || !TIME_PATTERN.test(request.start_time)) {
+        return { error: 'start_time must be a time in HH:MM format' };
+    }
+    if (toMinutes(request.start_time) + request.daily_hours * 60 > 24 * 60) {
+        return { error: `${request.daily_hours} hours from ${request.start_time} runs past midnight - start earlier or study fewer hours` };
+    }
+    if (!Array.isArray(request.rest_days) || !request.rest_days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return { error: 'rest_days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+    request.rest_days = [...new Set(request.rest_days)].sort();
+    if (request.rest_days.length === 7) return { error: 'Leave at least one day of the week for studying' };
+
+    if (!Array.isArray(body.exams) || body.exams.length === 0) return { error: 'Add at least one exam' };
+    if (body.exams.length > MAX_EXAMS) return { error: `Plans can cover up to ${MAX_EXAMS} exams` };
+
+    for (const [index, exam] of body.exams.entries()) {
+        const label = `Exam ${index + 1}`;
+        if (!exam || typeof exam !== 'object') return { error: `${label} must be an object with subject, date and chapters` };
+        const { curriculum: subjectCheck, error: subjectError } = validateCurriculum(config, { class: curriculum.class, subject: exam.subject });
+        if (subjectError || !subjectCheck.subject) return { error: `${label}: ${subjectError || 'subject is required'}` };
+        if (!isDate(exam.date)) return { error: `${label}: date must be in YYYY-MM-DD format` };
+        if (exam.date <= request.start_date) return { error: `${label}: the exam must be after the start date` };
+        if (daysBetween(request.start_date, exam.date) > MAX_PLAN_DAYS) {
+            return { error: `${label}: plans can cover up to ${MAX_PLAN_DAYS} days` };
+        }
+
+        const chapters = Array.isArray(exam.chapters)
+            ? [...new Set(exam.chapters.filter(chapter => typeof chapter === 'string').map(chapter => chapter.trim().substring(0, 120)).filter(Boolean))]
+            : [];
+        if (chapters.length === 0) return { error: `${label}: list the chapters to revise for ${subjectCheck.subject}` };
+        if (chapters.length > MAX_CHAPTERS) return { error: `${label}: up to ${MAX_CHAPTERS} chapters per exam` };
+
+        request.exams.push({ id: `e${index + 1}`, subject: subjectCheck.subject, date: exam.date, chapters });
+    }
+    return { request };
+}
+
+function buildWeightingPrompt(request) {
+    const syllabus = request.exams
+        .map(exam => `${exam.subject}:\n${exam.chapters.map(chapter => `- ${chapter}`).join('\n')}`)
+        .join('\n\n');
+    return [
+        {
+            role: 'system',
+            content: 'You help CBSE students plan exam revision. Reply with a single JSON object and nothing else - no markdown fences, no commentary. ' +
+                'The JSON must match this shape exactly:\n' +
+                '{"subjects": [{"subject": string, "chapters": [{"name": string, "weight": number (1-5, share of the exam\'s marks), ' +
+                '"difficulty": number (1-5, how long a typical student needs to revise it)}]}]}'
+        },
+        {
+            role: 'user',
+            content: `Weigh these CBSE Class ${request.class} chapters for board exam revision. ` +
+                'Use the CBSE marking scheme where you know it and keep every chapter name exactly as written.\n\n' + syllabus
+        }
+    ];
+}
+
+const score = (value) => {
+    const number = Math.round(Number(value));
+    return number >= 1 && number <= 5 ? number : DEFAULT_SCORE;
+};
+
+// Weighted copies of the request's exams from provider output. Chapters the
+// output leaves out get middling scores; throws PlanError when it weighs
+// none of them.
+function parseWeights(output, request) {
+    const parsed = extractJSON(output);
+    if (!parsed || !Array.isArray(parsed.subjects)) {
+        throw new PlanError('Output has no subjects array');
+    }
+
+    let matched = 0;
+    const exams = request.exams.map(exam => {
+        const subject = parsed.subjects.find(entry => entry && normalizeWords(entry.subject) === normalizeWords(exam.subject));
+        const weighed = subject && Array.isArray(subject.chapters) ? subject.chapters.filter(entry => entry && typeof entry === 'object') : [];
+        return {
+            ...exam,
+            chapters: exam.chapters.map(name => {
+                const entry = weighed.find(candidate => normalizeWords(candidate.name) === normalizeWords(name));
+                if (entry) matched++;
+                return { name, weight: score(entry && entry.weight), difficulty: score(entry && entry.difficulty) };
+            })
+        };
+    });
+
+    if (matched === 0) throw new PlanError('No chapter in the output matched the syllabus');
+    return exams;
+}
+
+// Used when no provider could weigh the chapters
+function evenWeights(request) {
+    return request.exams.map(exam => ({
+        ...exam,
+        chapters: exam.chapters.map(name => ({ name, weight: DEFAULT_SCORE, difficulty: DEFAULT_SCORE }))
+    }));
+}
+
+// The timetable, from the first day to the last exam:
+// - exam days and rest days have no study sessions
+// - the last free day before each exam is kept for revising it
+// - every other study minute is shared between chapters by weight plus
+//   difficulty, earliest exam first; an exam without enough days before it
+//   gets its chapters shortened (and a warning) rather than crowding others
+// - time left over revises the next exam
+function buildSchedule(request, exams) {
+    const dailyMinutes = Math.round(request.daily_hours * 60);
+    const ordered = [...exams].sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+    const lastExam = ordered[ordered.length - 1].date;
+    const warnings = [];
+
+    const days = [];
+    for (let date = request.start_date; date <= lastExam; date = addDays(date, 1)) {
+        const examsToday = ordered.filter(exam => exam.date === date);
+        days.push({
+            date,
+            exams: examsToday.map(exam => exam.subject),
+            capacity: examsToday.length > 0 || request.rest_days.includes(weekday(date)) ? 0 : dailyMinutes,
+            revision: null,
+            sessions: []
+        });
+    }
+
+    // Revision days, looking back no further than the previous exam
+    let previousExamIndex = -1;
+    ordered.forEach(exam => {
+        const examIndex = days.findIndex(day => day.date === exam.date);
+        for (let i = examIndex - 1; i > previousExamIndex; i--) {
+            if (days[i].capacity > 0 && !days[i].revision) {
+                days[i].revision = exam;
+                break;
+            }
+        }
+        previousExamIndex = examIndex;
+    });
+
+    const studyMinutesBefore = (date) => days
+        .filter(day => day.date < date && !day.revision)
+        .reduce((sum, day) => sum + day.capacity, 0);
+
+    const chapters = ordered.flatMap(exam => exam.chapters.map(chapter => ({ exam, chapter, effort: chapter.weight + chapter.difficulty })));
+    const totalEffort = chapters.reduce((sum, item) => sum + item.effort, 0);
+    const totalMinutes = studyMinutesBefore(lastExam);
+    chapters.forEach(item => { item.minutes = item.effort / totalEffort * totalMinutes; });
+
+    let allocated = 0;
+    ordered.forEach(exam => {
+        const own = chapters.filter(item => item.exam === exam);
+        const wanted = own.reduce((sum, item) => sum + item.minutes, 0);
+        const available = Math.max(0, studyMinutesBefore(exam.date) - allocated);
+        if (wanted > available + 1) {
+            own.forEach(item => { item.minutes *= available / wanted; });
+            warnings.push(`Only ${formatHours(available)} of study time is left before ${exam.subject} on ${exam.date} - its chapters get less time than their weight suggests`);
+        }
+        own.forEach(item => {
+            item.minutes = Math.round(item.minutes / MIN_SESSION_MINUTES) * MIN_SESSION_MINUTES;
+            allocated += item.minutes;
+        });
+    });
+
+    // Earliest exam first, chapters in the order they were listed
+    const queue = chapters.filter(item => item.minutes >= MIN_SESSION_MINUTES);
+    const skipped = chapters.filter(item => item.minutes < MIN_SESSION_MINUTES);
+    let sessionCount = 0;
+    const addSession = (day, session) => {
+        day.sessions.push({ id: `s${++sessionCount}`, ...session, done: false });
+    };
+
+    days.forEach(day => {
+        let free = day.capacity;
+        if (!day.revision) {
+            while (free >= MIN_SESSION_MINUTES && queue.length > 0) {
+                const item = queue[0];
+                if (item.exam.date <= day.date) {
+                    skipped.push(queue.shift());
+                    continue;
+                }
+                const minutes = Math.min(item.minutes, free, SESSION_MAX_MINUTES);
+                addSession(day, { exam_id: item.exam.id, subject: item.exam.subject, chapter: item.chapter.name, kind: 'study', minutes });
+                item.minutes -= minutes;
+                item.placed = (item.placed || 0) + minutes;
+                free -= minutes;
+                if (item.minutes < MIN_SESSION_MINUTES) queue.shift();
+            }
+        }
+        const next = day.revision || ordered.find(exam => exam.date > day.date);
+        while (next && free >= MIN_SESSION_MINUTES) {
+            const minutes = Math.min(free, SESSION_MAX_MINUTES);
+            addSession(day, { exam_id: next.id, subject: next.subject, chapter: null, kind: 'revision', minutes });
+            free -= minutes;
+        }
+        retime(day, request.start_time);
+    });
+
+    skipped.concat(queue).forEach(item => {
+        warnings.push(item.placed
+            ? `${item.exam.subject}: ${item.chapter.name} is ${formatHours(item.minutes)} short of its share`
+            : `No time left for ${item.exam.subject}: ${item.chapter.name}`);
+    });
+    numberParts(days);
+
+    return {
+        days: days.map(({ date, exams: examsToday, sessions }) => ({ date, exams: examsToday, sessions })),
+        warnings
+    };
+}
+
+// Sessions of one day run back to back from the plan's start time
+function retime(day, startTime) {
+    let start = toMinutes(startTime);
+    day.sessions.forEach(session => {
+        session.start = toTime(start);
+        start += session.minutes;
+    });
+}
+
+// Minutes past midnight at which a day's last session ends
+const dayEnd = (day, startTime) => toMinutes(startTime) + day.sessions.reduce((sum, session) => sum + session.minutes, 0);
+
+// "part 2 of 3" for chapters spread over several sessions
+function numberParts(days) {
+    const parts = new Map();
+    days.forEach(day => day.sessions.forEach(session => {
+        if (session.kind !== 'study') return;
+        const key = session.exam_id + '\n' + session.chapter;
+        if (!parts.has(key)) parts.set(key, []);
+        parts.get(key).push(session);
+    }));
+    parts.forEach(sessions => sessions.forEach((session, index) => {
+        if (sessions.length > 1) {
+            session.part = index + 1;
+            session.parts = sessions.length;
+        } else {
+            delete session.part;
+            delete session.parts;
+        }
+    }));
+}
+
+function buildPlan(request, exams, weighting) {
+    const { days, warnings } = buildSchedule(request, exams);
+    return {
+        title: request.title,
+        class: request.class,
+        start_date: request.start_date,
+        daily_hours: request.daily_hours,
+        start_time: request.start_time,
+        rest_days: request.rest_days,
+        exams,
+        weighting,
+        days,
+        warnings
+    };
+}
+
+// Applies the edits a student makes in the calendar. `body` is { title,
+// sessions: [{ id, date, minutes, done, delete }] }; only the fields given
+// change. Returns { plan } with a changed copy, or { error }.
+function applyPlanEdits(plan, body) {
+    const edited = JSON.parse(JSON.stringify(plan));
+    if (body.title !== undefined) {
+        if (typeof body.title !== 'string' || !body.title.trim()) return { error: 'title must be non-empty text' };
+        edited.title = body.title.trim().substring(0, 120);
+    }
+
+    const edits = body.sessions === undefined ? [] : body.sessions;
+    if (!Array.isArray(edits)) return { error: 'sessions must be a list of session changes' };
+
+    const lastDate = edited.days[edited.days.length - 1].date;
+    const touched = new Set();
+    for (const edit of edits) {
+        const day = edit && edited.days.find(candidate => candidate.sessions.some(session => session.id === edit.id));
+        if (!day) return { error: `No session with id ${edit && edit.id}` };
+        const session = day.sessions.find(candidate => candidate.id === edit.id);
+
+        if (edit.delete === true) {
+            day.sessions = day.sessions.filter(candidate => candidate !== session);
+            touched.add(day);
+            continue;
+        }
+        if (edit.done !== undefined) {
+            if (typeof edit.done !== 'boolean') return { error: 'done must be true or false' };
+            session.done = edit.done;
+            session.done_at = edit.done ? new Date().toISOString() : undefined;
+        }
+        if (edit.minutes !== undefined) {
+            if (!Number.isInteger(edit.minutes) || edit.minutes < 5 || edit.minutes > 240) {
+                return { error: 'minutes must be a whole number from 5 to 240' };
+            }
+            session.minutes = edit.minutes;
+            touched.add(day);
+        }
+        if (edit.date !== undefined && edit.date !== day.date) {
+            const target = isDate(edit.date) && edited.days.find(candidate => candidate.date === edit.date);
+            if (!target) return { error: `date must be a day of the plan, from ${edited.start_date} to ${lastDate}` };
+            day.sessions = day.sessions.filter(candidate => candidate !== session);
+            target.sessions.push(session);
+            touched.add(day);
+            touched.add(target);
+        }
+    }
+
+    // Days run from the plan's start time, so a day that no longer fits
+    // before midnight has to lose a session rather than wrap into the next
+    const overfull = [...touched].find(day => dayEnd(day, edited.start_time) > 24 * 60);
+    if (overfull) {
+        return { error: `Sessions on ${overfull.date} would run past midnight from ${edited.start_time} - move or shorten one first` };
+    }
+    touched.forEach(day => retime(day, edited.start_time));
+    numberParts(edited.days);
+    edited.updated_at = new Date().toISOString();
+    return { plan: edited };
+}
+
+// Totals for progress bars and plan lists
+function planProgress(plan) {
+    const sessions = plan.days.flatMap(day => day.sessions);
+    const done = sessions.filter(session => session.done);
+    return {
+        sessions: sessions.length,
+        sessions_done: done.length,
+        minutes: sessions.reduce((sum, session) => sum + session.minutes, 0),
+        minutes_done: done.reduce((sum, session) => sum + session.minutes, 0)
+    };
+}
+
+function summarizePlan(plan) {
+    return {
+        id: plan.id,
+        title: plan.title,
+        start_date: plan.start_date,
+        end_date: plan.days[plan.days.length - 1].date,
+        exams: plan.exams.length,
+        progress: planProgress(plan),
+        created_at: plan.created_at,
+        updated_at: plan.updated_at
+    };
+}
+
+const icsText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icsDate = (date) => date.replace(/-/g, '');
+// Local date-time `minutes` after the start of `date`; a session ending at
+// midnight ends at 00:00 the next day
+const icsDateTime = (date, minutes) =>
+    `${icsDate(addDays(date, Math.floor(minutes / (24 * 60))))}T${toTime(minutes % (24 * 60)).replace(':', '')}00`;
+const icsStamp = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines longer than 75 bytes are folded onto continuation lines
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const character of line) {
+        const size = Buffer.byteLength(character);
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += character;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function sessionSummary(session) {
+    if (session.kind === 'revision') return `🔁 Revise ${session.subject}`;
+    return `📖 ${session.subject}: ${session.chapter}${session.part ? ` (part ${session.part} of ${session.parts})` : ''}`;
+}
+
+// iCalendar file with each session as a timed event (in the calendar's own
+// time zone) with a reminder, and each exam as an all-day event
+function toICS(plan) {
+    const stamp = icsStamp(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//JARVIS AI//Study Planner//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(plan.title)}`
+    ];
+
+    plan.days.forEach(day => {
+        day.sessions.forEach(session => {
+            const start = toMinutes(session.start);
+            const summary = sessionSummary(session);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${plan.id}-${session.id}@jarvis-ai`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${icsDateTime(day.date, start)}`,
+                `DTEND:${icsDateTime(day.date, start + session.minutes)}`,
+                `SUMMARY:${icsText(summary)}`,
+                `DESCRIPTION:${icsText(`${plan.title} - ${session.minutes} minutes${session.done ? ' (done)' : ''}`)}`,
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `TRIGGER:-PT${REMINDER_MINUTES}M`,
+                `DESCRIPTION:${icsText(summary)}`,
+                'END:VALARM',
+                'END:VEVENT'
+            );
+        });
+    });
+
+    plan.exams.forEach(exam => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${plan.id}-${exam.id}@jarvis-ai`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(exam.date)}`,
+            `DTEND;VALUE=DATE:${icsDate(addDays(exam.date, 1))}`,
+            `SUMMARY:${icsText(`📝 ${exam.subject} exam`)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function planFilename(plan) {
+    const slug = plan.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+    return `jarvis-${slug || 'study-plan'}.ics`;
+}
+
+class PlanStore {
+    constructor(filePath, { maxPerUser = 20 } = {}) {
+        this.filePath = filePath;
+        this.maxPerUser = maxPerUser;
+        this.plans = new Map(); // oldest first
+        (readJSON(filePath, {}).plans || []).forEach(plan => this.plans.set(plan.id, plan));
+    }
+
+    save() {
+        writeJSON(this.filePath, { plans: [...this.plans.values()] });
+    }
+
+    add(plan) {
+        const now = new Date().toISOString();
+        const stored = { id: crypto.randomUUID(), ...plan, created_at: now, updated_at: now };
+        this.plans.set(stored.id, stored);
+        // Over the cap, the student's own oldest plan makes way; other
+        // students' plans are never touched
+        const own = [...this.plans.values()].filter(plan => plan.userId === stored.userId);
+        own.slice(0, Math.max(0, own.length - this.maxPerUser)).forEach(plan => this.plans.delete(plan.id));
+        this.save();
+        return stored;
+    }
+
+    get(id) {
+        return this.plans.get(id) || null;
+    }
+
+    // Plans owned by userId, most recently changed first
+    list(userId) {
+        return [...this.plans.values()]
+            .filter(plan => plan.userId === userId)
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+            .map(summarizePlan);
+    }
+
+    replace(plan) {
+        this.plans.set(plan.id, plan);
+        this.save();
+        return plan;
+    }
+
+    delete(id) {
+        const removed = this.plans.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    deleteForUser(userId) {
+        const owned = [...this.plans.values()].filter(plan => plan.userId === userId);
+        owned.forEach(plan => this.plans.delete(plan.id));
+        if (owned.length > 0) this.save();
+        return owned.length;
+    }
+}
+
+module.exports = {
+    PlanError,
+    PlanStore,
+    validatePlanRequest,
+    buildWeightingPrompt,
+    parseWeights,
+    evenWeights,
+    buildPlan,
+    applyPlanEdits,
+    planProgress,
+    toICS,
+    planFilename
+};
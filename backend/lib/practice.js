@@ -0,0 +1,292 @@
+// JARVIS Practice Tests
+// Asks a provider for a strict-JSON CBSE practice test, repairs and validates
+// what comes back, stores the answer key server-side and grades submissions.
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonFile');
+const { normalizeWords } = require('./text');
+
+const QUESTION_TYPES = ['mcq', 'short', 'long'];
+const DEFAULT_MARKS = { mcq: 1, short: 3, long: 5 };
+const MAX_QUESTIONS = { mcq: 20, short: 10, long: 5 };
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+class PracticeTestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PracticeTestError';
+    }
+}
+
+// Returns { request } or { error } for the body of POST /api/tests
+function validateTestRequest(body) {
+    const counts = body.counts || {};
+    const request = {
+        topic: typeof body.topic === 'string' ? body.topic.trim().substring(0, 200) : '',
+        difficulty: DIFFICULTIES.includes(body.difficulty) ? body.difficulty : 'medium',
+        counts: {}
+    };
+
+    for (const type of QUESTION_TYPES) {
+        const count = counts[type] === undefined ? { mcq: 5, short: 3, long: 2 }[type] : Number(counts[type]);
+        if (!Number.isInteger(count) || count < 0 || count > MAX_QUESTIONS[type]) {
+            return { error: `counts.${type} must be a whole number from 0 to ${MAX_QUESTIONS[type]}` };
+        }
+        request.counts[type] = count;
+    }
+
+    if (QUESTION_TYPES.every(type => request.counts[type] === 0)) {
+        return { error: 'Ask for at least one question' };
+    }
+    return { request };
+}
+
+function buildTestPrompt(request, curriculum) {
+    const subject = curriculum.subject || 'any subject';
+    const topic = request.topic || curriculum.chapter || `the Class ${curriculum.class} ${subject} syllabus`;
+
+    return [
+        {
+            role: 'system',
+            content: 'You write CBSE practice tests. Reply with a single JSON object and nothing else - no markdown fences, no commentary. ' +
+                'The JSON must match this shape exactly:\n' +
+                '{"title": string, "duration_minutes": number, "questions": [' +
+                '{"type": "mcq", "question": string, "options": [string, string, string, string], "answer": number (0-based index of the correct option), "marks": number, "explanation": string}, ' +
+                '{"type": "short" | "long", "question": string, "answer": string (model answer), "keywords": [string] (key terms a correct answer must mention), "marks": number, "explanation": string}' +
+                ']}'
+        },
+        {
+            role: 'user',
+            content: `Create a ${request.difficulty} CBSE Class ${curriculum.class} ${subject} practice test on ${topic}. ` +
+                `Include exactly ${request.counts.mcq} MCQs (1 mark each), ${request.counts.short} short-answer questions (2-3 marks each) ` +
+                `and ${request.counts.long} long-answer questions (5 marks each), in that order. ` +
+                'Follow the NCERT syllabus and CBSE board question style.'
+        }
+    ];
+}
+
+// Pulls a JSON object out of model output, fixing the usual slips: code
+// fences, chatter around the object, smart quotes and trailing commas
+function extractJSON(text) {
+    if (typeof text !== 'string') return null;
+    let candidate = text.replace(/```(?:json)?/gi, '');
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    candidate = candidate.slice(start, end + 1);
+
+    const attempts = [
+        candidate,
+        candidate
+            .replace(/[“”]/g, '"')
+            .replace(/[‘’]/g, '\'')
+            .replace(/,\s*([}\]])/g, '$1')
+    ];
+    for (const attempt of attempts) {
+        try {
+            return JSON.parse(attempt);
+        } catch {
+            // try the next repair
+        }
+    }
+    return null;
+}
+
+// Accepts the option text itself, "B", "b)", "Option B" or 1. The text is
+// tried first so an option such as "A cell wall" is not read as letter A.
+function normalizeMcqAnswer(answer, options) {
+    if (Number.isInteger(answer) && answer >= 0 && answer < options.length) return answer;
+    if (typeof answer === 'string') {
+        const trimmed = answer.trim();
+        const byText = options.findIndex(option => option.trim().toLowerCase() === trimmed.toLowerCase());
+        if (byText !== -1) return byText;
+        const letter = trimmed.match(/^(?:option\s*)?\(?([a-d])\)?[).:]?(?:\s|$)/i);
+        if (letter) {
+            const index = letter[1].toUpperCase().charCodeAt(0) - 65;
+            return index < options.length ? index : null;
+        }
+        if (/^\d+$/.test(trimmed) && Number(trimmed) < options.length) return Number(trimmed);
+    }
+    return null;
+}
+
+function normalizeQuestion(raw, index) {
+    if (!raw || typeof raw !== 'object' || typeof raw.question !== 'string' || !raw.question.trim()) {
+        return null;
+    }
+    const type = String(raw.type || '').toLowerCase().replace(/[^a-z]/g, '');
+    const normalizedType = type.startsWith('mcq') || type.startsWith('multiple') ? 'mcq'
+        : type.startsWith('short') ? 'short'
+            : type.startsWith('long') ? 'long'
+                : null;
+    if (!normalizedType) return null;
+
+    const marks = Number(raw.marks);
+    const question = {
+        id: `q${index + 1}`,
+        type: normalizedType,
+        question: raw.question.trim(),
+        marks: Number.isFinite(marks) && marks > 0 && marks <= 10 ? marks : DEFAULT_MARKS[normalizedType],
+        explanation: typeof raw.explanation === 'string' ? raw.explanation.trim() : ''
+    };
+
+    if (normalizedType === 'mcq') {
+        let options = raw.options;
+        if (options && !Array.isArray(options) && typeof options === 'object') {
+            options = Object.values(options);
+        }
+        if (!Array.isArray(options) || options.length < 2) return null;
+        question.options = options.map(option => String(option).replace(/^\(?[a-d][).:]\s*/i, '').trim());
+        question.answer = normalizeMcqAnswer(raw.answer, question.options);
+        if (question.answer === null) return null;
+    } else {
+        if (typeof raw.answer !== 'string' || !raw.answer.trim()) return null;
+        question.answer = raw.answer.trim();
+        question.keywords = Array.isArray(raw.keywords)
+            ? raw.keywords.map(k => String(k).trim()).filter(Boolean).slice(0, 10)
+            : [];
+    }
+    return question;
+}
+
+// Validates a parsed test against the schema, dropping broken questions.
+// Throws PracticeTestError when too little survives to be useful.
+function repairTest(parsed, request) {
+    if (!parsed || !Array.isArray(parsed.questions)) {
+        throw new PracticeTestError('Output has no questions array');
+    }
+
+    const questions = parsed.questions
+        .map((raw, index) => normalizeQuestion(raw, index))
+        .filter(Boolean)
+        .map((question, index) => ({ ...question, id: `q${index + 1}` }));
+
+    const requested = QUESTION_TYPES.reduce((sum, type) => sum + request.counts[type], 0);
+    if (questions.length === 0 || questions.length < Math.ceil(requested / 2)) {
+        throw new PracticeTestError(`Only ${questions.length} of ${requested} questions were usable`);
+    }
+
+    const totalMarks = questions.reduce((sum, q) => sum + q.marks, 0);
+    const duration = Number(parsed.duration_minutes);
+    return {
+        title: typeof parsed.title === 'string' && parsed.title.trim() ? parsed.title.trim() : 'Practice Test',
+        duration_minutes: Number.isFinite(duration) && duration > 0 && duration <= 180
+            ? Math.round(duration)
+            : Math.max(5, Math.round(totalMarks * 1.5)),
+        total_marks: totalMarks,
+        questions
+    };
+}
+
+// Copy of a test that is safe to send before it is submitted
+function withoutAnswers(test) {
+    return {
+        ...test,
+        questions: test.questions.map(({ answer, keywords, explanation, ...question }) => question)
+    };
+}
+
+// MCQs are exact; written answers earn marks for the share of keywords they
+// mention, rounded to the nearest half mark
+function gradeQuestion(question, submitted) {
+    const result = {
+        id: question.id,
+        type: question.type,
+        marks: question.marks,
+        correct_answer: question.answer,
+        explanation: question.explanation
+    };
+
+    if (question.type === 'mcq') {
+        const chosen = submitted === undefined || submitted === null || submitted === '' ? null : Number(submitted);
+        result.submitted = chosen;
+        result.score = chosen === question.answer ? question.marks : 0;
+        result.status = chosen === null ? 'unanswered' : result.score > 0 ? 'correct' : 'incorrect';
+        return result;
+    }
+
+    const answer = normalizeWords(submitted);
+    result.submitted = typeof submitted === 'string' ? submitted : '';
+    if (!answer) {
+        return { ...result, score: 0, status: 'unanswered', matched_keywords: [] };
+    }
+
+    // Keywords with nothing left to match once normalised ("-", "?") are
+    // dropped, since every answer would contain them
+    const given = question.keywords.filter(keyword => normalizeWords(keyword));
+    const keywords = given.length > 0
+        ? given
+        : normalizeWords(question.answer).split(' ').filter(word => word.length > 5).slice(0, 6);
+    const matched = keywords.filter(keyword => answer.includes(normalizeWords(keyword)));
+    const share = keywords.length > 0 ? matched.length / keywords.length : 0;
+    result.score = Math.round(share * question.marks * 2) / 2;
+    result.matched_keywords = matched;
+    result.missing_keywords = keywords.filter(keyword => !matched.includes(keyword));
+    result.status = result.score >= question.marks ? 'correct' : result.score > 0 ? 'partial' : 'incorrect';
+    return result;
+}
+
+function gradeTest(test, answers, timeTakenSeconds) {
+    const results = test.questions.map(question => gradeQuestion(question, answers[question.id]));
+    const score = results.reduce((sum, r) => sum + r.score, 0);
+    return {
+        test_id: test.id,
+        score,
+        total_marks: test.total_marks,
+        percentage: Math.round(score / test.total_marks * 100),
+        time_taken_seconds: Number.isFinite(timeTakenSeconds) ? Math.round(timeTakenSeconds) : null,
+        graded_at: new Date().toISOString(),
+        results
+    };
+}
+
+class PracticeTestStore {
+    constructor(filePath, { maxPerUser = 50 } = {}) {
+        this.filePath = filePath;
+        this.maxPerUser = maxPerUser;
+        this.tests = new Map(); // oldest first
+        (readJSON(filePath, {}).tests || []).forEach(test => this.tests.set(test.id, test));
+    }
+
+    add(test) {
+        const stored = { id: crypto.randomUUID(), created_at: new Date().toISOString(), attempts: [], ...test };
+        this.tests.set(stored.id, stored);
+        // Over the cap, the student's own oldest test makes way
+        const own = [...this.tests.values()].filter(other => other.userId === stored.userId);
+        own.slice(0, Math.max(0, own.length - this.maxPerUser)).forEach(other => this.tests.delete(other.id));
+        this.save();
+        return stored;
+    }
+
+    get(id) {
+        return this.tests.get(id) || null;
+    }
+
+    recordAttempt(id, grade) {
+        const test = this.get(id);
+        if (!test) return;
+        test.attempts.push({ score: grade.score, percentage: grade.percentage, graded_at: grade.graded_at });
+        this.save();
+    }
+
+    deleteForUser(userId) {
+        const owned = [...this.tests.values()].filter(test => test.userId === userId);
+        owned.forEach(test => this.tests.delete(test.id));
+        if (owned.length > 0) this.save();
+        return owned.length;
+    }
+
+    save() {
+        writeJSON(this.filePath, { tests: [...this.tests.values()] });
+    }
+}
+
+module.exports = {
+    PracticeTestError,
+    PracticeTestStore,
+    validateTestRequest,
+    buildTestPrompt,
+    extractJSON,
+    repairTest,
+    withoutAnswers,
+    gradeTest
+};
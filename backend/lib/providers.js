@@ -0,0 +1,251 @@
+// JARVIS Provider Registry
+// Loads AI providers from a JSON config file, validates them and reloads the
+// file when it changes. Runtime admin changes (enable/disable/priority) are
+// kept as overrides so they survive a config reload and a server restart.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CONTEXT_WINDOW } = require('./context');
+const { ADAPTER_TYPES, DEFAULT_CONNECT_TIMEOUT_MS, DEFAULT_TIMEOUT_MS } = require('./adapters');
+const { logger } = require('./logger');
+
+const SUPPORTED_TYPES = [...ADAPTER_TYPES, 'fixture'];
+
+// Providers answered locally from recorded fixtures; they need no URL or key
+const LOCAL_TYPES = ['fixture'];
+
+// Local model servers, where an API key is optional
+const KEYLESS_TYPES = ['fixture', 'ollama', 'llamacpp'];
+
+// Types whose requests name a model
+const MODEL_TYPES = ['openai-compatible', 'anthropic', 'gemini', 'ollama'];
+
+class ProviderConfigError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ProviderConfigError';
+        this.problems = problems;
+    }
+}
+
+// Returns a list of human readable problems; an empty list means valid
+function validateProviderConfig(config) {
+    const problems = [];
+
+    if (!config || !Array.isArray(config.providers)) {
+        return ['Config must be an object with a "providers" array'];
+    }
+
+    const names = new Set();
+    config.providers.forEach((provider, index) => {
+        const label = provider && provider.name ? provider.name : `providers[${index}]`;
+
+        if (!provider || typeof provider !== 'object') {
+            problems.push(`${label}: must be an object`);
+            return;
+        }
+        if (typeof provider.name !== 'string' || !provider.name.trim()) {
+            problems.push(`${label}: "name" is required`);
+        } else if (names.has(provider.name)) {
+            problems.push(`${label}: duplicate provider name`);
+        } else {
+            names.add(provider.name);
+        }
+        const local = LOCAL_TYPES.includes(provider.type);
+        if (!local && (typeof provider.url !== 'string' || !/^https?:\/\//.test(provider.url))) {
+            problems.push(`${label}: "url" must be an http(s) URL`);
+        }
+        if (!SUPPORTED_TYPES.includes(provider.type)) {
+            problems.push(`${label}: "type" must be one of ${SUPPORTED_TYPES.join(', ')}`);
+        }
+        if (MODEL_TYPES.includes(provider.type) && typeof provider.model !== 'string') {
+            problems.push(`${label}: "model" is required for ${provider.type} providers`);
+        }
+        const keyOptional = KEYLESS_TYPES.includes(provider.type) && provider.keyEnv === undefined;
+        if (!keyOptional && (typeof provider.keyEnv !== 'string' || !/^[A-Z0-9_]+$/.test(provider.keyEnv))) {
+            problems.push(`${label}: "keyEnv" must name an environment variable`);
+        }
+        if (provider.type === 'fixture') {
+            if (typeof provider.fixtures !== 'string' || !provider.fixtures.trim()) {
+                problems.push(`${label}: "fixtures" must be the path of a fixtures file`);
+            }
+            if (provider.fallback !== undefined && typeof provider.fallback !== 'string') {
+                problems.push(`${label}: "fallback" must be text`);
+            }
+        }
+        if (!Number.isFinite(provider.priority)) {
+            problems.push(`${label}: "priority" must be a number`);
+        }
+        if (provider.maxTokens !== undefined && !(Number.isInteger(provider.maxTokens) && provider.maxTokens > 0)) {
+            problems.push(`${label}: "maxTokens" must be a positive integer`);
+        }
+        if (provider.contextWindow !== undefined && !(Number.isInteger(provider.contextWindow) && provider.contextWindow > 0)) {
+            problems.push(`${label}: "contextWindow" must be a positive integer`);
+        }
+        if (provider.temperature !== undefined && !(typeof provider.temperature === 'number' && provider.temperature >= 0 && provider.temperature <= 2)) {
+            problems.push(`${label}: "temperature" must be between 0 and 2`);
+        }
+        ['connectTimeoutMs', 'timeoutMs'].forEach(field => {
+            if (provider[field] !== undefined && !(Number.isInteger(provider[field]) && provider[field] > 0)) {
+                problems.push(`${label}: "${field}" must be a positive integer (milliseconds)`);
+            }
+        });
+        if (provider.enabled !== undefined && typeof provider.enabled !== 'boolean') {
+            problems.push(`${label}: "enabled" must be true or false`);
+        }
+        if (provider.pricing !== undefined) {
+            const pricing = provider.pricing;
+            if (!pricing || typeof pricing !== 'object' ||
+                !['inputPerMillion', 'outputPerMillion'].every(key => typeof pricing[key] === 'number' && pricing[key] >= 0)) {
+                problems.push(`${label}: "pricing" must have non-negative "inputPerMillion" and "outputPerMillion" (USD)`);
+            }
+        }
+        if (provider.dailyBudget !== undefined && !(typeof provider.dailyBudget === 'number' && provider.dailyBudget >= 0)) {
+            problems.push(`${label}: "dailyBudget" must be a non-negative number (USD)`);
+        }
+    });
+
+    return problems;
+}
+
+class ProviderRegistry {
+    constructor({ configPath, overridesPath }) {
+        this.configPath = configPath;
+        this.overridesPath = overridesPath;
+        this.providers = [];
+        this.overrides = this.readOverrides();
+        this.loadedAt = null;
+    }
+
+    // Throws ProviderConfigError and keeps the previous providers if invalid
+    load() {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        } catch (error) {
+            throw new ProviderConfigError(`Cannot read ${this.configPath}: ${error.message}`);
+        }
+
+        const problems = validateProviderConfig(config);
+        if (problems.length > 0) {
+            throw new ProviderConfigError(`Invalid provider config ${this.configPath}`, problems);
+        }
+
+        // Fixture paths are relative to the config file
+        const configDir = path.dirname(path.resolve(this.configPath));
+        this.providers = config.providers.map(provider => ({
+            temperature: 0.7,
+            maxTokens: 2000,
+            contextWindow: DEFAULT_CONTEXT_WINDOW,
+            enabled: true,
+            ...provider,
+            ...(provider.fixtures ? { fixtures: path.resolve(configDir, provider.fixtures) } : {})
+        }));
+        this.loadedAt = new Date().toISOString();
+        return this.providers.length;
+    }
+
+    // Polls the config file and reloads it when it changes
+    watch() {
+        fs.watchFile(this.configPath, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            try {
+                const count = this.load();
+                logger.info('Provider config reloaded', { providers: count });
+            } catch (error) {
+                logger.error('Invalid provider config - keeping previous providers', { err: error });
+            }
+        });
+    }
+
+    // All providers with overrides applied and their API key resolved
+    getAll() {
+        return this.providers.map(provider => {
+            const override = this.overrides[provider.name] || {};
+            return {
+                ...provider,
+                ...override,
+                key: provider.keyEnv ? process.env[provider.keyEnv] : undefined
+            };
+        });
+    }
+
+    get(name) {
+        return this.getAll().find(provider => provider.name === name);
+    }
+
+    // Enabled providers with a usable key, in priority order
+    getActive() {
+        return this.getAll()
+            .filter(provider => provider.enabled && hasUsableKey(provider))
+            .sort((a, b) => a.priority - b.priority);
+    }
+
+    setEnabled(name, enabled) {
+        return this.setOverride(name, { enabled });
+    }
+
+    setPriority(name, priority) {
+        return this.setOverride(name, { priority });
+    }
+
+    setOverride(name, changes) {
+        if (!this.providers.some(provider => provider.name === name)) {
+            return null;
+        }
+        this.overrides[name] = { ...this.overrides[name], ...changes };
+        this.writeOverrides();
+        return this.get(name);
+    }
+
+    readOverrides() {
+        try {
+            return JSON.parse(fs.readFileSync(this.overridesPath, 'utf8'));
+        } catch {
+            return {};
+        }
+    }
+
+    writeOverrides() {
+        fs.mkdirSync(path.dirname(this.overridesPath), { recursive: true });
+        fs.writeFileSync(this.overridesPath, JSON.stringify(this.overrides, null, 2));
+    }
+}
+
+function hasUsableKey(provider) {
+    if (KEYLESS_TYPES.includes(provider.type)) return true;
+    return Boolean(provider.key && provider.key.length > 10 && !/^your_.*_here$/.test(provider.key));
+}
+
+// Safe view of a provider for API responses - never includes the key
+function describeProvider(provider) {
+    return {
+        name: provider.name,
+        type: provider.type,
+        model: provider.model || null,
+        url: provider.url || null,
+        priority: provider.priority,
+        maxTokens: provider.maxTokens,
+        contextWindow: provider.contextWindow,
+        temperature: provider.temperature,
+        enabled: provider.enabled,
+        pricing: provider.pricing || null,
+        dailyBudget: Number.isFinite(provider.dailyBudget) ? provider.dailyBudget : null,
+        ...(LOCAL_TYPES.includes(provider.type) ? {} : {
+            connectTimeoutMs: provider.connectTimeoutMs || DEFAULT_CONNECT_TIMEOUT_MS,
+            timeoutMs: provider.timeoutMs || DEFAULT_TIMEOUT_MS
+        }),
+        keyEnv: provider.keyEnv || null,
+        ...(provider.type === 'fixture' ? { fixtures: provider.fixtures } : {}),
+        key_configured: hasUsableKey(provider),
+        description: provider.description || ''
+    };
+}
+
+module.exports = {
+    ProviderRegistry,
+    ProviderConfigError,
+    SUPPORTED_TYPES,
+    validateProviderConfig,
+    hasUsableKey,
+    describeProvider
+};
@@ -0,0 +1,70 @@
+// JARVIS Security
+// CORS allowlist from configuration and the security headers sent with every
+// backend response.
+const { logger } = require('./logger');
+
+// Response headers the frontend may read across origins
+const EXPOSED_HEADERS = ['X-Request-Id', 'Content-Disposition'];
+
+// CORS_ORIGINS is a comma separated list of exact origins, e.g.
+// "https://jarvis.example.org,http://localhost:5500". "*" allows any origin
+// and is only honoured outside production.
+function parseOrigins(value) {
+    return String(value || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+function buildCorsOptions(env = process.env) {
+    const origins = parseOrigins(env.CORS_ORIGINS);
+    const production = env.NODE_ENV === 'production';
+
+    // Development without configuration keeps working from any local page,
+    // including one opened straight from disk
+    if (origins.includes('*') || (origins.length === 0 && !production)) {
+        if (!production) {
+            return { options: { origin: true, credentials: true, exposedHeaders: EXPOSED_HEADERS }, origins: ['*'] };
+        }
+        logger.warn('CORS_ORIGINS="*" is ignored in production - set explicit origins');
+    }
+
+    const allowed = origins.filter(origin => origin !== '*');
+    if (allowed.length === 0) {
+        logger.warn('CORS_ORIGINS is empty - browsers on other origins cannot reach the API');
+    }
+
+    return {
+        options: {
+            origin: (origin, callback) => callback(null, !origin || allowed.includes(origin)),
+            credentials: true,
+            exposedHeaders: EXPOSED_HEADERS
+        },
+        origins: allowed
+    };
+}
+
+// The API only returns JSON, event streams and static KaTeX assets, so the
+// policy blocks everything; the frontend pages carry their own CSP.
+function securityHeaders(env = process.env) {
+    const production = env.NODE_ENV === 'production';
+    return (req, res, next) => {
+        res.setHeader('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'; base-uri 'none'");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('Referrer-Policy', 'no-referrer');
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+        res.setHeader('Permissions-Policy', 'camera=(), geolocation=(), payment=()');
+        if (production) {
+            res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+        }
+        res.removeHeader('X-Powered-By');
+        next();
+    };
+}
+
+module.exports = {
+    parseOrigins,
+    buildCorsOptions,
+    securityHeaders
+};
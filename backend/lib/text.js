@@ -0,0 +1,17 @@
+// JARVIS Text Matching
+// Normalises what students and providers write before it is compared, so
+// "Ohm's Law?!" and "ohm's law" match. Unicode-aware: Hindi and other
+// non-Latin text keeps its letters and vowel signs instead of vanishing.
+
+// Lowercase words separated by single spaces. Letters, combining marks
+// (Devanagari matras and the like) and digits make up words; everything
+// else separates them.
+function normalizeWords(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+module.exports = { normalizeWords };
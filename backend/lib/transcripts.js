@@ -0,0 +1,129 @@
+// JARVIS Session Export
+// Study sessions leave the app as Markdown revision notes or as a JSON file
+// that keeps roles, timestamps, providers and sources. The JSON file can be
+// imported again - on another device or account - to carry on the session.
+const { validateMessage } = require('./conversations');
+
+const EXPORT_FORMAT = 'jarvis-conversation';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_MESSAGES = 2000;
+
+// Only these citation fields are exported and accepted back
+const CITATION_FIELDS = ['n', 'book', 'chapter', 'page', 'class', 'subject', 'excerpt'];
+
+const pick = (object, fields) => Object.fromEntries(fields
+    .filter(field => object[field] !== undefined && object[field] !== null)
+    .map(field => [field, object[field]]));
+
+function exportMessage(message) {
+    return {
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp || null,
+        ...(message.provider ? { provider: message.provider } : {}),
+        ...(message.citations && message.citations.length ? { citations: message.citations.map(c => pick(c, CITATION_FIELDS)) } : {}),
+        // Attachment ids only mean something on this server
+        ...(message.attachments && message.attachments.length ? { attachments: message.attachments.map(a => ({ name: a.name })) } : {})
+    };
+}
+
+function toExportJSON(conversation) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exported_at: new Date().toISOString(),
+        conversation: {
+            title: conversation.title,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            messages: conversation.messages.map(exportMessage)
+        }
+    };
+}
+
+const formatTime = (timestamp) => timestamp ? new Date(timestamp).toISOString().replace('T', ' ').substring(0, 16) + ' UTC' : '';
+
+// Revision notes: each turn under its own heading, sources as a list
+function toMarkdown(conversation) {
+    const lines = [
+        `# ${conversation.title}`,
+        '',
+        `_Study session with JARVIS · ${conversation.messages.length} messages · exported ${formatTime(new Date().toISOString())}_`
+    ];
+    conversation.messages.forEach(message => {
+        const who = message.role === 'user' ? '👤 Student' : `🤖 JARVIS${message.provider ? ` (${message.provider})` : ''}`;
+        const when = formatTime(message.timestamp);
+        lines.push('', '---', '', `## ${who}${when ? ` · ${when}` : ''}`, '', message.content.trim());
+        if (message.attachments && message.attachments.length) {
+            lines.push('', `📎 Attached: ${message.attachments.map(a => a.name).join(', ')}`);
+        }
+        if (message.citations && message.citations.length) {
+            lines.push('', '**Sources**', '');
+            message.citations.forEach(c => {
+                lines.push(`${c.n}. ${c.book}, "${c.chapter}"${c.page ? `, page ${c.page}` : ''}`);
+            });
+        }
+    });
+    return lines.join('\n') + '\n';
+}
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Checks an uploaded export. Returns { conversation: { title, createdAt,
+// messages } } or { error } describing the first problem found.
+function parseImport(data) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+        return { error: `Not a JARVIS conversation export (expected format "${EXPORT_FORMAT}")` };
+    }
+    if (data.version !== EXPORT_VERSION) {
+        return { error: `Unsupported export version ${data.version} - this server reads version ${EXPORT_VERSION}` };
+    }
+    const source = data.conversation;
+    if (!source || !Array.isArray(source.messages) || source.messages.length === 0) {
+        return { error: 'The export has no messages' };
+    }
+    if (source.messages.length > MAX_IMPORT_MESSAGES) {
+        return { error: `Exports can hold up to ${MAX_IMPORT_MESSAGES} messages` };
+    }
+
+    const messages = [];
+    for (const [index, message] of source.messages.entries()) {
+        const problem = validateMessage(message);
+        if (problem) return { error: `Message ${index + 1}: ${problem}` };
+        messages.push({
+            role: message.role,
+            content: message.content,
+            timestamp: isTimestamp(message.timestamp) ? new Date(message.timestamp).toISOString() : undefined,
+            provider: typeof message.provider === 'string' ? message.provider.substring(0, 100) : undefined,
+            citations: Array.isArray(message.citations)
+                ? message.citations.filter(c => c && typeof c === 'object').slice(0, 10).map(c => pick(c, CITATION_FIELDS))
+                : undefined,
+            attachments: Array.isArray(message.attachments)
+                ? message.attachments.filter(a => a && typeof a.name === 'string').slice(0, 10).map(a => ({ name: a.name.substring(0, 200) }))
+                : undefined
+        });
+    }
+
+    return {
+        conversation: {
+            title: typeof source.title === 'string' && source.title.trim() ? source.title.trim() : 'Imported conversation',
+            createdAt: isTimestamp(source.createdAt) ? new Date(source.createdAt).toISOString() : undefined,
+            messages
+        }
+    };
+}
+
+// A safe download name from the conversation title
+function exportFilename(conversation, extension) {
+    const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+    return `jarvis-${slug || 'conversation'}.${extension}`;
+}
+
+module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    toExportJSON,
+    toMarkdown,
+    parseImport,
+    exportFilename
+};
@@ -0,0 +1,161 @@
+// JARVIS Usage Accounting
+// Records the tokens each provider call used and what it cost, using the
+// "pricing" table in providers.json, and keeps daily totals per provider and
+// per client. Providers whose "dailyBudget" is spent drop out of routing
+// until the next (UTC) day.
+const { readJSON, writeJSON } = require('./jsonFile');
+const { estimateTokens } = require('./context');
+const { logger } = require('./logger');
+
+const RECENT_LIMIT = 500;
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function emptyBucket() {
+    return { requests: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, estimated_requests: 0 };
+}
+
+function addTo(bucket, entry) {
+    bucket.requests += 1;
+    bucket.prompt_tokens += entry.prompt_tokens;
+    bucket.completion_tokens += entry.completion_tokens;
+    bucket.cost_usd = roundCost(bucket.cost_usd + entry.cost_usd);
+    if (entry.estimated) bucket.estimated_requests += 1;
+}
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// USD for a call, from prices per million input and output tokens
+function costOf(provider, promptTokens, completionTokens) {
+    const pricing = provider.pricing || {};
+    return roundCost(
+        promptTokens * (pricing.inputPerMillion || 0) / 1e6 +
+        completionTokens * (pricing.outputPerMillion || 0) / 1e6
+    );
+}
+
+class UsageTracker {
+    constructor(filePath, { retentionDays = 90 } = {}) {
+        this.filePath = filePath;
+        this.retentionDays = retentionDays;
+        const data = readJSON(filePath, {});
+        this.days = data.days || {};
+        this.recent = data.recent || [];
+        this.exhausted = new Set(); // "<day>|<provider>" already announced
+    }
+
+    save() {
+        writeJSON(this.filePath, { days: this.days, recent: this.recent });
+    }
+
+    // `usage` is the provider's { prompt_tokens, completion_tokens } block.
+    // Providers that do not report usage are estimated from the text.
+    record(provider, { client = null, purpose = 'chat', messages = [], text = '', usage = null } = {}) {
+        const reported = usage && Number.isFinite(usage.prompt_tokens) && Number.isFinite(usage.completion_tokens);
+        const promptTokens = reported
+            ? usage.prompt_tokens
+            : messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+        const completionTokens = reported ? usage.completion_tokens : estimateTokens(text);
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            provider: provider.name,
+            model: provider.model || null,
+            client,
+            purpose,
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            cost_usd: costOf(provider, promptTokens, completionTokens),
+            estimated: !reported
+        };
+
+        const day = this.days[today()] = this.days[today()] || { providers: {}, clients: {} };
+        addTo(day.providers[entry.provider] = day.providers[entry.provider] || emptyBucket(), entry);
+        const clientKey = client || 'anonymous';
+        addTo(day.clients[clientKey] = day.clients[clientKey] || emptyBucket(), entry);
+
+        this.recent.push(entry);
+        if (this.recent.length > RECENT_LIMIT) this.recent.splice(0, this.recent.length - RECENT_LIMIT);
+        this.prune();
+        this.save();
+        return entry;
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        Object.keys(this.days)
+            .filter(day => day < cutoff)
+            .forEach(day => delete this.days[day]);
+    }
+
+    spentToday(providerName) {
+        const day = this.days[today()];
+        const bucket = day && day.providers[providerName];
+        return bucket ? bucket.cost_usd : 0;
+    }
+
+    budgetRemaining(provider) {
+        if (!Number.isFinite(provider.dailyBudget)) return null;
+        return roundCost(Math.max(0, provider.dailyBudget - this.spentToday(provider.name)));
+    }
+
+    // Providers that still have budget left today
+    withinBudget(providers) {
+        return providers.filter(provider => {
+            if (this.budgetRemaining(provider) !== 0) return true;
+            const key = `${today()}|${provider.name}`;
+            if (!this.exhausted.has(key)) {
+                this.exhausted.add(key);
+                logger.warn('Daily budget spent - skipping provider until tomorrow (UTC)', { provider: provider.name, daily_budget_usd: provider.dailyBudget });
+            }
+            return false;
+        });
+    }
+
+    // Totals for the inclusive date range, newest day first
+    report({ from, to } = {}) {
+        const days = Object.keys(this.days)
+            .filter(day => (!from || day >= from) && (!to || day <= to))
+            .sort()
+            .reverse();
+
+        const totals = emptyBucket();
+        const providers = {};
+        const clients = {};
+        const merge = (target, bucket) => {
+            target.requests += bucket.requests;
+            target.prompt_tokens += bucket.prompt_tokens;
+            target.completion_tokens += bucket.completion_tokens;
+            target.cost_usd = roundCost(target.cost_usd + bucket.cost_usd);
+            target.estimated_requests += bucket.estimated_requests;
+        };
+
+        days.forEach(day => {
+            Object.entries(this.days[day].providers).forEach(([name, bucket]) => {
+                merge(totals, bucket);
+                merge(providers[name] = providers[name] || emptyBucket(), bucket);
+            });
+            Object.entries(this.days[day].clients).forEach(([name, bucket]) => {
+                merge(clients[name] = clients[name] || emptyBucket(), bucket);
+            });
+        });
+
+        return {
+            from: from || days[days.length - 1] || null,
+            to: to || days[0] || null,
+            totals,
+            providers,
+            clients,
+            days: days.map(day => ({ date: day, ...this.days[day] }))
+        };
+    }
+}
+
+module.exports = {
+    UsageTracker,
+    costOf
+};
@@ -0,0 +1,20 @@
+// Builds the NCERT knowledge base search index
+// Usage: npm run ingest [-- <knowledge dir> <index file>]
+require('dotenv').config();
+const path = require('path');
+const { ingest } = require('../lib/knowledge');
+
+const knowledgeDir = process.argv[2] || process.env.KNOWLEDGE_DIR || path.join(__dirname, '..', 'knowledge');
+const indexPath = process.argv[3] || process.env.KNOWLEDGE_INDEX || path.join(__dirname, '..', 'data', 'knowledge-index.json');
+
+try {
+    console.log(`📚 Indexing ${knowledgeDir}...`);
+    const { passages, terms } = ingest(knowledgeDir, indexPath);
+    console.log(`✅ Indexed ${passages} passages (${terms} terms) into ${indexPath}`);
+    if (passages === 0) {
+        console.log('ℹ️  No chapters found - add files as <class>/<subject>/<chapter>.md');
+    }
+} catch (error) {
+    console.error(`❌ Ingestion failed: ${error.message}`);
+    process.exit(1);
+}
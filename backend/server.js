@@ -2,92 +2,347 @@
 // Secure API proxy with environment variable support
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const path = require('path');
 require('dotenv').config();
+const { ProviderRegistry, ProviderConfigError, hasUsableKey, describeProvider } = require('./lib/providers');
+const { ProviderHealth } = require('./lib/health');
+const { ConversationStore, validateMessage, summarize } = require('./lib/conversations');
+const { toExportJSON, toMarkdown, parseImport, exportFilename } = require('./lib/transcripts');
+const { planContext, buildSummaryPrompt } = require('./lib/context');
+const { loadCurriculumConfig, subjectsForClass, validateCurriculum, buildCurriculumPrompt } = require('./lib/curriculum');
+const practice = require('./lib/practice');
+const planner = require('./lib/planner');
+const flashcards = require('./lib/flashcards');
+const { KnowledgeBase, buildRetrievalPrompt, toCitations } = require('./lib/knowledge');
+const { buildCorsOptions, securityHeaders } = require('./lib/security');
+const { AuthError, AuthStore, publicUser, publicToken } = require('./lib/auth');
+const { UsageTracker } = require('./lib/usage');
+const { FixtureLibrary } = require('./lib/fixtures');
+const { callAdapter, ProviderError, RequestAbortedError } = require('./lib/adapters');
+const { AnswerCache, cacheKey } = require('./lib/answerCache');
+const { ComparisonStore } = require('./lib/comparisons');
+const { ATTACHMENT_TYPES, AttachmentError, AttachmentStore, selectChunks, buildAttachmentPrompt, describeAttachment } = require('./lib/attachments');
+const { logger } = require('./lib/logger');
+const { MetricsRegistry } = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Prometheus metrics, served at /metrics
+const metricsRegistry = new MetricsRegistry();
+const metrics = {
+    httpRequests: metricsRegistry.counter('jarvis_http_requests_total',
+        'HTTP requests by route and status', ['method', 'route', 'status']),
+    httpDuration: metricsRegistry.histogram('jarvis_http_request_duration_seconds',
+        'HTTP request duration; streamed answers are timed to their last event', ['method', 'route']),
+    providerCalls: metricsRegistry.counter('jarvis_provider_calls_total',
+        'Provider calls by outcome: success, error, timeout or aborted (client went away)', ['provider', 'purpose', 'outcome']),
+    providerDuration: metricsRegistry.histogram('jarvis_provider_call_duration_seconds',
+        'Provider call duration', ['provider', 'outcome']),
+    fallbackDepth: metricsRegistry.histogram('jarvis_chat_fallback_depth',
+        'Providers tried per chat request, by whether one answered', ['outcome'], [1, 2, 3, 4, 5, 8]),
+    rateLimitRejections: metricsRegistry.counter('jarvis_rate_limit_rejections_total',
+        'Requests rejected by a rate limit: user, guest or auth (sign-in attempts)', ['scope']),
+    cacheLookups: metricsRegistry.counter('jarvis_answer_cache_lookups_total',
+        'Answer cache lookups by result', ['result'])
+};
+
+// Gives every request an ID (a well-formed incoming X-Request-Id is kept so
+// IDs can be followed through a proxy), a logger that adds it to each line
+// and the start time for processing_time_ms. The ID is echoed in the
+// X-Request-Id response header; one access log line is written at the end.
+function requestContext(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.startTime = Date.now();
+    req.log = logger.child({ request_id: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    res.on('close', () => {
+        const durationMs = Date.now() - req.startTime;
+        const route = req.route ? req.baseUrl + req.route.path : 'other';
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+        // Health checks and scrapes are too frequent to log at info
+        const quiet = route === '/health' || route === '/metrics';
+        req.log[quiet ? 'debug' : 'info']('Request completed', {
+            method: req.method,
+            path: req.path,
+            route,
+            status: res.statusCode,
+            duration_ms: durationMs,
+            user_id: req.user ? req.user.id : undefined,
+            aborted: res.writableFinished ? undefined : true
+        });
+    });
+    next();
+}
+
 // Middleware
-app.use(cors({
-    origin: process.env.NODE_ENV === 'production' 
-        ? ['https://yourusername.github.io', 'https://your-custom-domain.com'] 
-        : '*',
-    credentials: true
-}));
+// Allowed browser origins come from CORS_ORIGINS
+const corsConfig = buildCorsOptions();
+app.disable('x-powered-by');
+app.use(requestContext);
+app.use(securityHeaders());
+app.use(cors(corsConfig.options));
 app.use(express.json({ limit: '10mb' }));
 
-// Rate limiting (basic)
+// Rate limiting (basic): AI requests per user, sign-in attempts per IP
 const requestCounts = new Map();
-setInterval(() => requestCounts.clear(), 60000); // Reset every minute
+const authAttempts = new Map();
+setInterval(() => { // Reset every minute
+    requestCounts.clear();
+    authAttempts.clear();
+}, 60000);
 
-// API Configuration using Environment Variables
-const API_PROVIDERS = [
-    {
-        name: "Groq-Ultra-Fast",
-        url: "https://api.groq.com/openai/v1/chat/completions",
-        key: process.env.GROQ_API_KEY,
-        model: "mixtral-8x7b-32768",
-        type: "openai-compatible",
-        priority: 1,
-        maxTokens: 2000,
-        description: "Ultra-fast Mixtral responses"
-    },
-    {
-        name: "DeepSeek-Intelligence",
-        url: "https://api.deepseek.com/v1/chat/completions",
-        key: process.env.DEEPSEEK_API_KEY,
-        model: "deepseek-chat",
-        type: "openai-compatible",
-        priority: 2,
-        maxTokens: 2000,
-        description: "Advanced reasoning AI"
-    },
+// AI providers are declared in providers.json (or PROVIDERS_CONFIG) and
+// reloaded automatically when the file changes
+const providerRegistry = new ProviderRegistry({
+    configPath: process.env.PROVIDERS_CONFIG || path.join(__dirname, 'providers.json'),
+    overridesPath: path.join(__dirname, 'data', 'provider-overrides.json')
+});
+
+// Circuit breakers and rolling success/latency stats per provider
+const providerHealth = new ProviderHealth({
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 60000
+});
+
+// Study sessions persisted on disk
+const conversationStore = new ConversationStore(
+    process.env.CONVERSATIONS_FILE || path.join(__dirname, 'data', 'conversations.json')
+);
+
+// Classes and subjects students can pick (DEFAULT_CLASS, DEFAULT_SUBJECT,
+// SUPPORTED_CLASSES, SUPPORTED_SUBJECTS)
+const curriculumConfig = loadCurriculumConfig();
+
+// Voice input settings for the chat UI, sent in /health
+const speechSettings = {
+    language: process.env.SPEECH_LANGUAGE || 'en-US',
+    continuous: process.env.SPEECH_CONTINUOUS === 'true',
+    interim_results: process.env.SPEECH_INTERIM_RESULTS !== 'false',
+    pause_ms: parseInt(process.env.SPEECH_PAUSE_MS, 10) || 1500,
+    // An empty SPEECH_WAKE_PHRASE turns the wake phrase off
+    wake_phrase: (process.env.SPEECH_WAKE_PHRASE === undefined ? 'jarvis' : process.env.SPEECH_WAKE_PHRASE).trim(),
+    tts: {
+        rate: ttsRate(process.env.TTS_RATE),
+        pitch: parseFloat(process.env.TTS_PITCH) || 1.1,
+        volume: Number.isFinite(parseFloat(process.env.TTS_VOLUME)) ? parseFloat(process.env.TTS_VOLUME) : 0.6
+    }
+};
+
+// Browsers take a rate multiplier (1 = normal); older configs set TTS_RATE in
+// words per minute, where about 180 is a normal pace
+function ttsRate(value) {
+    const rate = parseFloat(value);
+    if (!(rate > 0)) return 0.9;
+    return rate > 10 ? Number((rate / 180).toFixed(2)) : rate;
+}
+
+// NCERT passages for retrieval-augmented answers (built by `npm run ingest`)
+const knowledgeBase = new KnowledgeBase(
+    process.env.KNOWLEDGE_INDEX || path.join(__dirname, 'data', 'knowledge-index.json')
+);
+
+// Generated practice tests and their answer keys
+const practiceTestStore = new practice.PracticeTestStore(
+    process.env.TESTS_FILE || path.join(__dirname, 'data', 'tests.json')
+);
+
+// Study plans built by the planner
+const planStore = new planner.PlanStore(
+    process.env.PLANS_FILE || path.join(__dirname, 'data', 'plans.json')
+);
+
+// Flashcard decks and each card's review schedule
+const deckStore = new flashcards.DeckStore(
+    process.env.FLASHCARDS_FILE || path.join(__dirname, 'data', 'flashcards.json')
+);
+
+// Token usage, cost and daily budgets per provider
+const usageTracker = new UsageTracker(
+    process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json'),
+    { retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90 }
+);
+
+// Recorded answers for "fixture" providers, one library per file
+const fixtureLibraries = new Map();
+const fixtureLibrary = (filePath) => {
+    if (!fixtureLibraries.has(filePath)) fixtureLibraries.set(filePath, new FixtureLibrary(filePath));
+    return fixtureLibraries.get(filePath);
+};
+
+// Record mode: RECORD_FIXTURES=<file> saves every live answer as a fixture
+const fixtureRecorder = process.env.RECORD_FIXTURES
+    ? fixtureLibrary(path.resolve(__dirname, process.env.RECORD_FIXTURES))
+    : null;
+
+// Providers to try, healthiest first, leaving out any that are disabled,
+// missing a key or over today's budget
+const routableProviders = () => providerHealth.rank(usageTracker.withinBudget(providerRegistry.getActive()));
+
+// Answers to repeated questions (ANSWER_CACHE=false turns it off)
+const answerCache = process.env.ANSWER_CACHE === 'false' ? null : new AnswerCache(
+    process.env.ANSWER_CACHE_FILE || path.join(__dirname, 'data', 'answer-cache.json'),
     {
-        name: "Together-AI-Llama",
-        url: "https://api.together.xyz/v1/chat/completions",
-        key: process.env.TOGETHER_API_KEY,
-        model: "meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo",
-        type: "openai-compatible",
-        priority: 3,
-        maxTokens: 2000,
-        description: "Latest Llama 3.1 model"
-    },
+        ttlMs: (parseFloat(process.env.ANSWER_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000,
+        maxEntries: parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES, 10) || 1000
+    }
+);
+
+// Compare mode answers and which one the student preferred
+const comparisonStore = new ComparisonStore(
+    process.env.COMPARISONS_FILE || path.join(__dirname, 'data', 'comparisons.json')
+);
+const COMPARE_MAX_PROVIDERS = parseInt(process.env.COMPARE_MAX_PROVIDERS, 10) || 3;
+
+// Homework files attached to questions (MAX_CONTENT_LENGTH bytes per upload);
+// up to ATTACHMENT_CONTEXT_CHARS of them goes into each chat prompt
+const attachmentStore = new AttachmentStore(
+    process.env.ATTACHMENTS_FILE || path.join(__dirname, 'data', 'attachments.json')
+);
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_CONTENT_LENGTH, 10) || 16 * 1024 * 1024;
+const ATTACHMENT_CONTEXT_CHARS = parseInt(process.env.ATTACHMENT_CONTEXT_CHARS, 10) || 6000;
+const MAX_CHAT_ATTACHMENTS = 5;
+
+// Student accounts, guest sessions and API tokens
+const authStore = new AuthStore(
+    process.env.USERS_FILE || path.join(__dirname, 'data', 'users.json'),
     {
-        name: "HuggingFace-Backup",
-        url: "https://api-inference.huggingface.co/models/microsoft/DialoGPT-large",
-        key: process.env.HUGGINGFACE_API_KEY,
-        type: "huggingface",
-        priority: 4,
-        description: "Reliable HuggingFace backup"
+        sessionTtlMs: (parseFloat(process.env.SESSION_TTL_HOURS) || 720) * 60 * 60 * 1000,
+        guestTtlMs: (parseFloat(process.env.GUEST_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000
     }
-];
+);
+const allowRegistration = process.env.ALLOW_REGISTRATION !== 'false';
+// Guest sessions need no account, so they are off unless ALLOW_GUESTS=true
+const allowGuests = process.env.ALLOW_GUESTS === 'true';
+const USER_RATE_LIMIT = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60;
+const GUEST_RATE_LIMIT = parseInt(process.env.GUEST_RATE_LIMIT_PER_MINUTE, 10) || 20;
+const AUTH_ATTEMPTS_PER_MINUTE = 10;
+
+// Expired guests go hourly with everything they made; their data is deleted
+// before the account, so nothing is left without an owner
+const pruneGuests = () => {
+    const now = Date.now();
+    const guests = authStore.expiredGuests(now);
+    guests.forEach(userId => {
+        [conversationStore, attachmentStore, practiceTestStore, planStore, deckStore]
+            .forEach(store => store.deleteForUser(userId));
+    });
+    authStore.pruneExpired(now);
+    if (guests.length > 0) logger.info('Expired guests removed', { guests: guests.length });
+};
+pruneGuests();
+setInterval(pruneGuests, 60 * 60 * 1000);
 
 // Validate API keys on startup
 const validateAPIKeys = () => {
-    const missingKeys = [];
-    API_PROVIDERS.forEach(provider => {
-        if (!provider.key || provider.key === 'your_' + provider.name.toLowerCase().split('-')[0] + '_api_key_here') {
-            missingKeys.push(provider.name);
-        }
-    });
+    const providers = providerRegistry.getAll().filter(p => p.enabled);
+    const missingKeys = providers.filter(p => !hasUsableKey(p));
 
     if (missingKeys.length > 0) {
-        console.error('❌ Missing or invalid API keys for:', missingKeys.join(', '));
-        console.error('Please set environment variables or update .env file');
-        console.log('📝 Required environment variables:');
-        console.log('   GROQ_API_KEY');
-        console.log('   DEEPSEEK_API_KEY');
-        console.log('   TOGETHER_API_KEY');
-        console.log('   HUGGINGFACE_API_KEY');
-        
+        logger.error('Missing or invalid API keys - set the environment variables or update .env', {
+            providers: missingKeys.map(p => p.name),
+            required_env: missingKeys.map(p => p.keyEnv)
+        });
         if (process.env.NODE_ENV !== 'production') {
-            console.log('ℹ️  In development: Copy .env.example to .env and add your keys');
+            logger.info('In development: copy .env.example to .env and add your keys');
         }
         return false;
     }
     return true;
 };
 
+const bearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : '';
+};
+
+// Compares a bearer token with a configured secret in constant time
+const tokenMatches = (token, expected) => {
+    const given = Buffer.from(token);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+};
+
+// Admin routes require ADMIN_TOKEN as a bearer token
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+    const token = bearerToken(req);
+
+    if (!adminToken) {
+        return res.status(503).json({
+            error: 'Admin API disabled',
+            message: 'Set ADMIN_TOKEN to enable the admin API'
+        });
+    }
+    if (!tokenMatches(token, adminToken)) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid admin token is required'
+        });
+    }
+    next();
+};
+
+// Student routes require a session or API token from /api/auth
+const requireUser = (req, res, next) => {
+    const session = authStore.authenticate(bearerToken(req));
+    if (!session) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Please sign in or continue as a guest'
+        });
+    }
+    req.user = session.user;
+    req.authToken = session.token;
+    next();
+};
+
+// Sign-in, registration and guest sessions: 10 attempts per minute per IP
+const limitAuthAttempts = (req, res, next) => {
+    const clientIP = req.ip || req.connection.remoteAddress;
+    const count = authAttempts.get(clientIP) || 0;
+    if (count >= AUTH_ATTEMPTS_PER_MINUTE) {
+        metrics.rateLimitRejections.inc({ scope: 'auth' });
+        req.log.warn('Auth rate limit exceeded', { ip: clientIP });
+        return res.status(429).json({
+            error: 'Too many attempts',
+            message: 'Please wait a minute before trying again'
+        });
+    }
+    authAttempts.set(clientIP, count + 1);
+    next();
+};
+
+// KaTeX assets for the chat UI's maths rendering, served locally so
+// equations render in classrooms without internet access
+app.use('/vendor/katex', express.static(
+    path.join(path.dirname(require.resolve('katex/package.json')), 'dist'),
+    { maxAge: '7d' }
+));
+
+// Prometheus scrape endpoint; requires METRICS_TOKEN as a bearer token when set
+metricsRegistry.gauge('jarvis_provider_circuit_open',
+    'Whether the provider is skipped by its circuit breaker (1) or not (0)',
+    () => providerRegistry.getAll().map(p => ({ labels: { provider: p.name }, value: providerHealth.state(p.name) === 'open' ? 1 : 0 })));
+metricsRegistry.gauge('jarvis_provider_spent_today_usd',
+    'Estimated provider spend since midnight UTC',
+    () => providerRegistry.getAll().map(p => ({ labels: { provider: p.name }, value: usageTracker.spentToday(p.name) })));
+
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && !tokenMatches(bearerToken(req), process.env.METRICS_TOKEN)) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Metrics require METRICS_TOKEN as a bearer token'
+        });
+    }
+    res.type('text/plain; version=0.0.4').send(metricsRegistry.render());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     const keysValid = validateAPIKeys();
@@ -96,28 +351,360 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         version: '2.0.0',
         environment: process.env.NODE_ENV || 'development',
-        apis_configured: API_PROVIDERS.filter(p => p.key && p.key.length > 10).length,
-        apis_total: API_PROVIDERS.length,
-        keys_valid: keysValid
+        apis_configured: providerRegistry.getActive().length,
+        apis_total: providerRegistry.getAll().length,
+        keys_valid: keysValid,
+        auth: {
+            registration: allowRegistration,
+            guests: allowGuests
+        },
+        answer_cache: answerCache ? answerCache.describe() : { enabled: false },
+        speech: speechSettings,
+        attachments: {
+            types: Object.keys(ATTACHMENT_TYPES),
+            max_bytes: MAX_UPLOAD_BYTES,
+            max_per_message: MAX_CHAT_ATTACHMENTS
+        },
+        knowledge_base: {
+            passages: knowledgeBase.size,
+            built_at: knowledgeBase.index ? knowledgeBase.index.built_at : null
+        },
+        providers_loaded_at: providerRegistry.loadedAt,
+        routing_order: routableProviders().map(p => p.name),
+        providers: providerRegistry.getAll().map(p => ({
+            name: p.name,
+            enabled: p.enabled,
+            priority: p.priority,
+            key_configured: hasUsableKey(p),
+            spent_today_usd: usageTracker.spentToday(p.name),
+            budget_remaining_usd: usageTracker.budgetRemaining(p),
+            health: providerHealth.describe(p.name)
+        }))
     });
 });
 
-// Main chat endpoint
-app.post('/api/chat', async (req, res) => {
-    const clientIP = req.ip || req.connection.remoteAddress;
-    
-    // Basic rate limiting
-    const count = requestCounts.get(clientIP) || 0;
-    if (count > 60) { // 60 requests per minute per IP
+// Provider administration
+app.get('/api/admin/providers', requireAdmin, (req, res) => {
+    res.json({
+        loaded_at: providerRegistry.loadedAt,
+        providers: providerRegistry.getAll()
+            .sort((a, b) => a.priority - b.priority)
+            .map(describeProvider)
+    });
+});
+
+app.post('/api/admin/providers/reload', requireAdmin, (req, res) => {
+    try {
+        const count = providerRegistry.load();
+        res.json({ reloaded: true, providers: count, loaded_at: providerRegistry.loadedAt });
+    } catch (error) {
+        if (!(error instanceof ProviderConfigError)) throw error;
+        res.status(422).json({
+            error: 'Invalid provider config',
+            message: error.message,
+            problems: error.problems
+        });
+    }
+});
+
+app.post('/api/admin/providers/:name/:action(enable|disable)', requireAdmin, (req, res) => {
+    const provider = providerRegistry.setEnabled(req.params.name, req.params.action === 'enable');
+    if (!provider) {
+        return res.status(404).json({
+            error: 'Provider not found',
+            message: `No provider named ${req.params.name}`
+        });
+    }
+    req.log.info(`Provider ${provider.enabled ? 'enabled' : 'disabled'} by admin`, { provider: provider.name });
+    res.json(describeProvider(provider));
+});
+
+app.put('/api/admin/providers/:name/priority', requireAdmin, (req, res) => {
+    const priority = Number(req.body.priority);
+    if (!Number.isFinite(priority)) {
+        return res.status(400).json({
+            error: 'Invalid priority',
+            message: 'Please provide a numeric priority'
+        });
+    }
+
+    const provider = providerRegistry.setPriority(req.params.name, priority);
+    if (!provider) {
+        return res.status(404).json({
+            error: 'Provider not found',
+            message: `No provider named ${req.params.name}`
+        });
+    }
+    req.log.info('Provider priority set by admin', { provider: provider.name, priority });
+    res.json(describeProvider(provider));
+});
+
+// Curriculum options for the class/subject/chapter selector
+app.get('/api/curriculum', (req, res) => {
+    res.json({
+        default_class: curriculumConfig.defaultClass,
+        default_subject: curriculumConfig.defaultSubject,
+        subjects: curriculumConfig.subjects,
+        classes: curriculumConfig.classes.map(classLevel => ({
+            class: classLevel,
+            subjects: subjectsForClass(curriculumConfig, classLevel),
+            // Chapters available in the knowledge base, keyed by subject
+            chapters: knowledgeBase.chapters()[classLevel] || {}
+        }))
+    });
+});
+
+// Accounts and sessions
+const sendSession = (res, status, user, issued) => res.status(status).json({
+    user: publicUser(user),
+    token: issued.token,
+    expires_at: issued.record.expires_at
+});
+
+app.post('/api/auth/register', limitAuthAttempts, async (req, res, next) => {
+    if (!allowRegistration) {
+        return res.status(403).json({
+            error: 'Registration disabled',
+            message: 'New accounts are not being accepted on this server'
+        });
+    }
+    try {
+        const user = await authStore.register(req.body.username, req.body.password);
+        req.log.info('Account created', { user_id: user.id, username: user.username });
+        sendSession(res, 201, user, authStore.issueToken(user.id));
+    } catch (error) {
+        if (!(error instanceof AuthError)) return next(error);
+        res.status(error.status).json({ error: 'Registration failed', message: error.message });
+    }
+});
+
+app.post('/api/auth/login', limitAuthAttempts, async (req, res, next) => {
+    try {
+        const user = await authStore.login(req.body.username, req.body.password);
+        if (!user) {
+            return res.status(401).json({
+                error: 'Invalid credentials',
+                message: 'Wrong username or password'
+            });
+        }
+        sendSession(res, 200, user, authStore.issueToken(user.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/auth/guest', limitAuthAttempts, (req, res) => {
+    if (!allowGuests) {
+        return res.status(403).json({
+            error: 'Guest access disabled',
+            message: 'Please sign in with an account'
+        });
+    }
+    const user = authStore.createGuest();
+    sendSession(res, 201, user, authStore.issueToken(user.id));
+});
+
+app.post('/api/auth/logout', requireUser, (req, res) => {
+    authStore.revokeToken(req.user.id, req.authToken.id);
+    res.status(204).end();
+});
+
+app.get('/api/auth/me', requireUser, (req, res) => {
+    res.json({
+        user: publicUser(req.user),
+        token: publicToken(req.authToken),
+        rate_limit_per_minute: req.user.role === 'guest' ? GUEST_RATE_LIMIT : USER_RATE_LIMIT
+    });
+});
+
+// Long-lived API tokens for scripts and other clients (accounts only)
+app.get('/api/auth/tokens', requireUser, (req, res) => {
+    res.json({ tokens: authStore.listTokens(req.user.id) });
+});
+
+app.post('/api/auth/tokens', requireUser, (req, res) => {
+    if (req.user.role === 'guest') {
+        return res.status(403).json({
+            error: 'Account required',
+            message: 'Create an account to issue API tokens'
+        });
+    }
+    const issued = authStore.issueToken(req.user.id, { type: 'api', name: req.body.name });
+    res.status(201).json({ ...publicToken(issued.record), token: issued.token });
+});
+
+app.delete('/api/auth/tokens/:id', requireUser, (req, res) => {
+    if (!authStore.revokeToken(req.user.id, req.params.id)) {
+        return res.status(404).json({
+            error: 'Token not found',
+            message: `No token with id ${req.params.id}`
+        });
+    }
+    res.status(204).end();
+});
+
+// Conversations belong to the user who created them
+const conversationNotFound = (res, id) => res.status(404).json({
+    error: 'Conversation not found',
+    message: `No conversation with id ${id}`
+});
+
+const findConversation = (req, id) => {
+    const conversation = conversationStore.get(id);
+    return conversation && conversation.userId === req.user.id ? conversation : null;
+};
+
+app.post('/api/conversations', requireUser, (req, res) => {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    const conversation = conversationStore.create({ title, userId: req.user.id });
+    res.status(201).json(conversation);
+});
+
+app.get('/api/conversations', requireUser, (req, res) => {
+    res.json({ conversations: conversationStore.list(req.user.id) });
+});
+
+app.get('/api/conversations/:id', requireUser, (req, res) => {
+    const conversation = findConversation(req, req.params.id);
+    if (!conversation) return conversationNotFound(res, req.params.id);
+    res.json(conversation);
+});
+
+app.post('/api/conversations/:id/messages', requireUser, (req, res) => {
+    const messages = Array.isArray(req.body.messages) ? req.body.messages : [req.body];
+    const problem = messages.map(validateMessage).find(Boolean);
+    if (problem) {
+        return res.status(400).json({ error: 'Invalid message', message: problem });
+    }
+
+    if (!findConversation(req, req.params.id)) return conversationNotFound(res, req.params.id);
+    const conversation = conversationStore.append(req.params.id, messages);
+    res.status(201).json(summarize(conversation));
+});
+
+app.delete('/api/conversations/:id', requireUser, (req, res) => {
+    if (!findConversation(req, req.params.id)) return conversationNotFound(res, req.params.id);
+    conversationStore.delete(req.params.id);
+    res.status(204).end();
+});
+
+// ?format=json (default) keeps everything needed to import the session
+// again; ?format=markdown is for revision notes
+app.get('/api/conversations/:id/export', requireUser, (req, res) => {
+    const conversation = findConversation(req, req.params.id);
+    if (!conversation) return conversationNotFound(res, req.params.id);
+
+    const format = req.query.format || 'json';
+    if (format === 'markdown') {
+        res.attachment(exportFilename(conversation, 'md'));
+        res.type('text/markdown; charset=utf-8').send(toMarkdown(conversation));
+    } else if (format === 'json') {
+        res.attachment(exportFilename(conversation, 'json'));
+        res.json(toExportJSON(conversation));
+    } else {
+        res.status(400).json({
+            error: 'Invalid export format',
+            message: 'format must be json or markdown'
+        });
+    }
+});
+
+// Body: a JSON export; the session becomes a new conversation of this user
+app.post('/api/conversations/import', requireUser, (req, res) => {
+    const { conversation, error } = parseImport(req.body);
+    if (error) {
+        return res.status(400).json({ error: 'Invalid conversation export', message: error });
+    }
+    const imported = conversationStore.import({ userId: req.user.id, ...conversation });
+    req.log.info('Conversation imported', { conversation_id: imported.id, messages: imported.messages.length });
+    res.status(201).json(imported);
+});
+
+// Attachments also belong to the student who uploaded them
+const attachmentNotFound = (res, id) => res.status(404).json({
+    error: 'Attachment not found',
+    message: `No attachment with id ${id}`
+});
+
+const findAttachment = (req, id) => {
+    const attachment = attachmentStore.get(id);
+    return attachment && attachment.userId === req.user.id ? attachment : null;
+};
+
+// The file is the raw request body; its name comes in the X-File-Name
+// header (URI-encoded) and decides how the text is extracted
+app.post('/api/attachments', requireUser, express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }), async (req, res, next) => {
+    let name = '';
+    try {
+        name = decodeURIComponent(req.get('X-File-Name') || '').trim();
+    } catch (error) {
+        name = '';
+    }
+    if (!name) {
+        return res.status(400).json({
+            error: 'File name is required',
+            message: 'Send the file name in the X-File-Name header'
+        });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+            error: 'Empty file',
+            message: `${name} is empty`
+        });
+    }
+
+    try {
+        const attachment = await attachmentStore.add({ userId: req.user.id, name, buffer: req.body });
+        req.log.info('Attachment uploaded', {
+            attachment_id: attachment.id,
+            type: attachment.type,
+            bytes: attachment.size,
+            chunks: attachment.chunks.length
+        });
+        res.status(201).json(describeAttachment(attachment));
+    } catch (error) {
+        if (!(error instanceof AttachmentError)) return next(error);
+        req.log.warn('Attachment rejected', { name, err: error });
+        res.status(error.status).json({ error: 'Invalid attachment', message: error.message });
+    }
+});
+
+app.get('/api/attachments/:id', requireUser, (req, res) => {
+    const attachment = findAttachment(req, req.params.id);
+    if (!attachment) return attachmentNotFound(res, req.params.id);
+    res.json(describeAttachment(attachment));
+});
+
+app.delete('/api/attachments/:id', requireUser, (req, res) => {
+    if (!findAttachment(req, req.params.id)) return attachmentNotFound(res, req.params.id);
+    attachmentStore.delete(req.params.id);
+    res.status(204).end();
+});
+
+// Basic rate limiting: AI requests per minute per account
+// (RATE_LIMIT_PER_MINUTE). Guests from one IP share a single budget
+// (GUEST_RATE_LIMIT_PER_MINUTE), so opening new guest sessions gains nothing.
+const rateLimitKey = (req) => req.user.role === 'guest' ? `guest:${req.ip}` : req.user.id;
+
+const rateLimit = (req, res, next) => {
+    const limit = req.user.role === 'guest' ? GUEST_RATE_LIMIT : USER_RATE_LIMIT;
+    const count = requestCounts.get(rateLimitKey(req)) || 0;
+    if (count >= limit) {
+        metrics.rateLimitRejections.inc({ scope: req.user.role === 'guest' ? 'guest' : 'user' });
+        req.log.warn('Rate limit exceeded', { user_id: req.user.id, limit });
         return res.status(429).json({
             error: 'Rate limit exceeded',
             message: 'Please wait before making more requests'
         });
     }
-    requestCounts.set(clientIP, count + 1);
+    requestCounts.set(rateLimitKey(req), count + 1);
+    next();
+};
 
+// Main chat endpoint
+app.post('/api/chat', requireUser, rateLimit, async (req, res) => {
     try {
-        const { message, history } = req.body;
+        const { message, stream, conversationId, fresh, compare, attachments: attachmentIds = [] } = req.body;
         
         if (!message || typeof message !== 'string') {
             return res.status(400).json({ 
@@ -133,12 +720,92 @@ app.post('/api/chat', async (req, res) => {
             });
         }
 
-        console.log(`🤖 [${new Date().toISOString()}] Processing: "${message.substring(0, 100)}${message.length > 100 ? '...' : ''}"`);
+        const { curriculum, error: curriculumError } = validateCurriculum(curriculumConfig, req.body.curriculum);
+        if (curriculumError) {
+            return res.status(400).json({
+                error: 'Invalid curriculum selection',
+                message: curriculumError
+            });
+        }
+
+        // compare: true asks COMPARE_MAX_PROVIDERS providers, a number asks that many
+        const compareCount = compare === true ? COMPARE_MAX_PROVIDERS : compare;
+        if (compare !== undefined && compare !== false &&
+            !(Number.isInteger(compareCount) && compareCount >= 2 && compareCount <= COMPARE_MAX_PROVIDERS)) {
+            return res.status(400).json({
+                error: 'Invalid compare option',
+                message: `compare must be true or a number from 2 to ${COMPARE_MAX_PROVIDERS}`
+            });
+        }
+
+        if (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_CHAT_ATTACHMENTS ||
+            !attachmentIds.every(id => typeof id === 'string')) {
+            return res.status(400).json({
+                error: 'Invalid attachments',
+                message: `attachments must be a list of up to ${MAX_CHAT_ATTACHMENTS} attachment ids`
+            });
+        }
+        const attachments = attachmentIds.map(id => findAttachment(req, id));
+        const missing = attachmentIds.find((id, index) => !attachments[index]);
+        if (missing) return attachmentNotFound(res, missing);
+
+        // Stored conversations supply their own history; the client-sent
+        // history is only used for one-off requests without a conversation
+        let history = Array.isArray(req.body.history) ? req.body.history : [];
+        let summary = null;
+        if (conversationId) {
+            const conversation = findConversation(req, conversationId);
+            if (!conversation) return conversationNotFound(res, conversationId);
+            history = conversation.messages;
+            summary = conversation.summary || null;
+        }
+        history = history
+            .filter(m => m && ['user', 'assistant'].includes(m.role) && typeof m.content === 'string')
+            .map(m => ({ role: m.role, content: m.content }));
+        const passages = knowledgeBase.search(message, curriculum);
+        const excerpts = selectChunks(attachments, message, ATTACHMENT_CONTEXT_CHARS);
+        const chat = {
+            message,
+            history,
+            summary,
+            conversationId,
+            client: req.user.id,
+            curriculum,
+            citations: toCitations(passages),
+            log: req.log,
+            attachments: attachments.map(attachment => ({ id: attachment.id, name: attachment.name })),
+            systemPrompt: SYSTEM_PROMPT + '\n' + buildCurriculumPrompt(curriculum) + buildRetrievalPrompt(passages) +
+                buildAttachmentPrompt(excerpts),
+            // Answers about a student's own files are not shared through the cache
+            cacheKey: attachments.length ? null : cacheKey(message, curriculum, history),
+            signal: clientAbortSignal(res)
+        };
+        req.log.info('Chat request', {
+            user_id: req.user.id,
+            conversation_id: conversationId || undefined,
+            chars: message.length,
+            preview: message.substring(0, 100),
+            passages: passages.length,
+            attachments: attachments.length || undefined,
+            attachment_excerpts: excerpts.length || undefined,
+            stream: Boolean(stream),
+            compare: compare || undefined
+        });
+
+        // Repeated questions are answered from the cache unless the student
+        // asks for a fresh answer or a comparison, or attached files
+        const useCache = answerCache && chat.cacheKey && !fresh && !compare;
+        const cached = useCache ? answerCache.get(chat.cacheKey) : null;
+        if (useCache) {
+            metrics.cacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+        }
+        if (cached) {
+            req.log.info('Answer cache hit', { provider: cached.provider, hits: cached.hits });
+            return await sendCachedAnswer(req, res, chat, cached, stream);
+        }
         
-        // Try each API provider in priority order
-        const sortedProviders = API_PROVIDERS
-            .filter(p => p.key && p.key.length > 10)
-            .sort((a, b) => a.priority - b.priority);
+        // Try each API provider, healthiest first
+        const sortedProviders = routableProviders();
 
         if (sortedProviders.length === 0) {
             return res.status(503).json({
@@ -147,27 +814,59 @@ app.post('/api/chat', async (req, res) => {
             });
         }
 
-        for (const provider of sortedProviders) {
+        if (compare) {
+            return await compareChatResponse(req, res, sortedProviders, chat, compareCount);
+        }
+
+        if (stream) {
+            return await streamChatResponse(req, res, sortedProviders, chat);
+        }
+
+        for (const [attempt, provider] of sortedProviders.entries()) {
+            const startedAt = Date.now();
             try {
-                console.log(`🔄 Trying ${provider.name}...`);
-                const response = await callAIProvider(provider, message, history || []);
+                req.log.info('Trying provider', { provider: provider.name, attempt: attempt + 1 });
+                const context = await prepareContext(chat, provider, sortedProviders);
+                const { text: response, stopReason } = await callAIProvider(provider, context.messages, {
+                    client: chat.client,
+                    subject: chat.curriculum.subject,
+                    signal: chat.signal
+                });
                 
                 if (response && response.length > 10) {
-                    console.log(`✅ Success with ${provider.name} (${response.length} chars)`);
+                    providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+                    metrics.fallbackDepth.observe({ outcome: 'answered' }, attempt + 1);
+                    req.log.info('Chat answered', { provider: provider.name, attempt: attempt + 1, chars: response.length });
+                    saveExchange(chat, response, provider);
+                    cacheAnswer(chat, response, provider);
                     return res.json({
                         response: response,
+                        conversationId: conversationId || null,
                         provider: provider.name,
                         model: provider.model || 'Unknown',
+                        curriculum: curriculum,
+                        citations: chat.citations,
+                        context: context.info,
+                        stop_reason: stopReason,
+                        cached: false,
                         timestamp: new Date().toISOString(),
                         processing_time_ms: Date.now() - req.startTime
                     });
                 }
+                throw new Error('Response too short');
             } catch (error) {
-                console.log(`❌ ${provider.name} failed: ${error.message}`);
+                if (error instanceof RequestAbortedError) {
+                    req.log.info('Client disconnected - provider call cancelled', { provider: provider.name });
+                    return;
+                }
+                providerHealth.recordFailure(provider.name, error, Date.now() - startedAt);
+                req.log.warn('Provider failed', { provider: provider.name, attempt: attempt + 1, err: error });
             }
         }
         
         // All providers failed
+        metrics.fallbackDepth.observe({ outcome: 'failed' }, sortedProviders.length);
+        req.log.error('All providers failed', { providers_tried: sortedProviders.map(p => p.name) });
         res.status(503).json({
             error: 'All AI providers are currently unavailable',
             message: 'Please try again in a moment. If the issue persists, contact support.',
@@ -175,7 +874,9 @@ app.post('/api/chat', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('💥 Server error:', error);
+        req.log.error('Chat request failed', { err: error });
+        // A stream that has started can only be ended
+        if (res.headersSent) return res.end();
         res.status(500).json({
             error: 'Internal server error',
             message: 'An unexpected error occurred. Please try again.'
@@ -183,133 +884,870 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
-// Middleware to track request start time
-app.use((req, res, next) => {
-    req.startTime = Date.now();
-    next();
+// Aborted when the client disconnects (the Stop button, a closed tab) before
+// the response is complete, so in-flight provider calls are cancelled
+function clientAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+}
+
+// Streams the answer as Server-Sent Events. Each provider is tried in turn;
+// if one fails part-way through, a `reset` event tells the client to discard
+// the partial text before the next provider starts streaming.
+async function streamChatResponse(req, res, providers, chat) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    for (const [attempt, provider] of providers.entries()) {
+        const startedAt = Date.now();
+        try {
+            req.log.info('Streaming from provider', { provider: provider.name, attempt: attempt + 1 });
+            sendEvent('provider', { provider: provider.name, model: provider.model || 'Unknown' });
+
+            const context = await prepareContext(chat, provider, providers);
+            const { text, stopReason } = await callAIProvider(provider, context.messages, {
+                client: chat.client,
+                subject: chat.curriculum.subject,
+                signal: chat.signal,
+                onToken: (delta) => sendEvent('token', { delta })
+            });
+
+            if (text && text.length > 10) {
+                providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+                metrics.fallbackDepth.observe({ outcome: 'answered' }, attempt + 1);
+                req.log.info('Chat answered', { provider: provider.name, attempt: attempt + 1, chars: text.length, stream: true });
+                saveExchange(chat, text, provider);
+                cacheAnswer(chat, text, provider);
+                sendEvent('done', {
+                    conversationId: chat.conversationId || null,
+                    provider: provider.name,
+                    model: provider.model || 'Unknown',
+                    curriculum: chat.curriculum,
+                    citations: chat.citations,
+                    context: context.info,
+                    stop_reason: stopReason,
+                    cached: false,
+                    timestamp: new Date().toISOString(),
+                    processing_time_ms: Date.now() - req.startTime
+                });
+                return res.end();
+            }
+            throw new Error('Response too short');
+        } catch (error) {
+            if (error instanceof RequestAbortedError) {
+                req.log.info('Client disconnected - provider call cancelled', { provider: provider.name });
+                return res.end();
+            }
+            providerHealth.recordFailure(provider.name, error, Date.now() - startedAt);
+            req.log.warn('Provider failed', { provider: provider.name, attempt: attempt + 1, err: error });
+            sendEvent('reset', { provider: provider.name, reason: error.message });
+        }
+    }
+
+    metrics.fallbackDepth.observe({ outcome: 'failed' }, providers.length);
+    req.log.error('All providers failed', { providers_tried: providers.map(p => p.name) });
+
+    sendEvent('error', {
+        error: 'All AI providers are currently unavailable',
+        message: 'Please try again in a moment. If the issue persists, contact support.',
+        providers_tried: providers.map(p => p.name)
+    });
+    res.end();
+}
+
+// Compare mode: the same prompt goes to `count` providers at once and every
+// answer comes back with its latency. Nothing is saved to the conversation
+// until the student picks the best answer.
+async function compareChatResponse(req, res, providers, chat, count) {
+    const chosen = providers.slice(0, count);
+    // Each extra provider counts against the student's rate limit
+    requestCounts.set(rateLimitKey(req), (requestCounts.get(rateLimitKey(req)) || 0) + chosen.length - 1);
+    req.log.info('Comparing providers', { providers: chosen.map(p => p.name) });
+
+    // Contexts are planned one at a time so old history is summarised once
+    const contexts = [];
+    try {
+        for (const provider of chosen) {
+            contexts.push(await prepareContext(chat, provider, providers));
+        }
+    } catch (error) {
+        if (error instanceof RequestAbortedError) {
+            req.log.info('Client disconnected - comparison cancelled');
+            return res.end();
+        }
+        throw error;
+    }
+
+    const answers = await Promise.all(chosen.map(async (provider, index) => {
+        const startedAt = Date.now();
+        const label = { provider: provider.name, model: provider.model || 'Unknown' };
+        try {
+            const { text, stopReason } = await callAIProvider(provider, contexts[index].messages, {
+                client: chat.client,
+                purpose: 'compare',
+                subject: chat.curriculum.subject,
+                signal: chat.signal
+            });
+            if (!text || text.length <= 10) throw new Error('Response too short');
+            providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+            return { ...label, ok: true, response: text, stop_reason: stopReason, context: contexts[index].info, latency_ms: Date.now() - startedAt };
+        } catch (error) {
+            if (!(error instanceof RequestAbortedError)) {
+                providerHealth.recordFailure(provider.name, error, Date.now() - startedAt);
+                req.log.warn('Provider failed', { provider: provider.name, err: error });
+            }
+            return { ...label, ok: false, error: error.message, latency_ms: Date.now() - startedAt };
+        }
+    }));
+
+    if (chat.signal.aborted) {
+        req.log.info('Client disconnected - comparison cancelled');
+        return;
+    }
+    if (!answers.some(answer => answer.ok)) {
+        return res.status(503).json({
+            error: 'All AI providers are currently unavailable',
+            message: 'Please try again in a moment. If the issue persists, contact support.',
+            providers_tried: chosen.map(p => p.name)
+        });
+    }
+
+    const comparison = comparisonStore.add({
+        userId: req.user.id,
+        conversationId: chat.conversationId,
+        message: chat.message,
+        curriculum: chat.curriculum,
+        citations: chat.citations,
+        attachments: chat.attachments,
+        cacheKey: chat.cacheKey,
+        answers: answers.map(({ context, ...answer }) => answer)
+    });
+    req.log.info('Comparison answered', { compare_id: comparison.id, answered: answers.filter(a => a.ok).length, asked: answers.length });
+    res.json({
+        compare_id: comparison.id,
+        answers,
+        conversationId: chat.conversationId || null,
+        curriculum: chat.curriculum,
+        citations: chat.citations,
+        timestamp: new Date().toISOString(),
+        processing_time_ms: Date.now() - req.startTime
+    });
+}
+
+// The student's pick of the best compared answer. The pick is recorded as a
+// preference, saved to the conversation and cached for repeat questions.
+app.post('/api/chat/compare/:id/preference', requireUser, (req, res) => {
+    const comparison = comparisonStore.get(req.params.id);
+    if (!comparison || comparison.userId !== req.user.id) {
+        return res.status(404).json({
+            error: 'Comparison not found',
+            message: `No comparison with id ${req.params.id}`
+        });
+    }
+    if (comparison.preferred) {
+        return res.status(409).json({
+            error: 'Already chosen',
+            message: `${comparison.preferred} was already marked as the best answer`
+        });
+    }
+
+    const answer = comparisonStore.prefer(comparison.id, req.body.provider);
+    if (!answer) {
+        return res.status(400).json({
+            error: 'Invalid provider',
+            message: 'provider must name one of the successful answers in this comparison'
+        });
+    }
+
+    const provider = providerRegistry.get(answer.provider) || { name: answer.provider, model: answer.model };
+    const chat = {
+        log: req.log,
+        message: comparison.message,
+        conversationId: comparison.conversationId && conversationStore.get(comparison.conversationId) ? comparison.conversationId : null,
+        curriculum: comparison.curriculum,
+        citations: comparison.citations,
+        attachments: comparison.attachments || [],
+        cacheKey: comparison.cacheKey
+    };
+    saveExchange(chat, answer.response, provider);
+    cacheAnswer(chat, answer.response, provider);
+    req.log.info('Compared answer preferred', { compare_id: comparison.id, provider: answer.provider });
+    res.json({ compare_id: comparison.id, preferred: answer.provider, conversationId: chat.conversationId });
+});
+
+// Practice tests
+const testNotFound = (res, id) => res.status(404).json({
+    error: 'Test not found',
+    message: `No practice test with id ${id}`
 });
 
+app.post('/api/tests', requireUser, rateLimit, async (req, res) => {
+    try {
+        const { curriculum, error: curriculumError } = validateCurriculum(curriculumConfig, req.body.curriculum);
+        const { request, error: requestError } = practice.validateTestRequest(req.body);
+        if (curriculumError || requestError) {
+            return res.status(400).json({
+                error: 'Invalid test request',
+                message: curriculumError || requestError
+            });
+        }
+
+        const providers = routableProviders();
+        if (providers.length === 0) {
+            return res.status(503).json({
+                error: 'No API providers configured',
+                message: 'Server configuration error - please contact administrator'
+            });
+        }
+
+        const prompt = practice.buildTestPrompt(request, curriculum);
+        const attempts = [];
+        const signal = clientAbortSignal(res);
+
+        // Malformed JSON is retried with the next provider
+        for (const provider of providers) {
+            const startedAt = Date.now();
+            try {
+                req.log.info('Generating practice test', { provider: provider.name });
+                const { text: output } = await callAIProvider(provider, prompt, {
+                    client: req.user.id,
+                    purpose: 'test',
+                    subject: curriculum.subject,
+                    signal
+                });
+                providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+
+                const test = practice.repairTest(practice.extractJSON(output), request);
+                const stored = practiceTestStore.add({
+                    ...test,
+                    topic: request.topic || curriculum.chapter || null,
+                    difficulty: request.difficulty,
+                    curriculum,
+                    provider: provider.name,
+                    userId: req.user.id
+                });
+                req.log.info('Practice test generated', { test_id: stored.id, provider: provider.name, questions: test.questions.length });
+                return res.status(201).json({
+                    ...practice.withoutAnswers(stored),
+                    attempts: undefined,
+                    userId: undefined,
+                    generation_attempts: [...attempts, { provider: provider.name, ok: true }]
+                });
+            } catch (error) {
+                if (error instanceof RequestAbortedError) {
+                    req.log.info('Client disconnected - test generation cancelled', { provider: provider.name });
+                    return;
+                }
+                if (!(error instanceof practice.PracticeTestError)) {
+                    providerHealth.recordFailure(provider.name, error, Date.now() - startedAt);
+                }
+                req.log.warn('Practice test rejected', { provider: provider.name, err: error });
+                attempts.push({ provider: provider.name, ok: false, reason: error.message });
+            }
+        }
+
+        res.status(502).json({
+            error: 'Could not generate a valid test',
+            message: 'No provider returned a usable test. Please try again.',
+            generation_attempts: attempts
+        });
+    } catch (error) {
+        req.log.error('Test generation failed', { err: error });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred. Please try again.'
+        });
+    }
+});
+
+const findTest = (req, id) => {
+    const test = practiceTestStore.get(id);
+    return test && test.userId === req.user.id ? test : null;
+};
+
+app.get('/api/tests/:id', requireUser, (req, res) => {
+    const test = findTest(req, req.params.id);
+    if (!test) return testNotFound(res, req.params.id);
+    res.json({ ...practice.withoutAnswers(test), attempts: undefined, userId: undefined });
+});
+
+app.post('/api/tests/:id/grade', requireUser, (req, res) => {
+    const test = findTest(req, req.params.id);
+    if (!test) return testNotFound(res, req.params.id);
+
+    const answers = req.body.answers;
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return res.status(400).json({
+            error: 'Invalid submission',
+            message: 'Please provide answers as an object keyed by question id'
+        });
+    }
+
+    const grade = practice.gradeTest(test, answers, Number(req.body.time_taken_seconds));
+    practiceTestStore.recordAttempt(test.id, grade);
+    req.log.info('Practice test graded', { test_id: test.id, score: grade.score, total_marks: grade.total_marks });
+    res.json(grade);
+});
+
+// Study planner
+const planNotFound = (res, id) => res.status(404).json({
+    error: 'Plan not found',
+    message: `No study plan with id ${id}`
+});
+
+const findPlan = (req, id) => {
+    const plan = planStore.get(id);
+    return plan && plan.userId === req.user.id ? plan : null;
+};
+
+const publicPlan = (plan) => ({ ...plan, userId: undefined, progress: planner.planProgress(plan) });
+
+app.post('/api/plans', requireUser, rateLimit, async (req, res) => {
+    try {
+        const { request, error } = planner.validatePlanRequest(req.body, curriculumConfig);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid plan request',
+                message: error
+            });
+        }
+
+        // Providers only weigh the chapters; without one every chapter
+        // counts the same and the plan is still built
+        const prompt = planner.buildWeightingPrompt(request);
+        const signal = clientAbortSignal(res);
+        let exams = null;
+        let weighting = { source: 'even', provider: null };
+        for (const provider of routableProviders()) {
+            const startedAt = Date.now();
+            try {
+                req.log.info('Weighing plan chapters', { provider: provider.name });
+                const { text: output } = await callAIProvider(provider, prompt, {
+                    client: req.user.id,
+                    purpose: 'plan',
+                    signal
+                });
+                providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+                exams = planner.parseWeights(output, request);
+                weighting = { source: 'ai', provider: provider.name };
+                break;
+            } catch (error) {
+                if (error instanceof RequestAbortedError) {
+                    req.log.info('Client disconnected - plan cancelled', { provider: provider.name });
+                    return;
+                }
+                if (!(error instanceof planner.PlanError)) {
+                    providerHealth.recordFailure(provider.name, error, Date.now() - startedAt);
+                }
+                req.log.warn('Chapter weights rejected', { provider: provider.name, err: error });
+            }
+        }
+
+        const plan = planStore.add({
+            ...planner.buildPlan(request, exams || planner.evenWeights(request), weighting),
+            userId: req.user.id
+        });
+        req.log.info('Study plan created', { plan_id: plan.id, weighting: weighting.source, days: plan.days.length });
+        res.status(201).json(publicPlan(plan));
+    } catch (error) {
+        req.log.error('Plan creation failed', { err: error });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred. Please try again.'
+        });
+    }
+});
+
+app.get('/api/plans', requireUser, (req, res) => {
+    res.json({ plans: planStore.list(req.user.id) });
+});
+
+app.get('/api/plans/:id', requireUser, (req, res) => {
+    const plan = findPlan(req, req.params.id);
+    if (!plan) return planNotFound(res, req.params.id);
+    res.json(publicPlan(plan));
+});
+
+// Calendar edits: { title, sessions: [{ id, date, minutes, done, delete }] }
+app.patch('/api/plans/:id', requireUser, (req, res) => {
+    const plan = findPlan(req, req.params.id);
+    if (!plan) return planNotFound(res, req.params.id);
+
+    const { plan: edited, error } = planner.applyPlanEdits(plan, req.body);
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid plan edit',
+            message: error
+        });
+    }
+    res.json(publicPlan(planStore.replace(edited)));
+});
+
+app.delete('/api/plans/:id', requireUser, (req, res) => {
+    if (!findPlan(req, req.params.id)) return planNotFound(res, req.params.id);
+    planStore.delete(req.params.id);
+    res.status(204).end();
+});
+
+app.get('/api/plans/:id/ics', requireUser, (req, res) => {
+    const plan = findPlan(req, req.params.id);
+    if (!plan) return planNotFound(res, req.params.id);
+    res.attachment(planner.planFilename(plan));
+    res.type('text/calendar; charset=utf-8').send(planner.toICS(plan));
+});
+
+// Flashcards
+const deckNotFound = (res, id) => res.status(404).json({
+    error: 'Deck not found',
+    message: `No flashcard deck with id ${id}`
+});
+
+const deckLimitReached = (res) => res.status(409).json({
+    error: 'Too many decks',
+    message: `You can keep up to ${deckStore.maxPerUser} flashcard decks - delete one to start a deck for another class or subject`
+});
+
+const findDeck = (req, id) => {
+    const deck = deckStore.get(id);
+    return deck && deck.userId === req.user.id ? deck : null;
+};
+
+const publicDeck = (deck, today) => ({
+    ...flashcards.summarizeDeck(deck, today),
+    cards: deck.cards.map(card => ({ ...card, due_now: card.due <= today }))
+});
+
+// Makes cards from an answer: { content, question, curriculum, conversationId, count, today }
+app.post('/api/flashcards', requireUser, rateLimit, async (req, res) => {
+    try {
+        const { request, error } = flashcards.validateCardRequest(req.body, curriculumConfig);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid flashcard request',
+                message: error
+            });
+        }
+
+        if (!deckStore.hasRoom(req.user.id, request.curriculum)) {
+            return deckLimitReached(res);
+        }
+
+        const providers = routableProviders();
+        if (providers.length === 0) {
+            return res.status(503).json({
+                error: 'No API providers configured',
+                message: 'Server configuration error - please contact administrator'
+            });
+        }
+
+        // Malformed JSON is retried with the next provider
+        const prompt = flashcards.buildCardPrompt(request);
+        const signal = clientAbortSignal(res);
+        for (const provider of providers) {
+            const startedAt = Date.now();
+            try {
+                req.log.info('Making flashcards', { provider: provider.name });
+                const { text: output } = await callAIProvider(provider, prompt, {
+                    client: req.user.id,
+                    purpose: 'flashcards',
+                    signal
+                });
+                providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+                const cards = flashcards.parseCards(output, request);
+
+                const deck = deckStore.forCurriculum(req.user.id, request.curriculum);
+                if (!deck) return deckLimitReached(res);
+                const added = flashcards.addCards(deck, cards, {
+                    conversation_id: request.conversationId,
+                    provider: provider.name
+                }, request.today);
+                deckStore.replace(deck);
+                req.log.info('Flashcards added', { deck_id: deck.id, provider: provider.name, added: added.length });
+                return res.status(201).json({
+                    deck: flashcards.summarizeDeck(deck, request.today),
+                    cards: added,
+                    duplicates: cards.length - added.length
+                });
+            } catch (error) {
+                if (error instanceof RequestAbortedError) {
+                    req.log.info('Client disconnected - flashcards cancelled', { provider: provider.name });
+                    return;
+                }
+                if (!(error instanceof flashcards.FlashcardError)) {
+                    providerHealth.recordFailure(provider.name, error, Date.now() - startedAt);
+                }
+                req.log.warn('Flashcards rejected', { provider: provider.name, err: error });
+            }
+        }
+
+        res.status(502).json({
+            error: 'Could not make flashcards',
+            message: 'No provider returned usable flashcards. Please try again.'
+        });
+    } catch (error) {
+        req.log.error('Flashcard creation failed', { err: error });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An unexpected error occurred. Please try again.'
+        });
+    }
+});
+
+// Routes below take ?today=YYYY-MM-DD (the student's local date) for what is due
+const flashcardDay = (req, res) => {
+    const { today, error } = flashcards.validateToday(req.query.today);
+    if (error) {
+        res.status(400).json({ error: 'Invalid date', message: error });
+        return null;
+    }
+    return today;
+};
+
+app.get('/api/flashcards/decks', requireUser, (req, res) => {
+    const today = flashcardDay(req, res);
+    if (!today) return;
+    const decks = deckStore.list(req.user.id, today);
+    res.json({ decks, due: decks.reduce((sum, deck) => sum + deck.due, 0) });
+});
+
+app.get('/api/flashcards/decks/:id', requireUser, (req, res) => {
+    const today = flashcardDay(req, res);
+    if (!today) return;
+    const deck = findDeck(req, req.params.id);
+    if (!deck) return deckNotFound(res, req.params.id);
+    res.json(publicDeck(deck, today));
+});
+
+app.delete('/api/flashcards/decks/:id', requireUser, (req, res) => {
+    if (!findDeck(req, req.params.id)) return deckNotFound(res, req.params.id);
+    deckStore.delete(req.params.id);
+    res.status(204).end();
+});
+
+// Cards to review today, from every deck or just ?deck=<id>
+app.get('/api/flashcards/due', requireUser, (req, res) => {
+    const today = flashcardDay(req, res);
+    if (!today) return;
+    if (req.query.deck && !findDeck(req, req.query.deck)) return deckNotFound(res, req.query.deck);
+    res.json({ today, cards: deckStore.due(req.user.id, today, req.query.deck) });
+});
+
+// Records a review: { grade: 0-5, today }
+app.post('/api/flashcards/decks/:id/cards/:cardId/review', requireUser, (req, res) => {
+    const deck = findDeck(req, req.params.id);
+    if (!deck) return deckNotFound(res, req.params.id);
+    const index = deck.cards.findIndex(card => card.id === req.params.cardId);
+    if (index === -1) {
+        return res.status(404).json({
+            error: 'Card not found',
+            message: `No card with id ${req.params.cardId} in this deck`
+        });
+    }
+
+    const { grade, error } = flashcards.validateGrade(req.body.grade);
+    const { today, error: todayError } = flashcards.validateToday(req.body.today);
+    if (error || todayError) {
+        return res.status(400).json({
+            error: 'Invalid review',
+            message: error || todayError
+        });
+    }
+
+    deck.cards[index] = flashcards.reviewCard(deck.cards[index], grade, today);
+    deckStore.replace(deck);
+    res.json({ card: deck.cards[index], deck: flashcards.summarizeDeck(deck, today) });
+});
+
+app.delete('/api/flashcards/decks/:id/cards/:cardId', requireUser, (req, res) => {
+    const deck = findDeck(req, req.params.id);
+    if (!deck) return deckNotFound(res, req.params.id);
+    const remaining = deck.cards.filter(card => card.id !== req.params.cardId);
+    if (remaining.length === deck.cards.length) {
+        return res.status(404).json({
+            error: 'Card not found',
+            message: `No card with id ${req.params.cardId} in this deck`
+        });
+    }
+    deck.cards = remaining;
+    deckStore.replace(deck);
+    res.status(204).end();
+});
+
+// Usage and cost report: ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 7 days)
+app.get('/api/usage', requireAdmin, (req, res) => {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const { from, to } = req.query;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return res.status(400).json({
+            error: 'Invalid date range',
+            message: 'Use from/to dates in YYYY-MM-DD format'
+        });
+    }
+
+    const report = usageTracker.report({
+        from: from || new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        to
+    });
+    const clientName = (id) => {
+        const user = authStore.users.get(id);
+        return user ? user.username : id;
+    };
+    res.json({
+        ...report,
+        clients: Object.fromEntries(Object.entries(report.clients).map(([id, totals]) => [id, { username: clientName(id), ...totals }])),
+        budgets: providerRegistry.getAll().map(p => ({
+            provider: p.name,
+            daily_budget_usd: Number.isFinite(p.dailyBudget) ? p.dailyBudget : null,
+            spent_today_usd: usageTracker.spentToday(p.name),
+            remaining_usd: usageTracker.budgetRemaining(p)
+        }))
+    });
+});
+
+// Compare mode preferences: how often each provider's answer was picked
+app.get('/api/admin/preferences', requireAdmin, (req, res) => {
+    res.json(comparisonStore.stats());
+});
+
+// Answer cache administration
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    if (!answerCache) {
+        return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, ...answerCache.describe(), most_used: answerCache.list() });
+});
+
+// Purges everything, or only entries matching ?class=&subject=&provider=&q=
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    const removed = answerCache ? answerCache.purge(req.query) : 0;
+    req.log.info('Answer cache purged by admin', { removed, filters: req.query });
+    res.json({ removed });
+});
+
+// Replays a cached answer in the same shape as a live one
+function sendCachedAnswer(req, res, chat, cached, stream) {
+    const provider = { name: cached.provider, model: cached.model };
+    chat.citations = cached.citations;
+    saveExchange(chat, cached.response, provider);
+
+    const details = {
+        conversationId: chat.conversationId || null,
+        provider: cached.provider,
+        model: cached.model || 'Unknown',
+        curriculum: chat.curriculum,
+        citations: cached.citations,
+        context: null,
+        stop_reason: 'stop',
+        cached: true,
+        cached_at: cached.created_at,
+        timestamp: new Date().toISOString(),
+        processing_time_ms: Date.now() - req.startTime
+    };
+
+    if (!stream) {
+        return res.json({ response: cached.response, ...details });
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`event: provider\ndata: ${JSON.stringify({ provider: cached.provider, model: details.model })}\n\n`);
+    res.write(`event: token\ndata: ${JSON.stringify({ delta: cached.response })}\n\n`);
+    res.write(`event: done\ndata: ${JSON.stringify(details)}\n\n`);
+    res.end();
+}
+
+// Offline fixture answers are never cached, so they cannot outlive the demo
+function cacheAnswer(chat, answer, provider) {
+    if (!answerCache || !chat.cacheKey || provider.type === 'fixture') return;
+    try {
+        answerCache.set(chat.cacheKey, {
+            message: chat.message,
+            curriculum: chat.curriculum,
+            response: answer,
+            provider: provider.name,
+            model: provider.model,
+            citations: chat.citations
+        });
+    } catch (error) {
+        chat.log.error('Could not cache answer', { err: error });
+    }
+}
+
+// Appends a completed question/answer pair to its stored conversation
+function saveExchange(chat, answer, provider) {
+    if (!chat.conversationId) return;
+    try {
+        conversationStore.append(chat.conversationId, [
+            { role: 'user', content: chat.message, attachments: chat.attachments },
+            { role: 'assistant', content: answer, provider: provider.name, citations: chat.citations }
+        ]);
+    } catch (error) {
+        chat.log.error('Could not save conversation', { conversation_id: chat.conversationId, err: error });
+    }
+}
+
 // Error handling middleware
 app.use((error, req, res, next) => {
-    console.error('Unhandled error:', error);
+    if (error.type === 'entity.too.large') {
+        (req.log || logger).warn('Request body too large', { bytes: error.length, limit: error.limit });
+        return res.status(413).json({
+            error: 'Request too large',
+            message: `Uploads and requests must be under ${Number((error.limit / (1024 * 1024)).toFixed(1))}MB`
+        });
+    }
+    (req.log || logger).error('Unhandled error', { err: error });
     res.status(500).json({
         error: 'Server error',
         message: 'An unexpected error occurred'
     });
 });
 
+// Fits the conversation into `provider`'s context window. When older turns
+// no longer fit and are not yet covered by the running summary, a provider
+// folds them into the summary first.
+async function prepareContext(chat, provider, providers) {
+    const build = () => planContext({
+        provider,
+        systemPrompt: chat.systemPrompt,
+        history: chat.history,
+        message: chat.message,
+        summary: chat.summary
+    });
+
+    let plan = build();
+    if (plan.unsummarized > 0) {
+        const summary = await summarizeHistory(chat, plan.omitted, providers);
+        if (summary) {
+            chat.summary = summary;
+            plan = build();
+        }
+    }
+    return plan;
+}
+
+async function summarizeHistory(chat, covers, providers) {
+    const previous = chat.summary;
+    const newMessages = chat.history.slice(previous ? previous.covers : 0, covers);
+    const prompt = buildSummaryPrompt(previous && previous.text, newMessages);
+
+    // Fixtures only replay answers: a canned reply saved as the summary would
+    // stand in for the real conversation from then on
+    for (const provider of providers.filter(p => p.type !== 'fixture')) {
+        try {
+            const { text } = await callAIProvider({ ...provider, maxTokens: 400 }, prompt, {
+                client: chat.client,
+                purpose: 'summary',
+                signal: chat.signal
+            });
+            if (text && text.trim()) {
+                const summary = { text: text.trim(), covers, updatedAt: new Date().toISOString() };
+                if (chat.conversationId) {
+                    conversationStore.setSummary(chat.conversationId, summary);
+                }
+                chat.log.info('Summarised older messages', { provider: provider.name, covers });
+                return summary;
+            }
+        } catch (error) {
+            if (error instanceof RequestAbortedError) throw error;
+            chat.log.warn('Summary failed', { provider: provider.name, err: error });
+        }
+    }
+    return null;
+}
+
 // AI Provider Functions
-async function callAIProvider(provider, message, history) {
-    const systemPrompt = `You are JARVIS (Just A Rather Very Intelligent System), an advanced AI assistant with unlimited knowledge and capabilities.
+const SYSTEM_PROMPT = `You are JARVIS (Just A Rather Very Intelligent System), an advanced AI assistant with unlimited knowledge and capabilities.
 
 Guidelines:
 - Provide helpful, accurate, and detailed responses
 - Be engaging, supportive, and intelligent
-- Use clear formatting with **bold** and *italic* when helpful
+- Use Markdown formatting: **bold**, *italic*, headings, numbered steps, tables and fenced code blocks when helpful
+- Write mathematics in LaTeX, using $...$ for inline maths and $$...$$ for displayed equations
 - No topic restrictions - answer any question asked
 - Include examples and real-world applications when relevant
 - Be encouraging and positive in your responses
 
 You can discuss any topic without limitations. Provide comprehensive, intelligent responses that demonstrate your advanced capabilities.`;
 
-    const messages = [
-        { role: 'system', content: systemPrompt },
-        ...history.slice(-6), // Last 6 messages for context
-        { role: 'user', content: message }
-    ];
-
-    if (provider.type === 'openai-compatible') {
-        return await callOpenAICompatible(provider, messages);
-    } else if (provider.type === 'huggingface') {
-        return await callHuggingFace(provider, message);
-    }
-    
-    throw new Error(`Unsupported provider type: ${provider.type}`);
-}
-
-async function callOpenAICompatible(provider, messages) {
-    const headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${provider.key}`,
-        'User-Agent': 'JARVIS-AI/2.0'
-    };
-
-    // Special headers for specific providers
-    if (provider.name.includes('OpenRouter')) {
-        headers['HTTP-Referer'] = process.env.FRONTEND_URL || 'https://yourusername.github.io';
-        headers['X-Title'] = 'JARVIS AI Educational Assistant';
-    }
-
-    const response = await fetch(provider.url, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify({
-            model: provider.model,
-            messages: messages,
-            max_tokens: provider.maxTokens || 2000,
-            temperature: 0.7,
-            stream: false
-        }),
-        timeout: 30000 // 30 second timeout
-    });
-
-    if (!response.ok) {
-        let errorText;
-        try {
-            const errorData = await response.json();
-            errorText = errorData.error?.message || errorData.message || 'Unknown error';
-        } catch {
-            errorText = await response.text() || `HTTP ${response.status}`;
+// `messages` is the full prompt (system, history, question) from prepareContext.
+// When `onToken` is given the provider streams and `onToken` receives each
+// text delta as it arrives; the full text is still returned at the end.
+// Returns { text, usage, stopReason }; see lib/adapters for the mapping onto
+// each provider API. Successful calls are recorded against `client` in the
+// usage accounts. `subject` selects subject-specific fixtures and is stored
+// when recording. `signal` aborts the call when the client goes away.
+async function callAIProvider(provider, messages, { onToken, signal, client = null, purpose = 'chat', subject = null } = {}) {
+    const startedAt = Date.now();
+    let result;
+    try {
+        if (provider.type === 'fixture') {
+            const text = callFixture(provider, messages, subject, purpose);
+            if (onToken) text.split(/(?<=\s)/).forEach(onToken);
+            result = { text, usage: { prompt_tokens: 0, completion_tokens: 0 }, stopReason: 'stop' };
+        } else {
+            result = await callAdapter(provider, messages, { onToken, signal });
         }
-        throw new Error(`${provider.name} API error: ${errorText}`);
+    } catch (error) {
+        recordProviderCall(provider, purpose, providerOutcome(error), startedAt);
+        throw error;
     }
+    recordProviderCall(provider, purpose, 'success', startedAt);
 
-    const data = await response.json();
-    
-    if (!data.choices || !data.choices[0] || !data.choices.message) {
-        throw new Error(`Invalid response format from ${provider.name}`);
+    usageTracker.record(provider, { client, purpose, messages, text: result.text, usage: result.usage });
+    if (fixtureRecorder && provider.type !== 'fixture' && purpose !== 'summary') {
+        recordFixture(provider, messages, subject, result.text);
     }
-    
-    return data.choices.message.content;
+    return result;
 }
 
-async function callHuggingFace(provider, message) {
-    const response = await fetch(provider.url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${provider.key}`,
-            'Content-Type': 'application/json',
-            'User-Agent': 'JARVIS-AI/2.0'
-        },
-        body: JSON.stringify({
-            inputs: message,
-            parameters: {
-                max_length: 500,
-                temperature: 0.7,
-                do_sample: true,
-                return_full_text: false,
-                repetition_penalty: 1.1
-            }
-        }),
-        timeout: 30000
-    });
+function providerOutcome(error) {
+    if (error instanceof RequestAbortedError) return 'aborted';
+    if (error instanceof ProviderError && error.code === 'timeout') return 'timeout';
+    return 'error';
+}
 
-    if (!response.ok) {
-        const errorText = await response.text().catch(() => 'Unknown error');
-        throw new Error(`HuggingFace API error: ${errorText}`);
-    }
+function recordProviderCall(provider, purpose, outcome, startedAt) {
+    metrics.providerCalls.inc({ provider: provider.name, purpose, outcome });
+    metrics.providerDuration.observe({ provider: provider.name, outcome }, (Date.now() - startedAt) / 1000);
+}
 
-    const data = await response.json();
-    
-    if (Array.isArray(data) && data[0] && data.generated_text) {
-        return data.generated_text;
-    } else if (data.generated_text) {
-        return data.generated_text;
-    } else if (data.error) {
-        throw new Error(`HuggingFace error: ${data.error}`);
+// Answers the student's message from the provider's fixtures file, or with
+// its fallback answer when it is a chat message. Throws (so the next
+// provider is tried) otherwise.
+function callFixture(provider, messages, subject, purpose) {
+    const question = messages[messages.length - 1].content;
+    const fixture = fixtureLibrary(provider.fixtures).match(question, subject);
+    if (fixture) return fixture.response;
+    if (provider.fallback && (purpose === 'chat' || purpose === 'compare')) return provider.fallback;
+    throw new Error(`${provider.name} has no fixture for this question`);
+}
+
+function recordFixture(provider, messages, subject, text) {
+    try {
+        fixtureRecorder.record({
+            message: messages[messages.length - 1].content,
+            subject,
+            response: text,
+            provider: provider.name
+        });
+        logger.info('Recorded fixture', { provider: provider.name });
+    } catch (error) {
+        logger.error('Could not record fixture', { provider: provider.name, err: error });
     }
-    
-    throw new Error('Invalid HuggingFace response format');
 }
 
 // Add fetch polyfill for Node.js
@@ -319,21 +1757,32 @@ if (!global.fetch) {
 
 // Start server
 const startServer = () => {
+    try {
+        providerRegistry.load();
+        providerRegistry.watch();
+    } catch (error) {
+        logger.error('Could not load providers', { err: error });
+        process.exit(1);
+    }
+
+    const passages = knowledgeBase.load();
+    knowledgeBase.watch();
+
     const keysValid = validateAPIKeys();
     
     app.listen(PORT, () => {
-        console.log('\n🤖 ═══════════════════════════════════════════════════');
-        console.log('   JARVIS AI BACKEND SERVER ONLINE');
-        console.log('   ═══════════════════════════════════════════════════');
-        console.log(`   📡 Server: http://localhost:${PORT}`);
-        console.log(`   🔗 Health: http://localhost:${PORT}/health`);
-        console.log(`   🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-        console.log(`   ✅ APIs configured: ${API_PROVIDERS.filter(p => p.key && p.key.length > 10).length}/${API_PROVIDERS.length}`);
-        console.log(`   🔐 Keys validation: ${keysValid ? 'PASSED' : 'FAILED'}`);
-        console.log('   ═══════════════════════════════════════════════════\n');
-        
+        logger.info('JARVIS AI backend online', {
+            url: `http://localhost:${PORT}`,
+            environment: process.env.NODE_ENV || 'development',
+            cors_origins: corsConfig.origins,
+            providers_active: providerRegistry.getActive().length,
+            providers_total: providerRegistry.getAll().length,
+            keys_valid: keysValid,
+            passages_indexed: passages,
+            recording_fixtures: fixtureRecorder ? fixtureRecorder.filePath : undefined
+        });
         if (!keysValid) {
-            console.log('⚠️  Some API keys are missing - JARVIS functionality may be limited');
+            logger.warn('Some API keys are missing - JARVIS functionality may be limited');
         }
     });
 };
@@ -342,11 +1791,11 @@ startServer();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('🛑 SIGTERM received, shutting down gracefully');
+    logger.info('SIGTERM received, shutting down');
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
-    console.log('\n🛑 SIGINT received, shutting down gracefully');
+    logger.info('SIGINT received, shutting down');
     process.exit(0);
 });
@@ -0,0 +1,308 @@
+// Each provider adapter against a local stand-in for its API: a plain
+// http.createServer that checks the request the adapter sends and answers
+// the way the real service does - whole responses, streams, error statuses
+// and streams that never finish (for aborts).
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { callAdapter, ProviderError, RequestAbortedError } = require('../lib/adapters');
+
+const MESSAGES = [
+    { role: 'system', content: 'You are JARVIS.' },
+    { role: 'user', content: 'What is Ohm\'s law?' }
+];
+const ANSWER = ['Ohm\'s law', ' says V = IR', '.'];
+
+// Questions the stand-ins treat specially
+const FAIL = 'PLEASE_FAIL';
+const HANG = 'PLEASE_HANG';
+
+const sse = (data, event) => (event ? `event: ${event}\n` : '') + `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+const openaiChunk = (delta, extra = {}) => sse({ choices: [{ delta: delta === null ? {} : { content: delta }, finish_reason: null, ...extra }] });
+
+const OPENAI_STYLE = {
+    answer: () => ({
+        choices: [{ message: { role: 'assistant', content: ANSWER.join('') }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 5 }
+    }),
+    chunks: () => [
+        ...ANSWER.map(delta => openaiChunk(delta)),
+        openaiChunk(null, { finish_reason: 'length' }),
+        sse({ choices: [], usage: { prompt_tokens: 12, completion_tokens: 5 } }),
+        sse('[DONE]')
+    ],
+    streamStopReason: 'length',
+    contentType: 'text/event-stream'
+};
+
+// What each stand-in expects and sends, by adapter type
+const ADAPTERS = {
+    'openai-compatible': {
+        ...OPENAI_STYLE,
+        path: '/v1/chat/completions',
+        provider: { url: '/v1/chat/completions' },
+        checkRequest(request) {
+            assert.strictEqual(request.headers.authorization, 'Bearer test-key');
+            assert.deepStrictEqual(request.body.messages, MESSAGES);
+            if (request.body.stream) assert.deepStrictEqual(request.body.stream_options, { include_usage: true });
+        },
+        error: { status: 429, body: { error: { message: 'Rate limit reached', type: 'rate_limit_exceeded' } }, message: 'Rate limit reached', code: 'rate_limit_exceeded' }
+    },
+    llamacpp: {
+        ...OPENAI_STYLE,
+        path: '/v1/chat/completions',
+        provider: { url: '/v1/chat/completions', key: null },
+        checkRequest(request) {
+            assert.strictEqual(request.headers.authorization, undefined);
+            assert.deepStrictEqual(request.body.messages, MESSAGES);
+        },
+        error: { status: 500, text: 'Internal Server Error', message: 'Internal Server Error', code: null }
+    },
+    huggingface: {
+        ...OPENAI_STYLE,
+        path: '/models/org/model/v1/chat/completions',
+        provider: { url: '/models/org/model/', model: undefined },
+        checkRequest(request) {
+            assert.strictEqual(request.body.model, 'tgi');
+            assert.strictEqual(request.body.stream_options, undefined);
+            assert.deepStrictEqual(request.body.messages, MESSAGES);
+        },
+        error: { status: 503, body: { error: 'Model is currently loading' }, message: 'Model is currently loading', code: null }
+    },
+    anthropic: {
+        path: '/v1/messages',
+        provider: { url: '/v1/messages', temperature: 1.5 },
+        checkRequest(request) {
+            assert.strictEqual(request.headers['x-api-key'], 'test-key');
+            assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+            assert.strictEqual(request.body.system, 'You are JARVIS.');
+            assert.deepStrictEqual(request.body.messages, [MESSAGES[1]]);
+            assert.strictEqual(request.body.temperature, 1);
+        },
+        answer: () => ({
+            type: 'message',
+            content: [{ type: 'text', text: ANSWER.join('') }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 12, output_tokens: 5 }
+        }),
+        chunks: () => [
+            sse({ type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 1 } } }, 'message_start'),
+            sse({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }, 'content_block_start'),
+            sse({ type: 'ping' }, 'ping'),
+            ...ANSWER.map(text => sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }, 'content_block_delta')),
+            sse({ type: 'content_block_stop', index: 0 }, 'content_block_stop'),
+            sse({ type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 5 } }, 'message_delta'),
+            sse({ type: 'message_stop' }, 'message_stop')
+        ],
+        streamStopReason: 'length',
+        contentType: 'text/event-stream',
+        firstTokenChunk: 3,
+        error: { status: 529, body: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }, message: 'Overloaded', code: 'overloaded_error' }
+    },
+    gemini: {
+        path: '/v1beta/models/gemini-test:generateContent',
+        streamPath: '/v1beta/models/gemini-test:streamGenerateContent?alt=sse',
+        provider: { url: '/v1beta/', model: 'gemini-test' },
+        checkRequest(request) {
+            assert.strictEqual(request.headers['x-goog-api-key'], 'test-key');
+            assert.deepStrictEqual(request.body.systemInstruction, { parts: [{ text: 'You are JARVIS.' }] });
+            assert.deepStrictEqual(request.body.contents, [{ role: 'user', parts: [{ text: MESSAGES[1].content }] }]);
+        },
+        answer: () => ({
+            candidates: [{ content: { role: 'model', parts: [{ text: ANSWER.join('') }] }, finishReason: 'STOP' }],
+            usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 5 }
+        }),
+        chunks: () => ANSWER.map((text, index) => sse({
+            candidates: [{
+                content: { role: 'model', parts: [{ text }] },
+                ...(index === ANSWER.length - 1 ? { finishReason: 'SAFETY' } : {})
+            }],
+            ...(index === ANSWER.length - 1 ? { usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 5 } } : {})
+        })),
+        streamStopReason: 'content_filter',
+        contentType: 'text/event-stream',
+        error: { status: 400, body: { error: { code: 400, message: 'API key not valid', status: 'INVALID_ARGUMENT' } }, message: 'API key not valid', code: 'INVALID_ARGUMENT' }
+    },
+    ollama: {
+        path: '/api/chat',
+        provider: { url: '/api/chat', key: null },
+        checkRequest(request) {
+            assert.deepStrictEqual(request.body.messages, MESSAGES);
+            assert.strictEqual(request.body.options.num_predict, 256);
+        },
+        answer: () => ({
+            message: { role: 'assistant', content: ANSWER.join('') },
+            done: true,
+            done_reason: 'stop',
+            prompt_eval_count: 12,
+            eval_count: 5
+        }),
+        chunks: () => [
+            ...ANSWER.map(content => JSON.stringify({ message: { role: 'assistant', content }, done: false }) + '\n'),
+            JSON.stringify({ message: { role: 'assistant', content: '' }, done: true, done_reason: 'length', prompt_eval_count: 12, eval_count: 5 }) + '\n'
+        ],
+        streamStopReason: 'length',
+        contentType: 'application/x-ndjson',
+        error: { status: 404, body: { error: 'model "test-model" not found, try pulling it first' }, message: 'model "test-model" not found, try pulling it first', code: null }
+    }
+};
+
+// Starts a stand-in for one API. Resolves with its base URL, the requests it
+// has seen and a close() that also drops streams left hanging.
+function startStandIn(spec) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const stream = spec.streamPath ? req.url === spec.streamPath : body.stream === true;
+            const expectedPath = stream && spec.streamPath ? spec.streamPath : spec.path;
+            if (req.method !== 'POST' || req.url !== expectedPath) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                return res.end(`Unexpected ${req.method} ${req.url}`);
+            }
+
+            if (raw.includes(FAIL)) {
+                const { status, body: errorBody, text } = spec.error;
+                res.writeHead(status, { 'Content-Type': errorBody ? 'application/json' : 'text/plain' });
+                return res.end(errorBody ? JSON.stringify(errorBody) : text);
+            }
+            if (!stream) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify(spec.answer()));
+            }
+
+            res.writeHead(200, { 'Content-Type': spec.contentType });
+            const chunks = spec.chunks();
+            if (raw.includes(HANG)) {
+                // Up to the first piece of text, and then nothing more
+                chunks.slice(0, (spec.firstTokenChunk || 0) + 1).forEach(chunk => res.write(chunk));
+                return;
+            }
+            chunks.forEach(chunk => res.write(chunk));
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseURL: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+const withQuestion = (question) => [MESSAGES[0], { role: 'user', content: question }];
+
+for (const [type, spec] of Object.entries(ADAPTERS)) {
+    test(`${type} adapter`, async (t) => {
+        const standIn = await startStandIn(spec);
+        t.after(() => standIn.close());
+        const provider = {
+            name: `${type}-stand-in`,
+            type,
+            key: 'test-key',
+            model: 'test-model',
+            maxTokens: 256,
+            temperature: 0.7,
+            contextWindow: 4096,
+            ...spec.provider,
+            url: standIn.baseURL + spec.provider.url
+        };
+
+        await t.test('answers a whole response', async () => {
+            const result = await callAdapter(provider, MESSAGES);
+            assert.deepStrictEqual(result, {
+                text: ANSWER.join(''),
+                usage: { prompt_tokens: 12, completion_tokens: 5 },
+                stopReason: 'stop'
+            });
+            const request = standIn.requests[standIn.requests.length - 1];
+            assert.notStrictEqual(request.body.stream, true);
+            spec.checkRequest(request);
+        });
+
+        await t.test('streams tokens in order', async () => {
+            const tokens = [];
+            const result = await callAdapter(provider, MESSAGES, { onToken: token => tokens.push(token) });
+            assert.deepStrictEqual(tokens, ANSWER);
+            assert.deepStrictEqual(result, {
+                text: ANSWER.join(''),
+                usage: { prompt_tokens: 12, completion_tokens: 5 },
+                stopReason: spec.streamStopReason
+            });
+            spec.checkRequest(standIn.requests[standIn.requests.length - 1]);
+        });
+
+        await t.test('reports error statuses with the provider\'s message', async () => {
+            for (const onToken of [undefined, () => {}]) {
+                await assert.rejects(callAdapter(provider, withQuestion(FAIL), { onToken }), (error) => {
+                    assert.ok(error instanceof ProviderError);
+                    assert.strictEqual(error.status, spec.error.status);
+                    assert.strictEqual(error.code, spec.error.code);
+                    assert.strictEqual(error.provider, provider.name);
+                    assert.ok(error.message.includes(spec.error.message), error.message);
+                    return true;
+                });
+            }
+        });
+
+        await t.test('stops a stream when the client aborts', async () => {
+            const controller = new AbortController();
+            const tokens = [];
+            // The timeout only keeps a broken abort from hanging the run
+            await assert.rejects(callAdapter({ ...provider, timeoutMs: 5000 }, withQuestion(HANG), {
+                signal: controller.signal,
+                onToken: (token) => {
+                    tokens.push(token);
+                    controller.abort();
+                }
+            }), RequestAbortedError);
+            assert.deepStrictEqual(tokens, [ANSWER[0]]);
+        });
+
+        await t.test('times out a stream that stops sending', async () => {
+            await assert.rejects(callAdapter({ ...provider, timeoutMs: 200 }, withQuestion(HANG), { onToken: () => {} }), (error) => {
+                assert.ok(error instanceof ProviderError);
+                assert.strictEqual(error.code, 'timeout');
+                return true;
+            });
+        });
+    });
+}
+
+test('an already aborted call never reaches the provider', async (t) => {
+    const standIn = await startStandIn(ADAPTERS['openai-compatible']);
+    t.after(() => standIn.close());
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(callAdapter({
+        name: 'early', type: 'openai-compatible', url: standIn.baseURL + '/v1/chat/completions', key: 'k', model: 'm'
+    }, MESSAGES, { signal: controller.signal }), RequestAbortedError);
+    assert.strictEqual(standIn.requests.length, 0);
+});
+
+test('a provider that never answers hits the connect timeout', async (t) => {
+    const server = http.createServer(() => {}); // accepts and says nothing
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+    }));
+    await assert.rejects(callAdapter({
+        name: 'silent', type: 'ollama', url: `http://127.0.0.1:${server.address().port}/api/chat`, model: 'm', connectTimeoutMs: 150
+    }, MESSAGES), (error) => {
+        assert.ok(error instanceof ProviderError);
+        assert.strictEqual(error.code, 'timeout');
+        assert.ok(error.message.includes('no response within 150ms'));
+        return true;
+    });
+});
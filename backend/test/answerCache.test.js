@@ -0,0 +1,50 @@
+// Answer cache keys and how lookups reach the disk
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AnswerCache, cacheKey } = require('../lib/answerCache');
+
+const CURRICULUM = { class: '10', subject: 'Mathematics', chapter: null };
+const key = (message, curriculum = CURRICULUM) => cacheKey(message, curriculum, []);
+
+test('questions that differ only in an operator get different keys', () => {
+    assert.notStrictEqual(key('What is 2+3?'), key('What is 2*3?'));
+    assert.notStrictEqual(key('Solve x^2-1=0'), key('Solve x^2+1=0'));
+    assert.notStrictEqual(key('Is 3 > 2?'), key('Is 3 < 2?'));
+});
+
+test('different Hindi questions get different keys', () => {
+    const hindi = { class: '10', subject: 'Hindi', chapter: null };
+    assert.notStrictEqual(key('प्रकाश संश्लेषण क्या है?', hindi), key('जल चक्र क्या है?', hindi));
+    assert.notStrictEqual(key('कबीर के दोहे समझाइए', hindi), key('तुलसीदास के दोहे समझाइए', hindi));
+});
+
+test('case, spacing and compatibility forms do not change the key', () => {
+    assert.strictEqual(key('  What is   Ohm\'s law? '), key('what is ohm\'s law?'));
+    assert.strictEqual(key('Ｘ２ + 1'), key('x2 + 1'));
+});
+
+test('the class, subject and recent history are part of the key', () => {
+    assert.notStrictEqual(key('What is a cell?'), key('What is a cell?', { ...CURRICULUM, class: '9' }));
+    assert.notStrictEqual(cacheKey('Why?', CURRICULUM, [{ role: 'user', content: 'Rainbows' }]),
+        cacheKey('Why?', CURRICULUM, [{ role: 'user', content: 'Tides' }]));
+});
+
+test('hits are written to disk later, not on every lookup', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'answer-cache.json');
+    const cache = new AnswerCache(file, { saveDelayMs: 50 });
+    const stored = () => JSON.parse(fs.readFileSync(file, 'utf8')).entries[0].hits;
+
+    cache.set('k', { message: 'What is 2+3?', response: '5', provider: 'Test' });
+    const written = fs.statSync(file).mtimeMs;
+    for (let i = 0; i < 5; i++) assert.strictEqual(cache.get('k').response, '5');
+
+    assert.strictEqual(fs.statSync(file).mtimeMs, written);
+    assert.strictEqual(stored(), 0);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.strictEqual(stored(), 5);
+});
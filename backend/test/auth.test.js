@@ -0,0 +1,65 @@
+// Accounts, guest sessions and their expiry
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthStore, AuthError } = require('../lib/auth');
+const { ConversationStore } = require('../lib/conversations');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-auth-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('two registrations of one name at once create one account', async (t) => {
+    const store = new AuthStore(path.join(tempDir(t), 'users.json'));
+    const results = await Promise.allSettled([
+        store.register('asha', 'correct horse'),
+        store.register('Asha', 'battery staple')
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    const { reason } = results.find(result => result.status === 'rejected');
+    assert.ok(reason instanceof AuthError);
+    assert.strictEqual(reason.status, 409);
+    assert.strictEqual([...store.users.values()].filter(user => user.username === 'asha').length, 1);
+});
+
+test('unknown usernames and wrong passwords are both refused', async (t) => {
+    const store = new AuthStore(path.join(tempDir(t), 'users.json'));
+    await store.register('asha', 'correct horse');
+    assert.strictEqual(await store.login('nobody', 'correct horse'), null);
+    assert.strictEqual(await store.login('asha', 'wrong horse'), null);
+    assert.strictEqual((await store.login('asha', 'correct horse')).username, 'asha');
+});
+
+test('guests expire with their sessions and accounts do not', async (t) => {
+    const file = path.join(tempDir(t), 'users.json');
+    const store = new AuthStore(file, { sessionTtlMs: 60000, guestTtlMs: 1000 });
+    const student = await store.register('asha', 'correct horse');
+    store.issueToken(student.id);
+    const guest = store.createGuest();
+    const { token } = store.issueToken(guest.id);
+    const later = Date.now() + 5000;
+
+    assert.deepStrictEqual(store.expiredGuests(), []);
+    assert.deepStrictEqual(store.expiredGuests(later), [guest.id]);
+
+    assert.deepStrictEqual(store.pruneExpired(later), [guest.id]);
+    assert.strictEqual(store.authenticate(token), null);
+    assert.ok(store.users.has(student.id));
+    assert.ok(!new AuthStore(file).users.has(guest.id), 'the guest is gone from users.json');
+});
+
+test('an expired guest\'s conversations can be deleted with them', (t) => {
+    const dir = tempDir(t);
+    const conversations = new ConversationStore(path.join(dir, 'conversations.json'));
+    conversations.create({ userId: 'guest' });
+    conversations.create({ userId: 'guest' });
+    const kept = conversations.create({ userId: 'student' });
+
+    assert.strictEqual(conversations.deleteForUser('guest'), 2);
+    assert.deepStrictEqual(new ConversationStore(path.join(dir, 'conversations.json')).list('student').map(c => c.id), [kept.id]);
+});
@@ -0,0 +1,51 @@
+// Conversations round-trip through an export: whatever the store keeps can
+// be imported back, however long the answers were.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConversationStore, validateMessage } = require('../lib/conversations');
+const { toExportJSON, parseImport } = require('../lib/transcripts');
+
+function createStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-conversations-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new ConversationStore(path.join(dir, 'conversations.json'));
+}
+
+test('a long saved answer can be exported and imported back', (t) => {
+    const store = createStore(t);
+    const conversation = store.create({ userId: 'student' });
+    const answer = 'Step by step. '.repeat(3000); // about 42,000 characters
+    store.append(conversation.id, [
+        { role: 'user', content: 'Prove the theorem' },
+        { role: 'assistant', content: answer, provider: 'OpenAI' }
+    ]);
+
+    const exported = JSON.parse(JSON.stringify(toExportJSON(store.get(conversation.id))));
+    const { conversation: parsed, error } = parseImport(exported);
+    assert.strictEqual(error, undefined);
+
+    const imported = store.import({ userId: 'student', ...parsed });
+    assert.strictEqual(imported.messages[1].content, answer);
+});
+
+test('answers longer than the import limit are clipped when saved', (t) => {
+    const store = createStore(t);
+    const conversation = store.create({ userId: 'student' });
+    store.append(conversation.id, [
+        { role: 'user', content: 'Write everything' },
+        { role: 'assistant', content: 'x'.repeat(150000) }
+    ]);
+
+    const saved = store.get(conversation.id).messages[1];
+    assert.strictEqual(validateMessage(saved), null);
+    assert.strictEqual(parseImport(toExportJSON(store.get(conversation.id))).error, undefined);
+});
+
+test('questions keep the shorter limit', () => {
+    assert.strictEqual(validateMessage({ role: 'user', content: 'q'.repeat(20000) }), null);
+    assert.match(validateMessage({ role: 'user', content: 'q'.repeat(20001) }), /too long/);
+    assert.strictEqual(validateMessage({ role: 'assistant', content: 'a'.repeat(20001) }), null);
+});
@@ -0,0 +1,145 @@
+// The chat fallback path, driven deterministically: the real server with a
+// provider that always fails and a fixture provider behind it. Every data
+// file lives in a temporary directory.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+
+const FALLBACK = 'JARVIS is offline right now - try one of the demo questions.';
+const FIXTURES = [
+    { message: 'What is Ohm\'s law?', subject: null, response: 'Ohm\'s law states that V = IR.' },
+    { message: 'प्रकाश संश्लेषण क्या है?', subject: null, response: 'हरे पौधे सूर्य के प्रकाश से भोजन बनाते हैं।' }
+];
+
+// Answers every call with a 500 and remembers what it was asked
+function startBrokenProvider() {
+    const prompts = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            prompts.push(JSON.parse(raw).messages);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal Server Error');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, prompts })));
+}
+
+function freePort() {
+    const server = http.createServer();
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    }));
+}
+
+async function startJarvis(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-fallback-'));
+    const broken = await startBrokenProvider();
+    fs.writeFileSync(path.join(dir, 'fixtures.json'), JSON.stringify({ fixtures: FIXTURES }));
+    fs.writeFileSync(path.join(dir, 'providers.json'), JSON.stringify({
+        providers: [
+            {
+                name: 'Broken', type: 'llamacpp', priority: 1, maxTokens: 200, contextWindow: 1200,
+                url: `http://127.0.0.1:${broken.server.address().port}/v1/chat/completions`
+            },
+            {
+                name: 'Offline', type: 'fixture', priority: 2, maxTokens: 200, contextWindow: 1200,
+                fixtures: 'fixtures.json', fallback: FALLBACK
+            }
+        ]
+    }));
+
+    const port = await freePort();
+    const file = (name) => path.join(dir, name);
+    const jarvis = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            LOG_LEVEL: 'error',
+            ALLOW_GUESTS: 'true',
+            ANSWER_CACHE: 'false',
+            PROVIDERS_CONFIG: file('providers.json'),
+            USERS_FILE: file('users.json'),
+            CONVERSATIONS_FILE: file('conversations.json'),
+            USAGE_FILE: file('usage.json'),
+            KNOWLEDGE_INDEX: file('knowledge-index.json')
+        },
+        stdio: 'ignore'
+    });
+    t.after(() => new Promise(done => {
+        broken.server.close();
+        jarvis.once('exit', () => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            done();
+        });
+        jarvis.kill();
+    }));
+
+    const baseURL = `http://127.0.0.1:${port}`;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await fetch(baseURL + '/health');
+            break;
+        } catch (error) {
+            if (attempt === 100) throw error;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    const { token } = await (await fetch(baseURL + '/api/auth/guest', { method: 'POST' })).json();
+    const api = async (method, route, body) => {
+        const response = await fetch(baseURL + route, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    return { api, prompts: broken.prompts };
+}
+
+test('the fixture provider answers after a failing one', async (t) => {
+    const { api, prompts } = await startJarvis(t);
+
+    await t.test('a recorded question gets its recorded answer', async () => {
+        const { status, body } = await api('POST', '/api/chat', { message: 'what is ohms law' });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.provider, 'Offline');
+        assert.strictEqual(body.response, FIXTURES[0].response);
+        assert.ok(prompts.length > 0, 'the failing provider was tried first');
+    });
+
+    await t.test('a Hindi question matches only its own fixture', async () => {
+        const recorded = await api('POST', '/api/chat', { message: 'प्रकाश संश्लेषण क्या है' });
+        assert.strictEqual(recorded.body.response, FIXTURES[1].response);
+
+        const other = await api('POST', '/api/chat', { message: 'जल चक्र क्या है?' });
+        assert.strictEqual(other.body.provider, 'Offline');
+        assert.strictEqual(other.body.response, FALLBACK);
+    });
+
+    await t.test('the fallback answer is never saved as a summary', async () => {
+        const { body: conversation } = await api('POST', '/api/conversations', { title: 'Long session' });
+        const history = [];
+        for (let i = 0; i < 8; i++) {
+            history.push({ role: 'user', content: `Question ${i}: ` + 'why? '.repeat(200) });
+            history.push({ role: 'assistant', content: `Answer ${i}: ` + 'because. '.repeat(200) });
+        }
+        assert.strictEqual((await api('POST', `/api/conversations/${conversation.id}/messages`, { messages: history })).status, 201);
+
+        const { status, body } = await api('POST', '/api/chat', { message: 'And then?', conversationId: conversation.id });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.response, FALLBACK);
+        assert.strictEqual(body.context.summarized, false);
+
+        const saved = await api('GET', `/api/conversations/${conversation.id}`);
+        assert.strictEqual(saved.body.summary, undefined);
+        assert.strictEqual(saved.body.messages.length, history.length + 2);
+    });
+});
@@ -0,0 +1,53 @@
+// Flashcards from model output, in English and in Hindi, and room for decks
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DeckStore, FlashcardError, parseCards, addCards } = require('../lib/flashcards');
+
+const REQUEST = { count: 10 };
+const output = (cards) => JSON.stringify({ cards });
+
+test('Hindi cards are kept and their repeats dropped', () => {
+    const cards = parseCards(output([
+        { question: 'प्रकाश संश्लेषण क्या है?', answer: 'पौधों द्वारा भोजन बनाने की प्रक्रिया।' },
+        { question: 'जल चक्र क्या है?', answer: 'जल का वाष्प, बादल और वर्षा बनकर लौटना।' },
+        { question: 'प्रकाश संश्लेषण क्या है', answer: 'दोबारा वही प्रश्न।' }
+    ]), REQUEST);
+    assert.deepStrictEqual(cards.map(card => card.question), ['प्रकाश संश्लेषण क्या है?', 'जल चक्र क्या है?']);
+});
+
+test('English repeats differing in case and punctuation are dropped', () => {
+    const cards = parseCards(output([
+        { question: 'What is Ohm\'s law?', answer: 'V = IR' },
+        { question: 'what is ohms law', answer: 'V = IR' },
+        { question: '?!', answer: 'Nothing to ask' }
+    ]), REQUEST);
+    assert.deepStrictEqual(cards.map(card => card.question), ['What is Ohm\'s law?']);
+    assert.throws(() => parseCards(output([{ question: '?!', answer: 'Nothing' }]), REQUEST), FlashcardError);
+});
+
+test('cards a deck already has are not added again', () => {
+    const deck = { cards: [] };
+    addCards(deck, [{ question: 'जल चक्र क्या है?', answer: 'वर्षा' }], 'chat', '2026-10-19');
+    const added = addCards(deck, [
+        { question: 'जल चक्र क्या है', answer: 'वर्षा' },
+        { question: 'कबीर कौन थे?', answer: 'एक संत कवि' }
+    ], 'chat', '2026-10-19');
+    assert.deepStrictEqual(added.map(card => card.question), ['कबीर कौन थे?']);
+    assert.strictEqual(deck.cards.length, 2);
+});
+
+test('no deck is made past the cap and none is dropped for room', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-decks-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new DeckStore(path.join(dir, 'decks.json'), { maxPerUser: 1 });
+    const science = { class: '10', subject: 'Science' };
+
+    const deck = store.forCurriculum('student', science);
+    assert.ok(deck);
+    assert.strictEqual(store.forCurriculum('student', { class: '10', subject: 'Hindi' }), null);
+    assert.strictEqual(store.forCurriculum('student', science), deck);
+    assert.ok(store.forCurriculum('other', science));
+});
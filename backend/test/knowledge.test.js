@@ -0,0 +1,54 @@
+// Indexing chapter files and retrieving passages with BM25, in English and
+// in Hindi
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeBase, ingest, tokenize } = require('../lib/knowledge');
+
+const CHAPTERS = {
+    'class-10/science/light.md': '---\nchapter: Light - Reflection and Refraction\npage: 160\n---\n' +
+        'Light travels in straight lines. A concave mirror converges parallel rays of light to its focus.',
+    'class-10/science/life-processes.md': '---\nchapter: Life Processes\npage: 93\n---\n' +
+        'Photosynthesis is the process by which green plants make food from carbon dioxide and water using sunlight.',
+    'class-10/hindi/prakash-sanshleshan.md': '---\nchapter: प्रकाश संश्लेषण\npage: 12\n---\n' +
+        'हरे पौधे सूर्य के प्रकाश की सहायता से कार्बन डाइऑक्साइड और जल से अपना भोजन बनाते हैं। ' +
+        'इस प्रक्रिया को प्रकाश संश्लेषण कहते हैं।',
+    'class-10/hindi/jal-chakra.md': '---\nchapter: जल चक्र\npage: 30\n---\n' +
+        'समुद्र का जल वाष्प बनकर बादल बनाता है और वर्षा के रूप में धरती पर लौटता है।'
+};
+
+function buildKnowledgeBase(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-knowledge-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [file, content] of Object.entries(CHAPTERS)) {
+        fs.mkdirSync(path.dirname(path.join(dir, 'knowledge', file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'knowledge', file), content);
+    }
+    const indexPath = path.join(dir, 'knowledge-index.json');
+    ingest(path.join(dir, 'knowledge'), indexPath);
+    const knowledgeBase = new KnowledgeBase(indexPath);
+    knowledgeBase.load();
+    return knowledgeBase;
+}
+
+test('English questions find their passage', (t) => {
+    const [passage] = buildKnowledgeBase(t).search('How do plants make food by photosynthesis?', { class: '10' });
+    assert.strictEqual(passage.chapter, 'Life Processes');
+    assert.strictEqual(passage.page, 93);
+});
+
+test('Hindi words are indexed whole, vowel signs included', () => {
+    assert.deepStrictEqual(tokenize('प्रकाश संश्लेषण क्या है?'), ['प्रकाश', 'संश्लेषण', 'क्या', 'है']);
+});
+
+test('Hindi questions find their Hindi passage', (t) => {
+    const knowledgeBase = buildKnowledgeBase(t);
+    const [passage] = knowledgeBase.search('प्रकाश संश्लेषण में पौधे भोजन कैसे बनाते हैं?', { class: '10', subject: 'Hindi' });
+    assert.strictEqual(passage.chapter, 'प्रकाश संश्लेषण');
+    assert.strictEqual(passage.page, 12);
+
+    const [other] = knowledgeBase.search('वर्षा और बादल', { class: '10' });
+    assert.strictEqual(other.chapter, 'जल चक्र');
+});
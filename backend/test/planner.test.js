@@ -0,0 +1,89 @@
+// Study plans: matching weights to the syllabus, late sessions and the
+// per-student cap
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const planner = require('../lib/planner');
+const { loadCurriculumConfig } = require('../lib/curriculum');
+
+const config = loadCurriculumConfig();
+
+function lateEveningPlan() {
+    const { request, error } = planner.validatePlanRequest({
+        class: '10',
+        start_date: '2026-10-19',
+        daily_hours: 2,
+        start_time: '22:00',
+        exams: [{ subject: 'Physics', date: '2026-10-23', chapters: ['Light', 'Electricity'] }]
+    }, config);
+    assert.strictEqual(error, undefined);
+    return { id: 'plan', ...planner.buildPlan(request, planner.evenWeights(request), { source: 'even' }) };
+}
+
+test('weights find their Hindi subjects and chapters', () => {
+    const request = {
+        exams: [
+            { subject: 'हिंदी', date: '2026-11-02', chapters: ['कबीर की साखियाँ', 'मीरा के पद'] },
+            { subject: 'संस्कृत', date: '2026-11-05', chapters: ['शुचिपर्यावरणम्', 'बुद्धिर्बलवती सदा'] }
+        ]
+    };
+    const output = JSON.stringify({
+        subjects: [
+            { subject: 'संस्कृत', chapters: [{ name: 'बुद्धिर्बलवती सदा', weight: 2, difficulty: 5 }] },
+            {
+                subject: 'हिंदी',
+                chapters: [
+                    { name: 'मीरा के पद', weight: 5, difficulty: 1 },
+                    { name: 'कबीर की साखियाँ', weight: 4, difficulty: 4 }
+                ]
+            }
+        ]
+    });
+
+    const [hindi, sanskrit] = planner.parseWeights(output, request);
+    assert.deepStrictEqual(hindi.chapters.map(c => [c.name, c.weight, c.difficulty]),
+        [['कबीर की साखियाँ', 4, 4], ['मीरा के पद', 5, 1]]);
+    assert.deepStrictEqual(sanskrit.chapters.map(c => [c.name, c.weight, c.difficulty]),
+        [['शुचिपर्यावरणम्', 3, 3], ['बुद्धिर्बलवती सदा', 2, 5]]);
+});
+
+test('a session ending at midnight ends on the next day in the calendar', () => {
+    const ics = planner.toICS(lateEveningPlan()).split('\r\n');
+    const times = ics.filter(line => /^DT(START|END):/.test(line)).slice(0, 4);
+    assert.deepStrictEqual(times, [
+        'DTSTART:20261019T220000', 'DTEND:20261019T230000',
+        'DTSTART:20261019T230000', 'DTEND:20261020T000000'
+    ]);
+});
+
+test('an edit that would run past midnight is rejected', () => {
+    const plan = lateEveningPlan();
+    const [first] = plan.days[0].sessions;
+    const next = plan.days[1];
+
+    const { error } = planner.applyPlanEdits(plan, { sessions: [{ id: first.id, date: next.date }] });
+    assert.match(error, /run past midnight/);
+
+    const { plan: edited } = planner.applyPlanEdits(plan, {
+        sessions: [{ id: next.sessions[0].id, delete: true }, { id: first.id, date: next.date }]
+    });
+    assert.deepStrictEqual(edited.days[1].sessions.map(session => session.start), ['22:00', '23:00']);
+});
+
+test('each student keeps their own newest plans up to the cap', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-plans-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new planner.PlanStore(path.join(dir, 'plans.json'), { maxPerUser: 2 });
+    const { id, ...plan } = lateEveningPlan();
+
+    const oldest = store.add({ ...plan, userId: 'student' });
+    const other = store.add({ ...plan, userId: 'other' });
+    store.add({ ...plan, userId: 'student' });
+    store.add({ ...plan, userId: 'student' });
+
+    assert.strictEqual(store.get(oldest.id), null);
+    assert.ok(store.get(other.id));
+    assert.strictEqual(store.list('student').length, 2);
+});
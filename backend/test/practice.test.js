@@ -0,0 +1,86 @@
+// Practice test repair and grading, in English and in Hindi
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { repairTest, gradeTest, PracticeTestStore } = require('../lib/practice');
+
+const COUNTS = { mcq: 1, short: 1, long: 0 };
+
+function practiceTest(questions) {
+    const repaired = repairTest({ title: 'Test', questions }, { counts: COUNTS });
+    return { id: 'test', ...repaired };
+}
+
+const shortQuestion = (fields) => ({ type: 'short', question: 'Q?', marks: 2, ...fields });
+const grade = (questions, answers) => gradeTest(practiceTest(questions), answers, 60).results;
+
+test('MCQ answers match the option text before a letter', () => {
+    const { questions } = practiceTest([
+        { type: 'mcq', question: 'Which part?', options: ['Nucleus', 'A cell wall', 'Ribosome'], answer: 'A cell wall' },
+        { type: 'mcq', question: 'Which letter?', options: ['x', 'y', 'z'], answer: 'b)' }
+    ]);
+    assert.deepStrictEqual(questions.map(question => question.answer), [1, 1]);
+});
+
+test('an MCQ answer past the last option drops the question', () => {
+    const { questions } = practiceTest([
+        { type: 'mcq', question: 'Yes or no?', options: ['Yes', 'No'], answer: 'C' },
+        shortQuestion({ answer: 'Because of gravity', keywords: ['gravity'] })
+    ]);
+    assert.deepStrictEqual(questions.map(question => question.type), ['short']);
+});
+
+test('written answers earn marks for the keywords they mention', () => {
+    const [result] = grade([shortQuestion({ answer: 'V = IR', keywords: ['voltage', 'current'] })],
+        { q1: 'Voltage rises with the current.' });
+    assert.strictEqual(result.score, 2);
+    assert.strictEqual(result.status, 'correct');
+});
+
+test('a Hindi answer is graded on its Hindi keywords', () => {
+    const question = shortQuestion({
+        question: 'प्रकाश संश्लेषण क्या है?',
+        answer: 'पौधे सूर्य के प्रकाश से भोजन बनाते हैं।',
+        keywords: ['सूर्य', 'प्रकाश', 'भोजन', 'पौधे']
+    });
+
+    const [perfect] = grade([question], { q1: 'पौधे सूर्य के प्रकाश की मदद से अपना भोजन बनाते हैं।' });
+    assert.strictEqual(perfect.status, 'correct');
+    assert.strictEqual(perfect.score, 2);
+
+    const [half] = grade([question], { q1: 'पौधे भोजन बनाते हैं' });
+    assert.strictEqual(half.score, 1);
+    assert.deepStrictEqual(half.missing_keywords, ['सूर्य', 'प्रकाश']);
+
+    const [wrong] = grade([question], { q1: 'abc' });
+    assert.strictEqual(wrong.score, 0);
+    assert.strictEqual(wrong.status, 'incorrect');
+});
+
+test('a Hindi model answer gives keywords when none were listed', () => {
+    const question = shortQuestion({ answer: 'प्रकाश संश्लेषण में क्लोरोफिल सूर्य का प्रकाश सोखता है', keywords: [] });
+    assert.strictEqual(grade([question], { q1: 'क्लोरोफिल प्रकाश सोखता है' })[0].status, 'partial');
+    assert.strictEqual(grade([question], { q1: 'abc' })[0].score, 0);
+});
+
+test('keywords that are only punctuation are ignored', () => {
+    const [result] = grade([shortQuestion({ answer: 'Newton', keywords: ['-', '?', 'newton'] })], { q1: 'abc' });
+    assert.strictEqual(result.score, 0);
+    assert.deepStrictEqual(result.missing_keywords, ['newton']);
+});
+
+test('each student keeps their own newest tests up to the cap', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-tests-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new PracticeTestStore(path.join(dir, 'tests.json'), { maxPerUser: 2 });
+
+    const other = store.add({ userId: 'other', questions: [] });
+    const [first, second, third] = ['a', 'b', 'c'].map(title => store.add({ userId: 'student', title, questions: [] }));
+
+    assert.strictEqual(store.get(first.id), null);
+    assert.ok(store.get(second.id) && store.get(third.id));
+    assert.ok(store.get(other.id), 'another student\'s test is never dropped');
+    assert.strictEqual(new PracticeTestStore(path.join(dir, 'tests.json')).tests.size, 3);
+});
@@ -0,0 +1,170 @@
+// Malicious AI responses through the chat page's own pipeline:
+// MarkdownRenderer -> HTMLSanitizer -> innerHTML -> KaTeX, in a jsdom window
+// that runs scripts. Each payload tries to set window.pwned; none may, and
+// nothing that could run later (handlers, javascript: URLs) may survive.
+// The renderer escapes raw HTML itself, so every payload is also given to
+// the sanitiser directly: each layer has to hold on its own.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const frontend = (file) => fs.readFileSync(path.join(__dirname, '..', '..', file), 'utf8');
+const katexScript = fs.readFileSync(require.resolve('katex/dist/katex.min.js'), 'utf8');
+
+const PAYLOADS = {
+    'script tag': '<script>window.pwned = 1</script>',
+    'script tag in markdown': '**Answer:** <script>window.pwned = 1</script> done',
+    'split script tag': '<scr<script>ipt>window.pwned = 1</scr</script>ipt>',
+    'img onerror': '<img src="x" onerror="window.pwned = 1">',
+    'unquoted onerror': '<img src=x onerror=window.pwned=1>',
+    'onclick on an allowed tag': '<p onclick="window.pwned = 1">click me</p>',
+    'onmouseover in a table': '| a |\n|---|\n| <td onmouseover="window.pwned = 1">x</td> |',
+    'details ontoggle': '<details open ontoggle="window.pwned = 1">x</details>',
+    'body onload': '<body onload="window.pwned = 1">',
+    'markdown javascript: link': '[click](javascript:window.pwned=1)',
+    'mixed-case javascript: link': '<a href="JaVaScRiPt:window.pwned=1">x</a>',
+    'entity-encoded javascript: link': '<a href="java&#x09;script:window.pwned=1">x</a>',
+    'leading-space javascript: link': '<a href=" javascript:window.pwned=1">x</a>',
+    'data: URL link': '<a href="data:text/html,<script>window.pwned=1</script>">x</a>',
+    'vbscript: link': '<a href="vbscript:msgbox(1)">x</a>',
+    'markdown link breaking out of href': '[x](https://example.com" onclick="window.pwned=1)',
+    'iframe srcdoc': '<iframe srcdoc="<script>parent.pwned = 1</script>"></iframe>',
+    'object data': '<object data="javascript:window.pwned=1"></object>',
+    'embed src': '<embed src="javascript:window.pwned=1">',
+    'form formaction': '<form><button formaction="javascript:window.pwned=1">go</button></form>',
+    'base href': '<base href="javascript:window.pwned=1//">',
+    'meta refresh': '<meta http-equiv="refresh" content="0;url=javascript:window.pwned=1">',
+    'style tag': '<style>body { background: url("javascript:window.pwned=1") }</style>',
+    'style attribute': '<div style="background:url(javascript:window.pwned=1)">x</div>',
+    'svg onload': '<svg onload="window.pwned = 1"><circle r="10"/></svg>',
+    'svg script': '<svg><script>window.pwned = 1</script></svg>',
+    'svg xlink:href': '<svg><a xlink:href="javascript:window.pwned=1"><text y="20">x</text></a></svg>',
+    'svg animate': '<svg><a><animate attributeName="href" to="javascript:window.pwned=1"/><text y="20">x</text></a></svg>',
+    'mathml href': '<math><mi href="javascript:window.pwned=1">x</mi></math>',
+    'mathml mXSS': '<math><mtext><table><mglyph><style><img src=x onerror="window.pwned=1">',
+    'noscript mXSS': '<noscript><p title="</noscript><img src=x onerror=window.pwned=1>">',
+    'comment breakout': '<!--<img src="--><img src=x onerror=window.pwned=1//">',
+    'template content': '<template><img src=x onerror="window.pwned=1"></template>',
+    'class smuggling': '<span class="math" data-tex="x" onclick="window.pwned=1">x</span>',
+    'code block': '```html\n<script>window.pwned = 1</script>\n<img src=x onerror="window.pwned=1">\n```',
+    'inline code': '`<img src=x onerror="window.pwned=1">`',
+    'katex href': '$\\href{javascript:window.pwned=1}{click}$',
+    'katex url': '$$\\url{javascript:window.pwned=1}$$',
+    'katex htmlData': '$\\htmlData{onclick=window.pwned=1}{x}$',
+    'katex htmlId and class': '$\\htmlId{x" onclick="window.pwned=1}{x} \\htmlClass{y}{z}$',
+    'katex includegraphics': '$\\includegraphics{javascript:window.pwned=1}$',
+    'html inside maths': '$<img src=x onerror="window.pwned=1">$',
+    'maths closing the placeholder': '$x" onclick="window.pwned=1$ and \\(</span><img src=x onerror=window.pwned=1>\\)'
+};
+
+const UNSAFE_URL = /^\s*(javascript|data|vbscript):/i;
+const URL_ATTRIBUTES = ['href', 'src', 'xlink:href', 'action', 'formaction', 'srcdoc', 'data'];
+const DROPPED_TAGS = ['script', 'iframe', 'object', 'embed', 'form', 'base', 'meta', 'style', 'template', 'noscript', 'img'];
+
+function createPage() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body><div id="message"></div></body></html>', {
+        runScripts: 'dangerously',
+        url: 'https://jarvis.example/main.html'
+    });
+    const { window } = dom;
+    window.eval(katexScript);
+    window.eval(frontend('sanitize.js') + '\n' + frontend('markdown.js') +
+        '\nwindow.HTMLSanitizer = HTMLSanitizer; window.MarkdownRenderer = MarkdownRenderer;');
+    return {
+        window,
+        markdown: new window.MarkdownRenderer(),
+        sanitizer: new window.HTMLSanitizer()
+    };
+}
+
+// The same steps as JarvisAI.formatAIContent and addMessageToChat
+function showAnswer(page, text) {
+    return showHTML(page, page.markdown.render(text));
+}
+
+function showHTML(page, html) {
+    const element = page.window.document.getElementById('message');
+    element.innerHTML = page.sanitizer.sanitize(html);
+    page.markdown.renderMath(element);
+    return element;
+}
+
+const page = createPage();
+
+function assertHarmless(element) {
+    // Anything that waits for the student to interact
+    for (const node of element.querySelectorAll('*')) {
+        ['click', 'mouseover', 'focus', 'load', 'error', 'toggle'].forEach(type => {
+            node.dispatchEvent(new page.window.Event(type, { bubbles: true }));
+        });
+    }
+    assert.strictEqual(page.window.pwned, undefined);
+
+    for (const node of element.querySelectorAll('*')) {
+        const tag = node.tagName.toLowerCase();
+        assert.ok(!DROPPED_TAGS.includes(tag), `<${tag}> survived`);
+        for (const attribute of node.attributes) {
+            const attributeName = attribute.name.toLowerCase();
+            assert.ok(!attributeName.startsWith('on'), `${attributeName} survived on <${tag}>`);
+            if (URL_ATTRIBUTES.includes(attributeName)) {
+                assert.ok(!UNSAFE_URL.test(attribute.value), `${attributeName}="${attribute.value}" survived on <${tag}>`);
+            }
+        }
+    }
+}
+
+for (const [name, payload] of Object.entries(PAYLOADS)) {
+    test(`nothing runs from ${name}`, () => {
+        page.window.pwned = undefined;
+        assertHarmless(showAnswer(page, payload));
+    });
+
+    test(`nothing runs from ${name} given straight to the sanitiser`, () => {
+        page.window.pwned = undefined;
+        assertHarmless(showHTML(page, payload));
+    });
+}
+
+test('svg and mathml from the answer text are dropped', () => {
+    for (const payload of [PAYLOADS['svg onload'], PAYLOADS['svg xlink:href'], PAYLOADS['mathml href']]) {
+        assert.strictEqual(showHTML(page, payload).querySelector('svg, math'), null, payload);
+    }
+});
+
+test('the sanitiser keeps what the markdown renderer produces', () => {
+    const element = showAnswer(page, [
+        '# Heading',
+        '**bold**, *italic*, ~~gone~~ and [a link](https://ncert.nic.in)',
+        '',
+        '| Left | Centre | Right |',
+        '|:---|:---:|---:|',
+        '| 1 | 2 | 3 |',
+        '',
+        '3. third',
+        '4. fourth',
+        '',
+        '```python',
+        'print("hi")',
+        '```',
+        '',
+        '$E = mc^2$'
+    ].join('\n'));
+
+    assert.ok(element.querySelector('h3'));
+    assert.ok(element.querySelector('strong') && element.querySelector('em') && element.querySelector('del'));
+    const link = element.querySelector('a');
+    assert.strictEqual(link.getAttribute('href'), 'https://ncert.nic.in');
+    assert.strictEqual(link.getAttribute('rel'), 'noopener noreferrer');
+    assert.deepStrictEqual([...element.querySelectorAll('th')].map(th => th.getAttribute('align')), [null, 'center', 'right']);
+    assert.strictEqual(element.querySelector('ol').getAttribute('start'), '3');
+    assert.strictEqual(element.querySelector('pre').getAttribute('data-lang'), 'python');
+    assert.ok(element.querySelector('.katex'), 'maths was rendered by KaTeX');
+});
+
+test('attribute values are checked as well as names', () => {
+    const html = page.sanitizer.sanitize('<ol start="1 x"><li>a</li></ol><table><tr><td align="javascript:x">b</td></tr></table>');
+    assert.ok(!html.includes('start='));
+    assert.ok(!html.includes('align='));
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeWords } = require('../lib/text');
+
+test('punctuation and case are ignored', () => {
+    assert.strictEqual(normalizeWords('  What is  NEWTON\'s 2nd law?! '), 'what is newton s 2nd law');
+});
+
+test('Hindi keeps its letters and vowel signs', () => {
+    assert.strictEqual(normalizeWords('प्रकाश-संश्लेषण क्या है?'), 'प्रकाश संश्लेषण क्या है');
+    assert.notStrictEqual(normalizeWords('प्रकाश'), normalizeWords('पकाश'));
+});
+
+test('compatibility forms are folded', () => {
+    assert.strictEqual(normalizeWords('Ｈ２Ｏ'), 'h2o');
+});
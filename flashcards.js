@@ -0,0 +1,322 @@
+// JARVIS AI - Flashcards
+// "Make flashcards" under an answer asks the backend to turn it into
+// question/answer cards, filed in a deck for the current class and subject.
+// Decks and each card's SM-2 schedule live on the backend, so reviews follow
+// the student to any device; the header shows how many cards are due today.
+const FLASHCARD_GRADES = [
+    { grade: 1, label: 'Again', key: '1' },
+    { grade: 3, label: 'Hard', key: '2' },
+    { grade: 4, label: 'Good', key: '3' },
+    { grade: 5, label: 'Easy', key: '4' }
+];
+
+class JarvisFlashcards {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        this.review = null;         // { cards, reviewed, revealed } while reviewing
+        this.midnightTimer = null;
+
+        this.overlay = document.getElementById('flashcardOverlay');
+        this.body = document.getElementById('flashcardBody');
+        this.titleElement = document.getElementById('flashcardTitle');
+        this.dueButton = document.getElementById('flashcardDueButton');
+
+        document.getElementById('flashcardClose').addEventListener('click', () => this.close());
+        this.dueButton.addEventListener('click', () => this.open());
+        this.overlay.addEventListener('keydown', (e) => this.handleKey(e));
+    }
+
+    // The student's own date, which decides what is due
+    today() {
+        const now = new Date();
+        return now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0') + '-' + String(now.getDate()).padStart(2, '0');
+    }
+
+    async request(path, options) {
+        const response = await this.jarvis.apiFetch(path, options);
+        if (response.status === 204) return null;
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw this.jarvis.backendError(data.message || data.error || 'HTTP ' + response.status, response);
+        }
+        return data;
+    }
+
+    // Adds the button under an AI answer, next to the read-aloud controls
+    addButton(messageContent, answer, question) {
+        if (!messageContent || messageContent.querySelector('.flashcard-make')) return;
+        let bar = messageContent.querySelector('.speech-controls');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = 'speech-controls';
+            messageContent.appendChild(bar);
+        }
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'speech-btn flashcard-make';
+        button.textContent = '🃏 Make flashcards';
+        button.title = 'Turn this answer into flashcards for review';
+        button.addEventListener('click', () => this.make(button, answer, question));
+        bar.appendChild(button);
+    }
+
+    async make(button, answer, question) {
+        button.disabled = true;
+        button.textContent = '⏳ Making flashcards...';
+        try {
+            const data = await this.request('/api/flashcards', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    content: answer,
+                    question: question || undefined,
+                    curriculum: this.jarvis.getCurriculum(),
+                    conversationId: this.jarvis.conversationId || undefined,
+                    today: this.today()
+                })
+            });
+            const added = data.cards.length;
+            button.textContent = added > 0
+                ? '✓ ' + added + (added === 1 ? ' card' : ' cards') + ' added to ' + data.deck.title
+                : '✓ Already in ' + data.deck.title;
+            this.jarvis.updateSystemStatus("Flashcards saved", data.deck.title + ' · ' + data.deck.cards + ' cards');
+            console.log("🃏 Added " + added + " flashcards to " + data.deck.title);
+            this.updateDue();
+        } catch (error) {
+            console.error("❌ Could not make flashcards:", error);
+            button.disabled = false;
+            button.textContent = '🃏 Make flashcards';
+            this.jarvis.updateSystemStatus("Flashcards not made", error.message + this.jarvis.requestIdNote(error));
+        }
+    }
+
+    // Refreshes the due-today counter, and again after midnight
+    async updateDue() {
+        clearTimeout(this.midnightTimer);
+        const midnight = new Date();
+        midnight.setHours(24, 0, 5, 0);
+        this.midnightTimer = setTimeout(() => this.updateDue(), midnight - Date.now());
+        try {
+            const data = await this.request('/api/flashcards/decks?today=' + this.today());
+            this.showDue(data.due, data.decks.length);
+        } catch (error) {
+            console.error("❌ Could not count due flashcards:", error);
+        }
+    }
+
+    showDue(due, decks) {
+        this.dueButton.hidden = decks === 0;
+        this.dueButton.textContent = '🃏 ' + due + ' due';
+        this.dueButton.classList.toggle('has-due', due > 0);
+        this.dueButton.title = due > 0
+            ? due + (due === 1 ? ' flashcard' : ' flashcards') + ' to review today'
+            : 'No flashcards due today';
+    }
+
+    open() {
+        this.overlay.hidden = false;
+        this.renderDecks();
+    }
+
+    close() {
+        this.overlay.hidden = true;
+        this.review = null;
+        this.updateDue();
+        this.jarvis.elements.messageInput.focus();
+    }
+
+    async renderDecks() {
+        this.review = null;
+        this.titleElement.textContent = '🃏 Flashcards';
+        this.body.innerHTML = '<p class="quiz-note">🃏 Loading your decks...</p>';
+        let data;
+        try {
+            data = await this.request('/api/flashcards/decks?today=' + this.today());
+        } catch (error) {
+            console.error("❌ Could not load flashcard decks:", error);
+            this.renderError('Could not load your decks: ' + error.message + this.jarvis.requestIdNote(error));
+            return;
+        }
+        this.showDue(data.due, data.decks.length);
+
+        if (data.decks.length === 0) {
+            this.body.innerHTML = '<p class="quiz-note">No flashcards yet. Use 🃏 Make flashcards under any answer from JARVIS to start a deck.</p>';
+            return;
+        }
+        const escape = (text) => this.jarvis.escapeHTML(text || '');
+        this.body.innerHTML =
+            '<div class="planner-actions">' +
+                '<button type="button" class="btn btn-primary" data-review=""' + (data.due === 0 ? ' disabled' : '') + '>' +
+                    '▶ Review all due (' + data.due + ')</button>' +
+            '</div>' +
+            '<ul class="flashcard-decks">' +
+                data.decks.map(deck =>
+                    '<li class="flashcard-deck">' +
+                        '<span class="flashcard-deck-title">' + escape(deck.title) + '</span>' +
+                        '<span class="quiz-note">' + deck.cards + (deck.cards === 1 ? ' card' : ' cards') + ' · ' + deck.due + ' due</span>' +
+                        '<button type="button" class="quick-btn" data-review="' + escape(deck.id) + '"' + (deck.due === 0 ? ' disabled' : '') + '>▶ Review</button>' +
+                        '<button type="button" class="quick-btn" data-delete="' + escape(deck.id) + '" data-title="' + escape(deck.title) + '" title="Delete this deck">🗑️</button>' +
+                    '</li>'
+                ).join('') +
+            '</ul>';
+
+        this.body.querySelectorAll('[data-review]').forEach(button => {
+            button.addEventListener('click', () => this.startReview(button.dataset.review || null));
+        });
+        this.body.querySelectorAll('[data-delete]').forEach(button => {
+            button.addEventListener('click', () => this.deleteDeck(button.dataset.delete, button.dataset.title));
+        });
+    }
+
+    async startReview(deckId) {
+        this.body.innerHTML = '<p class="quiz-note">🃏 Shuffling your cards...</p>';
+        try {
+            const data = await this.request('/api/flashcards/due?today=' + this.today() +
+                (deckId ? '&deck=' + encodeURIComponent(deckId) : ''));
+            this.review = { cards: data.cards, reviewed: 0, revealed: false };
+        } catch (error) {
+            console.error("❌ Could not load due flashcards:", error);
+            this.renderError('Could not load your cards: ' + error.message + this.jarvis.requestIdNote(error));
+            return;
+        }
+        this.renderCard();
+    }
+
+    renderCard() {
+        const review = this.review;
+        const card = review.cards[0];
+        if (!card) {
+            this.renderFinished();
+            return;
+        }
+        const escape = (text) => this.jarvis.escapeHTML(text || '');
+        this.titleElement.textContent = '🃏 ' + card.deck_title;
+        this.body.innerHTML =
+            '<p class="quiz-note">' + review.cards.length + ' left · ' + review.reviewed + ' reviewed</p>' +
+            '<div class="flashcard" tabindex="-1">' +
+                '<div class="flashcard-question"></div>' +
+                (review.revealed ? '<div class="flashcard-answer"></div>' : '') +
+            '</div>' +
+            '<p class="quiz-note quiz-error" id="flashcardError"></p>' +
+            '<div class="planner-actions flashcard-actions">' +
+                (review.revealed
+                    ? FLASHCARD_GRADES.map(option =>
+                        '<button type="button" class="quick-btn" data-grade="' + option.grade + '" title="Key ' + option.key + '">' +
+                            escape(option.label) + '</button>').join('')
+                    : '<button type="button" class="btn btn-primary" id="flashcardReveal" title="Space">Show answer</button>') +
+                '<button type="button" class="quick-btn" id="flashcardDelete" title="Delete this card">🗑️</button>' +
+            '</div>';
+
+        const cardElement = this.body.querySelector('.flashcard');
+        const fill = (selector, text) => {
+            const element = cardElement.querySelector(selector);
+            element.innerHTML = this.jarvis.formatAIContent(text);
+            this.jarvis.markdown.renderMath(element);
+        };
+        fill('.flashcard-question', card.question);
+        if (review.revealed) {
+            fill('.flashcard-answer', card.answer);
+            this.body.querySelectorAll('[data-grade]').forEach(button => {
+                button.addEventListener('click', () => this.grade(Number(button.dataset.grade)));
+            });
+        } else {
+            document.getElementById('flashcardReveal').addEventListener('click', () => this.reveal());
+        }
+        document.getElementById('flashcardDelete').addEventListener('click', () => this.deleteCard(card));
+        cardElement.focus();
+    }
+
+    reveal() {
+        if (!this.review || this.review.revealed) return;
+        this.review.revealed = true;
+        this.renderCard();
+    }
+
+    // Space shows the answer, 1-4 grade it
+    handleKey(e) {
+        if (!this.review || !this.review.cards.length || e.target.matches('input, textarea, select')) return;
+        if (!this.review.revealed && (e.key === ' ' || e.key === 'Enter')) {
+            e.preventDefault();
+            this.reveal();
+            return;
+        }
+        const option = this.review.revealed && FLASHCARD_GRADES.find(choice => choice.key === e.key);
+        if (option) {
+            e.preventDefault();
+            this.grade(option.grade);
+        }
+    }
+
+    // Cards the student forgot come round again before the session ends
+    async grade(grade) {
+        const review = this.review;
+        if (!review || review.grading) return;
+        const card = review.cards[0];
+        review.grading = true;
+        this.body.querySelectorAll('[data-grade]').forEach(button => { button.disabled = true; });
+        try {
+            const data = await this.request('/api/flashcards/decks/' + encodeURIComponent(card.deck_id) +
+                '/cards/' + encodeURIComponent(card.id) + '/review', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ grade: grade, today: this.today() })
+            });
+            review.cards.shift();
+            review.reviewed++;
+            if (grade < 3) {
+                review.cards.push({ ...card, ...data.card });
+            }
+            review.revealed = false;
+            this.renderCard();
+        } catch (error) {
+            console.error("❌ Could not save the review:", error);
+            document.getElementById('flashcardError').textContent = 'Not saved: ' + error.message + this.jarvis.requestIdNote(error);
+            this.body.querySelectorAll('[data-grade]').forEach(button => { button.disabled = false; });
+        } finally {
+            review.grading = false;
+        }
+    }
+
+    renderFinished() {
+        const reviewed = this.review.reviewed;
+        this.review = null;
+        this.titleElement.textContent = '🃏 Flashcards';
+        this.body.innerHTML =
+            '<p class="quiz-note">' + (reviewed > 0
+                ? '✅ Done for today - ' + reviewed + (reviewed === 1 ? ' review' : ' reviews') + ' saved.'
+                : 'Nothing is due right now.') + '</p>' +
+            '<div class="planner-actions"><button type="button" class="quick-btn" id="flashcardBack">Back to decks</button></div>';
+        document.getElementById('flashcardBack').addEventListener('click', () => this.renderDecks());
+        this.updateDue();
+    }
+
+    async deleteCard(card) {
+        if (!confirm('Delete this card? This cannot be undone.')) return;
+        try {
+            await this.request('/api/flashcards/decks/' + encodeURIComponent(card.deck_id) +
+                '/cards/' + encodeURIComponent(card.id), { method: 'DELETE' });
+            this.review.cards = this.review.cards.filter(entry => entry.id !== card.id);
+            this.review.revealed = false;
+            this.renderCard();
+        } catch (error) {
+            console.error("❌ Could not delete the card:", error);
+            document.getElementById('flashcardError').textContent = 'Not deleted: ' + error.message + this.jarvis.requestIdNote(error);
+        }
+    }
+
+    async deleteDeck(id, title) {
+        if (!confirm('Delete "' + title + '" and all its cards? This cannot be undone.')) return;
+        try {
+            await this.request('/api/flashcards/decks/' + encodeURIComponent(id), { method: 'DELETE' });
+            this.jarvis.updateSystemStatus("Deck deleted", title);
+        } catch (error) {
+            console.error("❌ Could not delete the deck:", error);
+            this.jarvis.updateSystemStatus("Deck not deleted", error.message + this.jarvis.requestIdNote(error));
+        }
+        this.renderDecks();
+    }
+
+    renderError(message) {
+        this.body.innerHTML = '<p class="quiz-note quiz-error">' + this.jarvis.escapeHTML(message) + '</p>';
+    }
+}
@@ -0,0 +1,283 @@
+// JARVIS AI - Markdown renderer for AI messages
+// Turns model output into HTML: headings, lists, tables, blockquotes, fenced
+// code with syntax highlighting and LaTeX maths. Everything the model writes
+// is escaped first, so raw HTML in a response is shown as text. Maths is
+// left in placeholder elements that renderMath() fills in with KaTeX.
+class MarkdownRenderer {
+    constructor() {
+        this.keywords = new Set((
+            'abstract and as async await break case catch class const continue def default del do elif else ' +
+            'enum except export extends false final finally for from function global if implements import in ' +
+            'instanceof interface is lambda let new none not null or pass private protected public raise return ' +
+            'self static super switch this throw true try typeof var void while with yield int float double char ' +
+            'bool boolean string long short struct unsigned include print printf cout cin endl'
+        ).split(' '));
+    }
+
+    render(markdown) {
+        const stash = [];
+        const keep = (html) => '\u0000' + (stash.push(html) - 1) + '\u0000';
+
+        // Code first so nothing inside it is treated as markdown or maths
+        let text = String(markdown || '').replace(/\r\n/g, '\n');
+        text = text.replace(/```([\w+#-]*)[^\n]*\n([\s\S]*?)(?:```|$)/g, (match, lang, code) =>
+            keep(this.renderCodeBlock(code.replace(/\n$/, ''), lang)));
+        text = text.replace(/`([^`\n]+)`/g, (match, code) => keep('<code>' + this.escape(code) + '</code>'));
+
+        // Display maths: $$...$$ and \[...\]; inline maths: $...$ and \(...\)
+        text = text.replace(/\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g, (match, a, b) =>
+            keep(this.mathPlaceholder(a || b, true)));
+        text = text.replace(/\\\((.+?)\\\)|\$(?=\S)([^$\n]+?)\$(?!\d)/g, (match, a, b) =>
+            keep(this.mathPlaceholder(a || b, false)));
+
+        const html = this.renderBlocks(this.escape(text).split('\n'));
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    mathPlaceholder(tex, display) {
+        const tag = display ? 'div' : 'span';
+        return '<' + tag + ' class="math ' + (display ? 'math-display' : 'math-inline') + '" data-tex="' +
+            this.escape(tex.trim()) + '">' + this.escape(tex.trim()) + '</' + tag + '>';
+    }
+
+    renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                const level = Math.min(heading[1].length + 2, 6); // keep headings smaller than the page title
+                html.push('<h' + level + '>' + this.renderInline(heading[2].replace(/\s#+$/, '')) + '</h' + level + '>');
+                i++;
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Stashed code/display maths sit on their own line
+            if (/^\s*\u0000\d+\u0000\s*$/.test(line)) {
+                html.push(line.trim());
+                i++;
+                continue;
+            }
+
+            if (/^\s*&gt;/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s*&gt;/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*&gt;\s?/, ''));
+                    i++;
+                }
+                html.push('<blockquote>' + this.renderBlocks(quoted) + '</blockquote>');
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const rows = [];
+                while (i < lines.length && lines[i].includes('|')) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderTable(rows));
+                continue;
+            }
+
+            if (this.listMarker(line)) {
+                const items = [];
+                while (i < lines.length && (this.listMarker(lines[i]) || /^\s{2,}\S/.test(lines[i]) ||
+                    (!lines[i].trim() && i + 1 < lines.length && this.listMarker(lines[i + 1])))) {
+                    items.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderList(items));
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            html.push('<p>' + this.renderInline(paragraph.join('\n')).replace(/\n/g, '<br>') + '</p>');
+        }
+
+        return html.join('');
+    }
+
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return /^(#{1,6})\s/.test(line) || /^\s*&gt;/.test(line) || Boolean(this.listMarker(line)) ||
+            /^\s*\u0000\d+\u0000\s*$/.test(line) || this.isTableStart(lines, i) ||
+            /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+    }
+
+    listMarker(line) {
+        const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (!match) return null;
+        return { indent: match[1].length, ordered: /\d/.test(match[2]), start: parseInt(match[2], 10), content: match[3] };
+    }
+
+    // Items indented deeper than the first marker become a nested list
+    renderList(lines) {
+        const first = this.listMarker(lines[0]);
+        const tag = first.ordered ? 'ol' : 'ul';
+        const start = first.ordered && first.start !== 1 ? ' start="' + first.start + '"' : '';
+        const items = [];
+
+        lines.forEach(line => {
+            const marker = this.listMarker(line);
+            if (marker && marker.indent <= first.indent) {
+                items.push({ content: [marker.content], children: [] });
+            } else if (items.length > 0 && line.trim()) {
+                const current = items[items.length - 1];
+                if (marker || current.children.length > 0) {
+                    current.children.push(line.slice(Math.min(first.indent + 2, line.search(/\S/))));
+                } else {
+                    current.content.push(line.trim());
+                }
+            }
+        });
+
+        return '<' + tag + start + '>' + items.map(item =>
+            '<li>' + this.renderInline(item.content.join(' ')) +
+            (item.children.length > 0 ? this.renderBlocks(item.children) : '') + '</li>'
+        ).join('') + '</' + tag + '>';
+    }
+
+    isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length &&
+            /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(lines[i + 1]);
+    }
+
+    renderTable(rows) {
+        const cells = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+        const header = cells(rows[0]);
+        const aligns = cells(rows[1]).map(cell =>
+            cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : '');
+        const alignAttr = (index) => aligns[index] ? ' align="' + aligns[index] + '"' : '';
+
+        let html = '<div class="table-wrapper"><table><thead><tr>' +
+            header.map((cell, index) => '<th' + alignAttr(index) + '>' + this.renderInline(cell) + '</th>').join('') +
+            '</tr></thead><tbody>';
+        rows.slice(2).forEach(row => {
+            html += '<tr>' + cells(row).map((cell, index) =>
+                '<td' + alignAttr(index) + '>' + this.renderInline(cell) + '</td>').join('') + '</tr>';
+        });
+        return html + '</tbody></table></div>';
+    }
+
+    // Runs on already-escaped text
+    renderInline(text) {
+        return text
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+            .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => '<strong>' + (a || b) + '</strong>')
+            .replace(/(^|[^*])\*(?!\s)(.+?)\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|\W)_(?!\s)(.+?)_(?=\W|$)/g, '$1<em>$2</em>')
+            .replace(/~~(.+?)~~/g, '<del>$1</del>');
+    }
+
+    renderCodeBlock(code, lang) {
+        const language = (lang || '').toLowerCase();
+        return '<pre class="code-block"' + (language ? ' data-lang="' + this.escape(language) + '"' : '') + '><code>' +
+            this.highlight(code, language) + '</code></pre>';
+    }
+
+    // Small language-agnostic highlighter: comments, strings, numbers, keywords
+    highlight(code, language) {
+        const hashComments = ['python', 'py', 'bash', 'sh', 'shell', 'ruby', 'r', 'yaml'].includes(language);
+        const pattern = new RegExp([
+            '(\\/\\*[\\s\\S]*?\\*\\/|' + (hashComments ? '#[^\\n]*' : '\\/\\/[^\\n]*') + ')',
+            '("(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)',
+            '(\\b\\d+(?:\\.\\d+)?\\b)',
+            '([A-Za-z_]\\w*)'
+        ].join('|'), 'g');
+
+        let html = '';
+        let last = 0;
+        code.replace(pattern, (match, comment, string, number, word, offset) => {
+            html += this.escape(code.slice(last, offset));
+            if (comment) html += '<span class="hl-comment">' + this.escape(comment) + '</span>';
+            else if (string) html += '<span class="hl-string">' + this.escape(string) + '</span>';
+            else if (number) html += '<span class="hl-number">' + number + '</span>';
+            else if (this.keywords.has(word.toLowerCase())) html += '<span class="hl-keyword">' + word + '</span>';
+            else html += this.escape(word);
+            last = offset + match.length;
+            return match;
+        });
+        return html + this.escape(code.slice(last));
+    }
+
+    // Renders .math placeholders inside `container` once KaTeX is available
+    renderMath(container) {
+        if (!window.katex || !container) return;
+        container.querySelectorAll('.math[data-tex]').forEach(element => {
+            const tex = element.getAttribute('data-tex');
+            try {
+                // KaTeX output reads badly, so keep the spoken form for speech
+                element.setAttribute('data-speech', this.speakMath(tex));
+                window.katex.render(tex, element, {
+                    displayMode: element.classList.contains('math-display'),
+                    throwOnError: false,
+                    output: 'html'
+                });
+                element.removeAttribute('data-tex');
+            } catch (error) {
+                console.error("Math render error:", error);
+            }
+        });
+    }
+
+    // Maths read out in words, for the speech queue
+    speakMath(tex) {
+        const words = {
+            '\\times': ' times ', '\\cdot': ' times ', '\\div': ' divided by ', '\\pm': ' plus or minus ',
+            '\\leq': ' less than or equal to ', '\\le': ' less than or equal to ',
+            '\\geq': ' greater than or equal to ', '\\ge': ' greater than or equal to ',
+            '\\neq': ' not equal to ', '\\approx': ' approximately ', '\\infty': ' infinity ',
+            '\\rightarrow': ' gives ', '\\to': ' tends to ', '\\degree': ' degrees ', '^\\circ': ' degrees '
+        };
+        let spoken = tex;
+        // Innermost first, so nested fractions and roots read correctly
+        for (let previous = null; previous !== spoken;) {
+            previous = spoken;
+            spoken = spoken
+                .replace(/\\frac\{([^{}]+)\}\{([^{}]+)\}/g, ' ($1) over ($2) ')
+                .replace(/\\sqrt\{([^{}]+)\}/g, ' square root of ($1) ');
+        }
+        Object.keys(words).forEach(command => {
+            spoken = spoken.split(command).join(words[command]);
+        });
+        spoken = spoken
+            .replace(/\^\{?2\}?/g, ' squared ')
+            .replace(/\^\{?3\}?/g, ' cubed ')
+            .replace(/\^\{([^{}]+)\}|\^(\w)/g, (match, a, b) => ' to the power ' + (a || b) + ' ')
+            .replace(/_\{([^{}]+)\}|_(\w)/g, (match, a, b) => ' sub ' + (a || b) + ' ')
+            .replace(/\\(alpha|beta|gamma|delta|theta|lambda|mu|pi|sigma|omega|phi|rho|epsilon|Delta|Omega|Sigma)/g, ' $1 ')
+            .replace(/\\[a-zA-Z]+/g, ' ')
+            .replace(/=/g, ' equals ')
+            .replace(/\+/g, ' plus ')
+            .replace(/-/g, ' minus ')
+            .replace(/[{}()]/g, ' ');
+        return spoken.replace(/\s+/g, ' ').trim();
+    }
+}
@@ -0,0 +1,231 @@
+// JARVIS AI - Offline mode
+// sw.js caches the app itself; this keeps a copy of recent conversations so
+// they can be read with no connection, and queues questions typed while the
+// backend can't be reached. Queued questions show as "waiting" in the chat
+// and are sent in order, one at a time, once the backend answers again.
+const OFFLINE_QUEUE_KEY = 'jarvis-offline-queue';
+const OFFLINE_CONVERSATIONS_KEY = 'jarvis-offline-conversations';
+const OFFLINE_MAX_CONVERSATIONS = 10;
+const OFFLINE_MAX_MESSAGES = 200;
+// Seconds between reconnection attempts; the last one repeats
+const RECONNECT_DELAYS = [5, 10, 30, 60];
+
+const QUEUE_STATES = {
+    pending: '⏳ Waiting for connection',
+    sending: '📤 Sending...',
+    sent: '✓ Sent',
+    failed: '⚠️ Not sent'
+};
+
+class JarvisOffline {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        this.online = false;        // Set once /health has answered
+        this.queue = this.read(OFFLINE_QUEUE_KEY, []);    // [{ id, message, attachments, queuedAt }]
+        this.bubbles = new Map();   // queued id -> its message-content element
+        this.attempts = 0;
+        this.timer = null;
+        this.reconnecting = false;
+        this.flushing = false;
+
+        window.addEventListener('online', () => this.reconnect());
+        window.addEventListener('offline', () => this.goOffline());
+    }
+
+    // Pages opened from file:// can't have a service worker
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+        navigator.serviceWorker.register('sw.js')
+            .then(() => console.log("📦 App cached for offline use"))
+            .catch(error => console.error("❌ Service worker registration failed:", error));
+    }
+
+    read(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    // Opened without a backend: shows the saved copy of the last conversation
+    start() {
+        const saved = this.savedConversation(localStorage.getItem('jarvis-conversation-id'));
+        if (saved) {
+            this.jarvis.showConversation(saved);
+            console.log("💾 Showing saved copy of conversation " + saved.id);
+        } else {
+            this.jarvis.elements.messagesArea.innerHTML = '';
+            this.jarvis.displayWelcomeMessage();
+            this.showQueue();
+        }
+        this.goOffline();
+    }
+
+    goOffline() {
+        this.online = false;
+        this.updateStatus();
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.timer);
+        const delay = RECONNECT_DELAYS[Math.min(this.attempts, RECONNECT_DELAYS.length - 1)];
+        this.timer = setTimeout(() => this.reconnect(), delay * 1000);
+    }
+
+    async reconnect() {
+        clearTimeout(this.timer);
+        if (this.reconnecting) return;
+        this.reconnecting = true;
+        try {
+            if (await this.jarvis.testBackendConnection()) {
+                this.online = true;
+                this.attempts = 0;
+                if (!this.jarvis.connected) {
+                    await this.jarvis.connect();
+                }
+                this.flush();
+                return;
+            }
+            this.attempts++;
+            this.goOffline();
+        } finally {
+            this.reconnecting = false;
+        }
+    }
+
+    updateStatus() {
+        if (this.online) return;
+        const waiting = this.queue.length;
+        this.jarvis.updateSystemStatus("Offline", waiting > 0
+            ? waiting + (waiting === 1 ? " message" : " messages") + " waiting to send"
+            : "Questions will be sent when JARVIS reconnects");
+    }
+
+    // Adds a question to the queue. `messageContent` is its bubble when it is
+    // already in the chat (a send that failed because the backend went away).
+    enqueue(message, attachments, messageContent) {
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+            message: message,
+            attachments: attachments,
+            queuedAt: new Date().toISOString()
+        };
+        this.queue.push(entry);
+        this.saveQueue();
+        this.bubbles.set(entry.id, messageContent || this.addBubble(entry));
+        this.setState(entry, 'pending');
+        this.updateStatus();
+        console.log("📥 Queued message " + entry.id + " (" + this.queue.length + " waiting)");
+        if (this.online) this.flush();
+        return entry;
+    }
+
+    saveQueue() {
+        localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(this.queue));
+    }
+
+    addBubble(entry) {
+        const messageContent = this.jarvis.addMessageToChat(entry.message, 'user');
+        this.jarvis.attachments.showOnMessage(messageContent, entry.attachments);
+        return messageContent;
+    }
+
+    // Queued questions go at the end of the chat whenever it is redrawn
+    showQueue() {
+        this.bubbles.clear();
+        this.queue.forEach(entry => {
+            this.bubbles.set(entry.id, this.addBubble(entry));
+            this.setState(entry, 'pending');
+        });
+    }
+
+    bubble(entry) {
+        return this.bubbles.get(entry.id) || null;
+    }
+
+    setState(entry, state) {
+        const messageContent = this.bubble(entry);
+        if (!messageContent) return;
+        let label = messageContent.querySelector('.queue-state');
+        if (!label) {
+            label = document.createElement('div');
+            messageContent.appendChild(label);
+        }
+        label.className = 'queue-state ' + state;
+        label.textContent = QUEUE_STATES[state];
+        messageContent.parentElement.classList.toggle('queued', state === 'pending' || state === 'sending');
+    }
+
+    // Sends queued questions in order through the normal chat path. Stops when
+    // the backend goes away again, leaving the rest queued; a question the
+    // backend rejects is dropped with its error shown as usual.
+    async flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+        let answered = 0;
+        try {
+            while (this.online && this.queue.length > 0) {
+                if (this.jarvis.isProcessing) {
+                    await new Promise(resolve => setTimeout(resolve, 500));
+                    continue;
+                }
+                const entry = this.queue[0];
+                this.setState(entry, 'sending');
+                const result = await this.jarvis.processUserMessage({ queued: entry });
+                if (!result && !this.online) {
+                    this.setState(entry, 'pending');
+                    break;
+                }
+                this.queue.shift();
+                this.saveQueue();
+                this.setState(entry, result ? 'sent' : 'failed');
+                this.bubbles.delete(entry.id);
+                if (result) answered++;
+            }
+        } finally {
+            this.flushing = false;
+        }
+        if (answered > 1 && this.queue.length === 0) {
+            this.jarvis.updateSystemStatus("Queued messages sent", answered + " questions answered");
+        }
+    }
+
+    // A local copy of the current conversation, for reading while offline
+    saveConversation() {
+        const jarvis = this.jarvis;
+        if (!jarvis.conversationId) return;
+        const saved = this.read(OFFLINE_CONVERSATIONS_KEY, []).filter(conversation => conversation.id !== jarvis.conversationId);
+        const firstQuestion = jarvis.conversationHistory.find(message => message.role === 'user');
+        saved.unshift({
+            id: jarvis.conversationId,
+            title: jarvis.conversationTitle || (firstQuestion ? firstQuestion.content.substring(0, 60) : 'New conversation'),
+            messages: jarvis.conversationHistory.slice(-OFFLINE_MAX_MESSAGES)
+        });
+        saved.splice(OFFLINE_MAX_CONVERSATIONS);
+
+        // Older copies make way when storage is full
+        while (saved.length > 0) {
+            try {
+                localStorage.setItem(OFFLINE_CONVERSATIONS_KEY, JSON.stringify(saved));
+                return;
+            } catch (error) {
+                saved.pop();
+            }
+        }
+        localStorage.removeItem(OFFLINE_CONVERSATIONS_KEY);
+    }
+
+    savedConversation(id) {
+        if (!id) return null;
+        return this.read(OFFLINE_CONVERSATIONS_KEY, []).find(conversation => conversation.id === id) || null;
+    }
+
+    // Signing out leaves nothing of the student's sessions on the device
+    clear() {
+        this.queue = [];
+        localStorage.removeItem(OFFLINE_QUEUE_KEY);
+        localStorage.removeItem(OFFLINE_CONVERSATIONS_KEY);
+    }
+}
@@ -0,0 +1,497 @@
+// JARVIS AI - Study planner
+// Builds a revision timetable from exam dates, chapters and daily hours (the
+// backend weighs the chapters and schedules them), shows it as a calendar
+// where sessions can be ticked off, moved or removed, exports it as an .ics
+// file and reminds the student of each day's sessions with notifications.
+// Reminders only fire while JARVIS is open; the .ics file carries its own.
+const PLAN_ID_KEY = 'jarvis-plan-id';
+const PLAN_REMINDERS_KEY = 'jarvis-plan-reminders';
+const PLAN_NOTIFIED_KEY = 'jarvis-plan-notified';
+const PLAN_REMINDER_MINUTES = 10;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Dates are 'YYYY-MM-DD' in the student's own time zone
+const localDate = (date) => date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+const parseLocalDate = (date, time) => new Date(date + 'T' + (time || '00:00') + ':00');
+const shiftDate = (date, days) => {
+    const shifted = parseLocalDate(date);
+    shifted.setDate(shifted.getDate() + days);
+    return localDate(shifted);
+};
+const formatMinutes = (minutes) => minutes >= 60
+    ? Math.floor(minutes / 60) + 'h' + (minutes % 60 ? ' ' + (minutes % 60) + 'm' : '')
+    : minutes + 'm';
+
+class JarvisPlanner {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        this.plan = null;
+        this.timers = [];
+
+        this.overlay = document.getElementById('plannerOverlay');
+        this.body = document.getElementById('plannerBody');
+        this.titleElement = document.getElementById('plannerTitle');
+
+        document.getElementById('plannerClose').addEventListener('click', () => this.close());
+    }
+
+    async open() {
+        this.overlay.hidden = false;
+        this.body.innerHTML = '<p class="quiz-note">📅 Loading your study plan...</p>';
+        try {
+            await this.load();
+        } catch (error) {
+            console.error("❌ Could not load the study plan:", error);
+        }
+        if (this.plan) {
+            this.renderPlan();
+        } else {
+            this.renderSetup();
+        }
+    }
+
+    close() {
+        this.overlay.hidden = true;
+        this.jarvis.elements.messageInput.focus();
+    }
+
+    // Quietly loads the plan at start-up so today's reminders are set
+    async restore() {
+        try {
+            await this.load();
+            this.scheduleReminders();
+        } catch (error) {
+            console.error("❌ Could not restore the study plan:", error);
+        }
+    }
+
+    // The last plan opened here, or else the student's most recent one
+    async load() {
+        let id = localStorage.getItem(PLAN_ID_KEY);
+        if (!id) {
+            const response = await this.jarvis.apiFetch('/api/plans');
+            if (!response.ok) return;
+            const { plans } = await response.json();
+            if (plans.length === 0) return;
+            id = plans[0].id;
+        }
+
+        const response = await this.jarvis.apiFetch('/api/plans/' + encodeURIComponent(id));
+        if (response.status === 404) {
+            localStorage.removeItem(PLAN_ID_KEY);
+            this.plan = null;
+            return;
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw this.jarvis.backendError(data.message || data.error || 'HTTP ' + response.status, response);
+        }
+        this.setPlan(await response.json());
+    }
+
+    setPlan(plan) {
+        this.plan = plan;
+        if (plan) {
+            localStorage.setItem(PLAN_ID_KEY, plan.id);
+        } else {
+            localStorage.removeItem(PLAN_ID_KEY);
+        }
+        this.scheduleReminders();
+    }
+
+    renderSetup() {
+        const options = this.jarvis.curriculumOptions;
+        const curriculum = this.jarvis.getCurriculum();
+        this.titleElement.textContent = '📅 New Study Plan';
+        if (!options || !curriculum) {
+            this.renderError('The planner needs a connection to JARVIS - try again once it is online.');
+            return;
+        }
+        const classOption = options.classes.find(option => option.class === curriculum.class);
+        const subjects = classOption ? classOption.subjects : options.subjects;
+        const escape = (text) => this.jarvis.escapeHTML(text || '');
+
+        this.body.innerHTML =
+            '<form class="quiz-setup planner-setup" id="plannerForm">' +
+                '<p class="quiz-note">Class ' + escape(curriculum.class) + ' · list each exam with the chapters it covers, one per line</p>' +
+                '<label>Plan name<input type="text" name="title" maxlength="120" placeholder="e.g. Pre-board revision"></label>' +
+                '<div class="quiz-counts">' +
+                    '<label>Start on<input type="date" name="start_date" required></label>' +
+                    '<label>Hours a day<input type="number" name="daily_hours" min="0.5" max="12" step="0.5" value="3" required></label>' +
+                    '<label>Start at<input type="time" name="start_time" value="17:00" required></label>' +
+                '</div>' +
+                '<fieldset class="planner-rest"><legend>Days off</legend>' +
+                    WEEKDAYS.map((day, index) => '<label><input type="checkbox" name="rest" value="' + index + '"> ' + day + '</label>').join('') +
+                '</fieldset>' +
+                '<div id="plannerExams"></div>' +
+                '<button type="button" class="quick-btn" id="plannerAddExam">➕ Add exam</button>' +
+                '<p class="quiz-note quiz-error" id="plannerError"></p>' +
+                '<div class="planner-actions">' +
+                    '<button type="submit" class="btn btn-primary">📅 Build My Plan</button>' +
+                    (this.plan ? '<button type="button" class="quick-btn" id="plannerCancel">Back to current plan</button>' : '') +
+                '</div>' +
+            '</form>';
+
+        const form = document.getElementById('plannerForm');
+        form.elements.start_date.value = localDate(new Date());
+        const exams = document.getElementById('plannerExams');
+        const addExam = () => exams.appendChild(this.examRow(subjects, classOption));
+        addExam();
+        document.getElementById('plannerAddExam').addEventListener('click', addExam);
+        if (this.plan) {
+            document.getElementById('plannerCancel').addEventListener('click', () => this.renderPlan());
+        }
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.create(form);
+        });
+    }
+
+    // One exam: subject, date and its chapters. Picking a subject fills in the
+    // chapters the knowledge base has for it, if the box is still empty.
+    examRow(subjects, classOption) {
+        const row = document.createElement('div');
+        row.className = 'planner-exam';
+        row.innerHTML =
+            '<div class="quiz-counts">' +
+                '<label>Subject<select name="subject" required><option value="">Choose...</option></select></label>' +
+                '<label>Exam date<input type="date" name="date" required></label>' +
+                '<button type="button" class="overlay-close" title="Remove this exam">✕</button>' +
+            '</div>' +
+            '<label>Chapters<textarea name="chapters" rows="4" placeholder="One chapter per line"></textarea></label>';
+
+        const select = row.querySelector('select');
+        subjects.forEach(subject => {
+            const option = document.createElement('option');
+            option.value = subject;
+            option.textContent = subject.replace(/\b\w/g, letter => letter.toUpperCase());
+            select.appendChild(option);
+        });
+        const chapters = row.querySelector('textarea');
+        select.addEventListener('change', () => {
+            const known = classOption && classOption.chapters ? classOption.chapters[select.value.toLowerCase()] : null;
+            if (!chapters.value.trim() && known) {
+                chapters.value = known.join('\n');
+            }
+        });
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        return row;
+    }
+
+    async create(form) {
+        const submit = form.querySelector('button[type="submit"]');
+        const errorElement = document.getElementById('plannerError');
+        const body = {
+            title: form.elements.title.value.trim() || undefined,
+            class: this.jarvis.getCurriculum().class,
+            start_date: form.elements.start_date.value,
+            daily_hours: Number(form.elements.daily_hours.value),
+            start_time: form.elements.start_time.value,
+            rest_days: [...form.querySelectorAll('input[name="rest"]:checked')].map(box => Number(box.value)),
+            exams: [...form.querySelectorAll('.planner-exam')].map(row => ({
+                subject: row.querySelector('[name="subject"]').value,
+                date: row.querySelector('[name="date"]').value,
+                chapters: row.querySelector('[name="chapters"]').value.split('\n').map(line => line.trim()).filter(Boolean)
+            }))
+        };
+
+        submit.disabled = true;
+        errorElement.textContent = '🤖 JARVIS is weighing your chapters and building the plan...';
+        try {
+            const response = await this.jarvis.apiFetch('/api/plans', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw this.jarvis.backendError(data.message || data.error || 'HTTP ' + response.status, response);
+            }
+            this.setPlan(data);
+            this.renderPlan();
+            console.log("📅 Study plan " + data.id + " created (" + data.days.length + " days)");
+            this.jarvis.updateSystemStatus("Study plan ready", data.progress.sessions + " sessions");
+        } catch (error) {
+            console.error("❌ Plan creation failed:", error);
+            errorElement.textContent = '⚠️ ' + error.message + this.jarvis.requestIdNote(error);
+            submit.disabled = false;
+        }
+    }
+
+    renderPlan() {
+        const plan = this.plan;
+        const escape = (text) => this.jarvis.escapeHTML(text || '');
+        const first = plan.days[0].date;
+        const last = plan.days[plan.days.length - 1].date;
+        const progress = plan.progress;
+        const percent = progress.minutes ? Math.round(progress.minutes_done / progress.minutes * 100) : 0;
+        const formatDate = (date) => parseLocalDate(date).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+        this.titleElement.textContent = '📅 ' + plan.title;
+        this.body.innerHTML =
+            '<p class="quiz-note">Class ' + escape(plan.class) + ' · ' + formatDate(first) + ' – ' + formatDate(last) + ' · ' +
+                plan.daily_hours + 'h a day from ' + escape(plan.start_time) + ' · ' +
+                (plan.weighting.source === 'ai'
+                    ? 'chapters weighted by ' + escape(plan.weighting.provider)
+                    : 'chapters weighted evenly (no AI provider was available)') + '</p>' +
+            '<div class="planner-progress" title="' + progress.sessions_done + ' of ' + progress.sessions + ' sessions done">' +
+                '<div class="planner-progress-bar" style="width: ' + percent + '%"></div>' +
+                '<span>' + formatMinutes(progress.minutes_done) + ' of ' + formatMinutes(progress.minutes) + ' done (' + percent + '%)</span>' +
+            '</div>' +
+            (plan.warnings.length > 0
+                ? '<ul class="planner-warnings">' + plan.warnings.map(warning => '<li>⚠️ ' + escape(warning) + '</li>').join('') + '</ul>'
+                : '') +
+            '<div class="planner-actions">' +
+                '<button type="button" class="quick-btn" id="plannerExport">📥 Add to calendar (.ics)</button>' +
+                '<button type="button" class="quick-btn" id="plannerReminders"></button>' +
+                '<button type="button" class="quick-btn" id="plannerNew">✏️ New plan</button>' +
+                '<button type="button" class="quick-btn" id="plannerDelete">🗑️ Delete plan</button>' +
+            '</div>' +
+            '<p class="quiz-note">Tick sessions off as you go. Drag a session to another day, or use 📆 to move it.</p>';
+
+        this.body.appendChild(this.renderCalendar());
+        this.updateReminderButton();
+
+        document.getElementById('plannerExport').addEventListener('click', () => this.exportICS());
+        document.getElementById('plannerReminders').addEventListener('click', () => this.toggleReminders());
+        document.getElementById('plannerNew').addEventListener('click', () => this.renderSetup());
+        document.getElementById('plannerDelete').addEventListener('click', () => this.deletePlan());
+    }
+
+    // Whole weeks, Monday first; days outside the plan are left blank
+    renderCalendar() {
+        const plan = this.plan;
+        const days = new Map(plan.days.map(day => [day.date, day]));
+        const first = plan.days[0].date;
+        const last = plan.days[plan.days.length - 1].date;
+        const today = localDate(new Date());
+        const examDays = new Set(plan.exams.map(exam => exam.date));
+
+        const calendar = document.createElement('div');
+        calendar.className = 'planner-calendar';
+        ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].forEach(name => {
+            const heading = document.createElement('div');
+            heading.className = 'planner-weekday';
+            heading.textContent = name;
+            calendar.appendChild(heading);
+        });
+
+        let date = shiftDate(first, -((parseLocalDate(first).getDay() + 6) % 7));
+        const end = shiftDate(last, (7 - parseLocalDate(last).getDay()) % 7);
+        for (; date <= end; date = shiftDate(date, 1)) {
+            const day = days.get(date);
+            const cell = document.createElement('div');
+            cell.className = 'planner-day' + (day ? '' : ' outside') + (date === today ? ' today' : '') + (examDays.has(date) ? ' exam' : '');
+            calendar.appendChild(cell);
+            if (!day) continue;
+
+            const label = document.createElement('div');
+            label.className = 'planner-date';
+            label.textContent = parseLocalDate(date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+            cell.appendChild(label);
+            day.exams.forEach(subject => {
+                const badge = document.createElement('div');
+                badge.className = 'planner-exam-badge';
+                badge.textContent = '📝 ' + subject + ' exam';
+                cell.appendChild(badge);
+            });
+            day.sessions.forEach(session => cell.appendChild(this.renderSession(session, first, last)));
+
+            cell.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                cell.classList.add('drop-target');
+            });
+            cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+            cell.addEventListener('drop', (e) => {
+                e.preventDefault();
+                cell.classList.remove('drop-target');
+                const id = e.dataTransfer.getData('text/plain');
+                if (id) this.edit([{ id: id, date: date }]);
+            });
+        }
+        return calendar;
+    }
+
+    renderSession(session, first, last) {
+        const item = document.createElement('div');
+        item.className = 'planner-session ' + session.kind + (session.done ? ' done' : '');
+        item.draggable = true;
+        item.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', session.id));
+
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = session.done;
+        check.title = session.done ? 'Mark as not done' : 'Mark as done';
+        check.addEventListener('change', () => this.edit([{ id: session.id, done: check.checked }]));
+
+        const text = document.createElement('span');
+        text.className = 'planner-session-text';
+        text.textContent = session.start + ' · ' + this.describeSession(session) + ' · ' + formatMinutes(session.minutes);
+        text.title = text.textContent;
+
+        const move = document.createElement('button');
+        move.type = 'button';
+        move.className = 'planner-session-btn';
+        move.textContent = '📆';
+        move.title = 'Move to another day';
+        move.addEventListener('click', () => {
+            const picker = document.createElement('input');
+            picker.type = 'date';
+            picker.min = first;
+            picker.max = last;
+            picker.addEventListener('change', () => {
+                if (picker.value) this.edit([{ id: session.id, date: picker.value }]);
+            });
+            move.replaceWith(picker);
+            picker.focus();
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'planner-session-btn';
+        remove.textContent = '✕';
+        remove.title = 'Remove this session';
+        remove.addEventListener('click', () => this.edit([{ id: session.id, delete: true }]));
+
+        item.append(check, text, move, remove);
+        return item;
+    }
+
+    describeSession(session) {
+        if (session.kind === 'revision') return '🔁 Revise ' + session.subject;
+        return session.subject + ': ' + session.chapter + (session.part ? ' (' + session.part + '/' + session.parts + ')' : '');
+    }
+
+    async edit(sessions) {
+        const scroll = this.body.scrollTop;
+        try {
+            const response = await this.jarvis.apiFetch('/api/plans/' + encodeURIComponent(this.plan.id), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessions: sessions })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw this.jarvis.backendError(data.message || data.error || 'HTTP ' + response.status, response);
+            }
+            this.setPlan(data);
+        } catch (error) {
+            console.error("❌ Plan edit failed:", error);
+            this.jarvis.updateSystemStatus("Plan not updated", error.message + this.jarvis.requestIdNote(error));
+        }
+        this.renderPlan();
+        this.body.scrollTop = scroll;
+    }
+
+    async exportICS() {
+        try {
+            const response = await this.jarvis.apiFetch('/api/plans/' + encodeURIComponent(this.plan.id) + '/ics');
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw this.jarvis.backendError(data.message || data.error || 'Export failed', response);
+            }
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = (disposition.match(/filename="?([^";]+)"?/) || [])[1] || 'jarvis-study-plan.ics';
+            this.jarvis.sessions.saveFile(await response.blob(), filename);
+            this.jarvis.updateSystemStatus("Plan exported", filename);
+        } catch (error) {
+            console.error("❌ Plan export failed:", error);
+            this.jarvis.updateSystemStatus("Export failed", error.message + this.jarvis.requestIdNote(error));
+        }
+    }
+
+    async deletePlan() {
+        if (!confirm('Delete "' + this.plan.title + '"? This cannot be undone.')) return;
+        try {
+            const response = await this.jarvis.apiFetch('/api/plans/' + encodeURIComponent(this.plan.id), { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                const data = await response.json().catch(() => ({}));
+                throw this.jarvis.backendError(data.message || data.error || 'HTTP ' + response.status, response);
+            }
+            this.setPlan(null);
+            this.renderSetup();
+            this.jarvis.updateSystemStatus("Plan deleted", "Build a new one any time");
+        } catch (error) {
+            console.error("❌ Could not delete the plan:", error);
+            this.jarvis.updateSystemStatus("Plan not deleted", error.message + this.jarvis.requestIdNote(error));
+        }
+    }
+
+    get remindersOn() {
+        return localStorage.getItem(PLAN_REMINDERS_KEY) === 'on' &&
+            'Notification' in window && Notification.permission === 'granted';
+    }
+
+    updateReminderButton() {
+        const button = document.getElementById('plannerReminders');
+        if (!button) return;
+        button.textContent = this.remindersOn ? '🔔 Reminders on' : '🔕 Reminders off';
+        button.title = 'Notifies you of each day\'s sessions while JARVIS is open';
+    }
+
+    async toggleReminders() {
+        if (this.remindersOn) {
+            localStorage.removeItem(PLAN_REMINDERS_KEY);
+        } else if (!('Notification' in window)) {
+            this.jarvis.updateSystemStatus("Reminders unavailable", "This browser has no notifications - use the .ics file instead");
+        } else if (await Notification.requestPermission() === 'granted') {
+            localStorage.setItem(PLAN_REMINDERS_KEY, 'on');
+            localStorage.removeItem(PLAN_NOTIFIED_KEY);
+        } else {
+            this.jarvis.updateSystemStatus("Reminders blocked", "Allow notifications for JARVIS in the browser settings");
+        }
+        this.updateReminderButton();
+        this.scheduleReminders();
+    }
+
+    // Today's summary once a day, then a reminder before each session. Set
+    // again just after midnight for the next day.
+    scheduleReminders() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        if (!this.plan || !this.remindersOn) return;
+
+        const now = new Date();
+        const today = localDate(now);
+        const day = this.plan.days.find(candidate => candidate.date === today);
+        const pending = day ? day.sessions.filter(session => !session.done) : [];
+
+        if (day && day.exams.length > 0 && localStorage.getItem(PLAN_NOTIFIED_KEY) !== today) {
+            this.notify('📝 Exam day', 'Good luck with ' + day.exams.join(' and ') + ' today!', 'plan-' + today);
+            localStorage.setItem(PLAN_NOTIFIED_KEY, today);
+        } else if (pending.length > 0 && localStorage.getItem(PLAN_NOTIFIED_KEY) !== today) {
+            const minutes = pending.reduce((sum, session) => sum + session.minutes, 0);
+            this.notify('📅 Today\'s study plan', pending.length + (pending.length === 1 ? ' session' : ' sessions') + ' · ' +
+                formatMinutes(minutes) + ', from ' + pending[0].start, 'plan-' + today);
+            localStorage.setItem(PLAN_NOTIFIED_KEY, today);
+        }
+
+        pending.forEach(session => {
+            const delay = parseLocalDate(today, session.start) - now - PLAN_REMINDER_MINUTES * 60000;
+            if (delay <= 0) return;
+            this.timers.push(setTimeout(() => {
+                this.notify('⏰ Starts at ' + session.start, this.describeSession(session) + ' · ' + formatMinutes(session.minutes), 'session-' + session.id);
+            }, delay));
+        });
+
+        const midnight = parseLocalDate(shiftDate(today, 1)) - now + 60000;
+        this.timers.push(setTimeout(() => this.scheduleReminders(), midnight));
+    }
+
+    // Through the service worker where there is one, which also works in the
+    // installed app; otherwise a page notification
+    notify(title, body, tag) {
+        const options = { body: body, tag: tag, icon: 'icons/icon-192.png' };
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.ready
+                .then(registration => registration.showNotification(title, options))
+                .catch(error => console.error("❌ Reminder failed:", error));
+        } else {
+            new Notification(title, options);
+        }
+    }
+
+    renderError(message) {
+        this.body.innerHTML = '<p class="quiz-note quiz-error">' + this.jarvis.escapeHTML(message) + '</p>';
+    }
+}
@@ -0,0 +1,226 @@
+// JARVIS AI - Practice Test view
+// Generates a structured test through the backend, times it and shows a
+// per-question breakdown after grading.
+class JarvisQuiz {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        this.test = null;
+        this.timer = null;
+        this.startedAt = null;
+
+        this.overlay = document.getElementById('quizOverlay');
+        this.body = document.getElementById('quizBody');
+        this.timerElement = document.getElementById('quizTimer');
+
+        document.getElementById('quizClose').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.overlay.hidden = false;
+        this.renderSetup();
+    }
+
+    close() {
+        this.stopTimer();
+        this.test = null;
+        this.overlay.hidden = true;
+        this.jarvis.elements.messageInput.focus();
+    }
+
+    renderSetup() {
+        this.stopTimer();
+        this.timerElement.textContent = '';
+        document.getElementById('quizTitle').textContent = '📝 Practice Test';
+        const curriculum = this.jarvis.getCurriculum() || {};
+        const escape = (text) => this.jarvis.escapeHTML(text || '');
+
+        this.body.innerHTML =
+            '<form class="quiz-setup" id="quizSetupForm">' +
+                '<p class="quiz-note">Class ' + escape(curriculum.class || '?') + (curriculum.subject ? ' · ' + escape(curriculum.subject) : '') + '</p>' +
+                '<label>Topic<input type="text" name="topic" maxlength="200" placeholder="e.g. Light - Reflection and Refraction"></label>' +
+                '<label>Difficulty<select name="difficulty">' +
+                    '<option value="easy">Easy</option><option value="medium" selected>Medium</option><option value="hard">Hard</option>' +
+                '</select></label>' +
+                '<div class="quiz-counts">' +
+                    '<label>MCQs<input type="number" name="mcq" min="0" max="20" value="5"></label>' +
+                    '<label>Short answers<input type="number" name="short" min="0" max="10" value="3"></label>' +
+                    '<label>Long answers<input type="number" name="long" min="0" max="5" value="2"></label>' +
+                '</div>' +
+                '<button type="submit" class="btn btn-primary">⚡ Generate Test</button>' +
+            '</form>';
+
+        const setupForm = document.getElementById('quizSetupForm');
+        setupForm.topic.value = curriculum.chapter || '';
+        setupForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            this.generate({
+                topic: form.topic.value.trim(),
+                difficulty: form.difficulty.value,
+                counts: {
+                    mcq: parseInt(form.mcq.value, 10) || 0,
+                    short: parseInt(form.short.value, 10) || 0,
+                    long: parseInt(form.long.value, 10) || 0
+                }
+            });
+        });
+    }
+
+    async generate(options) {
+        this.body.innerHTML = '<p class="quiz-note">🤖 JARVIS is writing your test...</p>';
+        try {
+            const response = await this.jarvis.apiFetch('/api/tests', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...options, curriculum: this.jarvis.getCurriculum() })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw this.jarvis.backendError(data.message || data.error || 'HTTP ' + response.status, response);
+            }
+            this.renderTest(data);
+        } catch (error) {
+            console.error("❌ Test generation failed:", error);
+            this.renderError('Could not generate a test: ' + error.message + this.jarvis.requestIdNote(error));
+        }
+    }
+
+    renderTest(test) {
+        this.test = test;
+        const escape = (text) => this.jarvis.escapeHTML(text);
+        document.getElementById('quizTitle').textContent = '📝 ' + test.title;
+
+        let html = '<p class="quiz-note">' + test.questions.length + ' questions · ' + test.total_marks + ' marks · ' + test.duration_minutes + ' minutes</p>' +
+            '<form id="quizForm">';
+        test.questions.forEach((question, index) => {
+            html += '<div class="quiz-question">' +
+                '<div class="quiz-question-title"><span>Q' + (index + 1) + '. ' + escape(question.question) + '</span>' +
+                '<span class="quiz-marks">[' + question.marks + ']</span></div>';
+            if (question.type === 'mcq') {
+                question.options.forEach((option, optionIndex) => {
+                    html += '<label class="quiz-option"><input type="radio" name="' + question.id + '" value="' + optionIndex + '"> ' +
+                        String.fromCharCode(65 + optionIndex) + ') ' + escape(option) + '</label>';
+                });
+            } else {
+                html += '<textarea name="' + question.id + '" rows="' + (question.type === 'long' ? 6 : 3) + '" placeholder="Write your answer..."></textarea>';
+            }
+            html += '</div>';
+        });
+        html += '<button type="submit" class="btn btn-primary">✅ Submit Test</button></form>';
+        this.body.innerHTML = html;
+
+        document.getElementById('quizForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        this.startTimer(test.duration_minutes * 60);
+    }
+
+    startTimer(seconds) {
+        this.stopTimer();
+        this.startedAt = Date.now();
+        const deadline = this.startedAt + seconds * 1000;
+
+        const tick = () => {
+            const remaining = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+            const minutes = Math.floor(remaining / 60);
+            this.timerElement.textContent = '⏱️ ' + minutes + ':' + String(remaining % 60).padStart(2, '0');
+            this.timerElement.classList.toggle('quiz-timer-low', remaining <= 60);
+            if (remaining === 0) {
+                this.jarvis.updateSystemStatus("Time's up!", "Submitting your test");
+                this.submit();
+            }
+        };
+        tick();
+        this.timer = setInterval(tick, 1000);
+    }
+
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    collectAnswers() {
+        const form = document.getElementById('quizForm');
+        const answers = {};
+        this.test.questions.forEach(question => {
+            if (question.type === 'mcq') {
+                const checked = form.querySelector('input[name="' + question.id + '"]:checked');
+                if (checked) answers[question.id] = Number(checked.value);
+            } else {
+                answers[question.id] = form.elements[question.id].value;
+            }
+        });
+        return answers;
+    }
+
+    async submit() {
+        if (!this.test) return;
+        this.stopTimer();
+        const answers = this.collectAnswers();
+        const timeTaken = (Date.now() - this.startedAt) / 1000;
+        this.body.innerHTML = '<p class="quiz-note">🔍 Grading...</p>';
+
+        try {
+            const response = await this.jarvis.apiFetch('/api/tests/' + encodeURIComponent(this.test.id) + '/grade', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ answers: answers, time_taken_seconds: timeTaken })
+            });
+            const grade = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw this.jarvis.backendError(grade.message || grade.error || 'HTTP ' + response.status, response);
+            }
+            this.renderResults(grade);
+        } catch (error) {
+            console.error("❌ Grading failed:", error);
+            this.renderError('Could not grade the test: ' + error.message + this.jarvis.requestIdNote(error));
+        }
+    }
+
+    renderResults(grade) {
+        const escape = (text) => this.jarvis.escapeHTML(text);
+        const icons = { correct: '✅', partial: '🟡', incorrect: '❌', unanswered: '⚪' };
+        const minutes = Math.floor(grade.time_taken_seconds / 60);
+        const seconds = grade.time_taken_seconds % 60;
+
+        let html = '<div class="quiz-score">' + grade.score + ' / ' + grade.total_marks + ' (' + grade.percentage + '%)' +
+            '<span class="quiz-note">Time taken: ' + minutes + 'm ' + seconds + 's</span></div>';
+
+        grade.results.forEach((result, index) => {
+            const question = this.test.questions[index];
+            const submitted = question.type === 'mcq'
+                ? (result.submitted === null ? '—' : question.options[result.submitted])
+                : (result.submitted || '—');
+            const correct = question.type === 'mcq' ? question.options[result.correct_answer] : result.correct_answer;
+
+            html += '<div class="quiz-question quiz-result-' + result.status + '">' +
+                '<div class="quiz-question-title"><span>' + icons[result.status] + ' Q' + (index + 1) + '. ' + escape(question.question) + '</span>' +
+                '<span class="quiz-marks">' + result.score + '/' + result.marks + '</span></div>' +
+                '<p><strong>Your answer:</strong> ' + escape(submitted) + '</p>' +
+                '<p><strong>Model answer:</strong> ' + escape(correct) + '</p>';
+            if (result.missing_keywords && result.missing_keywords.length > 0) {
+                html += '<p><strong>Missing points:</strong> ' + escape(result.missing_keywords.join(', ')) + '</p>';
+            }
+            if (result.explanation) {
+                html += '<p class="quiz-explanation">' + escape(result.explanation) + '</p>';
+            }
+            html += '</div>';
+        });
+        html += '<button type="button" class="btn btn-primary" id="quizRetry">🔁 New Test</button>';
+        this.body.innerHTML = html;
+        this.timerElement.textContent = '';
+        this.test = null;
+
+        document.getElementById('quizRetry').addEventListener('click', () => this.renderSetup());
+        this.jarvis.updateSystemStatus("Test graded", grade.score + "/" + grade.total_marks + " marks");
+    }
+
+    renderError(message) {
+        this.body.innerHTML = '<p class="quiz-note quiz-error">' + this.jarvis.escapeHTML(message) + '</p>' +
+            '<button type="button" class="btn btn-primary" id="quizRetry">🔁 Try Again</button>';
+        document.getElementById('quizRetry').addEventListener('click', () => this.renderSetup());
+    }
+}
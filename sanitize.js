@@ -0,0 +1,102 @@
+// JARVIS AI - HTML Sanitiser
+// Every piece of rendered AI output passes through here before it touches
+// innerHTML. Only the tags and attributes the Markdown renderer produces are
+// kept; everything else is unwrapped to text or dropped with its contents.
+class HTMLSanitizer {
+    constructor() {
+        this.allowedTags = new Set([
+            'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre', 'span', 'div', 'a',
+            'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote',
+            'table', 'thead', 'tbody', 'tr', 'th', 'td'
+        ]);
+
+        // Elements whose contents must never survive, not even as text
+        this.droppedTags = new Set([
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+            'noscript', 'template', 'svg', 'math', 'link', 'meta', 'base', 'form',
+            'input', 'button', 'select', 'textarea', 'title', 'head'
+        ]);
+
+        this.allowedAttributes = {
+            '*': ['class'],
+            'a': ['href', 'target', 'rel'],
+            'pre': ['data-lang'],
+            'span': ['data-tex'],
+            'div': ['data-tex'],
+            'ol': ['start'],
+            'th': ['align'],
+            'td': ['align']
+        };
+
+        // Attributes whose values are checked as well as their names
+        this.attributeValues = {
+            'start': /^\d{1,6}$/,
+            'align': /^(left|center|right)$/
+        };
+
+        this.allowedClasses = /^(math|math-inline|math-display|code-block|table-wrapper|hl-(comment|string|number|keyword))$/;
+        this.allowedProtocols = ['http:', 'https:', 'mailto:'];
+    }
+
+    sanitize(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.cleanChildren(template.content);
+        return template.innerHTML;
+    }
+
+    cleanChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // comments, processing instructions, CDATA
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (this.droppedTags.has(tag)) {
+                node.remove();
+                return;
+            }
+
+            this.cleanChildren(node);
+            if (!this.allowedTags.has(tag)) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+            this.cleanAttributes(node, tag);
+        });
+    }
+
+    cleanAttributes(element, tag) {
+        const allowed = this.allowedAttributes['*'].concat(this.allowedAttributes[tag] || []);
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (!allowed.includes(name)) {
+                element.removeAttribute(attribute.name);
+            } else if (name === 'class') {
+                const classes = attribute.value.split(/\s+/).filter(cls => this.allowedClasses.test(cls));
+                if (classes.length > 0) element.setAttribute('class', classes.join(' '));
+                else element.removeAttribute('class');
+            } else if (name === 'href' && !this.isSafeURL(attribute.value)) {
+                element.removeAttribute('href');
+            } else if (this.attributeValues[name] && !this.attributeValues[name].test(attribute.value)) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+
+        if (tag === 'a') {
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    isSafeURL(value) {
+        try {
+            return this.allowedProtocols.includes(new URL(value, 'https://invalid.example').protocol) &&
+                /^(https?:|mailto:)/i.test(value.trim());
+        } catch {
+            return false;
+        }
+    }
+}
@@ -4,8 +4,10 @@ class JarvisAISystem {
         this.version = "JARVIS-AI-Secure-v7.0";
         this.systemName = "Just A Rather Very Intelligent System";
         this.isProcessing = false;
-        this.isListening = false;
         this.conversationHistory = [];
+        this.conversationId = null;
+        this.markdown = new MarkdownRenderer();
+        this.sanitizer = new HTMLSanitizer();
 
         // Around line 15 in script.js
 this.backendURL = window.location.hostname === 'localhost' 
@@ -23,17 +25,35 @@ this.backendURL = window.location.hostname === 'localhost'
             await this.waitForDOM();
             this.initializeUIElements();
             this.setupAllEventListeners();
-            this.initializeSpeechRecognition();
-            await this.testBackendConnection();
-            this.displayWelcomeMessage();
-            this.updateSystemStatus("JARVIS Online", "Connected to AI servers");
-            console.log("✅ JARVIS AI System fully operational");
+            this.offline.registerServiceWorker();
+            this.loadMathRenderer();
+            if (await this.testBackendConnection()) {
+                this.offline.online = true;
+                await this.connect();
+                // Questions queued offline on an earlier visit
+                this.offline.flush();
+            } else {
+                this.offline.start();
+            }
         } catch (error) {
             console.error("❌ System initialization failed:", error);
             this.handleInitializationError(error);
         }
     }
 
+    // The start-up steps that need the backend. Run again by JarvisOffline
+    // when JARVIS was opened offline and the backend comes back.
+    async connect() {
+        await this.loadCurriculumOptions();
+        await this.auth.ensureSession();
+        await this.restoreConversation();
+        this.planner.restore();
+        this.flashcards.updateDue();
+        this.connected = true;
+        this.updateSystemStatus("JARVIS Online", "Connected to AI servers");
+        console.log("✅ JARVIS AI System fully operational");
+    }
+
     async waitForDOM() {
         if (document.readyState === 'loading') {
             return new Promise(resolve => {
@@ -48,10 +68,18 @@ this.backendURL = window.location.hostname === 'localhost'
             messageInput: document.getElementById('messageInput'),
             inputForm: document.getElementById('inputForm'),
             sendButton: document.getElementById('sendButton'),
+            stopButton: document.getElementById('stopButton'),
             voiceButton: document.getElementById('voiceButton'),
             typingIndicator: document.getElementById('typingIndicator'),
             statusText: document.getElementById('statusText'),
-            apiInfo: document.getElementById('apiInfo')
+            apiInfo: document.getElementById('apiInfo'),
+            newChatButton: document.getElementById('newChatButton'),
+            accountButton: document.getElementById('accountButton'),
+            classSelect: document.getElementById('classSelect'),
+            subjectSelect: document.getElementById('subjectSelect'),
+            chapterInput: document.getElementById('chapterInput'),
+            chapterOptions: document.getElementById('chapterOptions'),
+            compareToggle: document.getElementById('compareToggle')
         };
 
         const missingElements = [];
@@ -77,16 +105,52 @@ this.backendURL = window.location.hostname === 'localhost'
             this.processUserMessage();
         });
 
-        this.elements.voiceButton.addEventListener('click', () => {
-            this.toggleVoiceInput();
+        this.elements.stopButton.addEventListener('click', () => {
+            this.stopProcessing();
+        });
+
+        this.elements.newChatButton.addEventListener('click', () => {
+            if (this.offline.queue.length > 0) {
+                this.updateSystemStatus("Messages waiting to send", "Start a new chat once they have been answered");
+            } else if (!this.isProcessing) {
+                this.startNewConversation();
+            }
+        });
+
+        this.elements.classSelect.addEventListener('change', () => {
+            this.populateSubjects();
+            this.saveCurriculum();
+        });
+        this.elements.subjectSelect.addEventListener('change', () => {
+            this.populateChapters();
+            this.saveCurriculum();
         });
+        this.elements.chapterInput.addEventListener('change', () => this.saveCurriculum());
 
         this.elements.messageInput.addEventListener('input', () => {
             this.autoResizeTextarea();
         });
 
+        this.auth = new JarvisAuth(this);
+        this.quiz = new JarvisQuiz(this);
+        this.voice = new JarvisVoice(this);
+        this.speaker = new JarvisSpeaker(this);
+        this.attachments = new JarvisAttachments(this);
+        this.sessions = new JarvisSessions(this);
+        this.planner = new JarvisPlanner(this);
+        this.flashcards = new JarvisFlashcards(this);
+        this.offline = new JarvisOffline(this);
+
         document.querySelectorAll('.quick-btn').forEach(btn => {
             btn.addEventListener('click', () => {
+                if (btn.getAttribute('data-action') === 'practice-test') {
+                    this.quiz.open();
+                    return;
+                }
+                if (btn.getAttribute('data-action') === 'study-plan') {
+                    this.planner.open();
+                    return;
+                }
                 const message = btn.getAttribute('data-msg');
                 this.elements.messageInput.value = message;
                 this.processUserMessage();
@@ -98,7 +162,9 @@ this.backendURL = window.location.hostname === 'localhost'
                 e.preventDefault();
                 this.elements.messageInput.focus();
             }
-            if (e.key === 'Escape' && document.activeElement === this.elements.messageInput) {
+            if (e.key === 'Escape' && this.isProcessing) {
+                this.stopProcessing();
+            } else if (e.key === 'Escape' && document.activeElement === this.elements.messageInput) {
                 this.elements.messageInput.value = '';
             }
         });
@@ -112,131 +178,310 @@ this.backendURL = window.location.hostname === 'localhost'
         textarea.style.height = newHeight + 'px';
     }
 
-    initializeSpeechRecognition() {
-        if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            this.recognition = new SpeechRecognition();
-
-            this.recognition.continuous = false;
-            this.recognition.interimResults = false;
-            this.recognition.lang = 'en-US';
+    // fetch() against the backend with the signed-in session attached
+    async apiFetch(path, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (this.auth.token) {
+            headers['Authorization'] = 'Bearer ' + this.auth.token;
+        }
+        const response = await fetch(this.backendURL + path, { ...options, headers: headers });
+        if (response.status === 401) {
+            this.auth.handleUnauthorized();
+        }
+        return response;
+    }
 
-            this.recognition.onstart = () => {
-                this.isListening = true;
-                this.elements.voiceButton.textContent = '⏹️';
-                this.elements.voiceButton.style.background = 'linear-gradient(135deg, #ff4757, #ff3742)';
-                this.updateSystemStatus("Listening...", "Voice input active");
-            };
+    // Backend errors keep the X-Request-Id of the failed request, so a student
+    // can quote it when reporting a problem and it can be found in the logs
+    backendError(message, response) {
+        const error = new Error(message);
+        error.requestId = response.headers.get('X-Request-Id');
+        return error;
+    }
 
-            this.recognition.onresult = (event) => {
-                const transcript = event.results[0][0].transcript;
-                this.elements.messageInput.value = transcript;
-                this.autoResizeTextarea();
-                setTimeout(() => this.processUserMessage(), 500);
-            };
+    requestIdNote(error) {
+        return error && error.requestId ? ' (request ID: ' + error.requestId + ')' : '';
+    }
 
-            this.recognition.onerror = (event) => {
-                console.error("Speech recognition error:", event.error);
-                this.resetVoiceButton();
-                this.updateSystemStatus("Voice error", "Try again or use text");
-            };
+    // Resolves with false when the backend can't be reached
+    async testBackendConnection() {
+        try {
+            console.log("🔍 Testing backend connection...");
+            const response = await fetch(this.backendURL + '/health');
+            if (response.ok) {
+                const data = await response.json();
+                console.log("✅ Backend connection successful:", data);
+                this.auth.configure(data.auth);
+                this.voice.configure(data.speech);
+                this.speaker.configure(data.speech && data.speech.tts);
+                this.attachments.configure(data.attachments);
+                this.updateSystemStatus("Connected", "AI servers ready");
+                return true;
+            }
+            throw new Error("Backend not responding properly");
+        } catch (error) {
+            console.error("❌ Backend connection failed:", error);
+            return false;
+        }
+    }
 
-            this.recognition.onend = () => {
-                this.resetVoiceButton();
-            };
-        } else {
-            this.elements.voiceButton.style.display = 'none';
+    // Fills the class/subject selector from the backend's configured lists
+    async loadCurriculumOptions() {
+        try {
+            const response = await fetch(this.backendURL + '/api/curriculum');
+            if (!response.ok) throw new Error("HTTP " + response.status);
+            this.curriculumOptions = await response.json();
+        } catch (error) {
+            console.error("❌ Could not load curriculum options:", error);
+            this.elements.classSelect.parentElement.style.display = 'none';
+            return;
         }
+
+        const saved = JSON.parse(localStorage.getItem('jarvis-curriculum') || '{}');
+        this.curriculumOptions.classes.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.class;
+            element.textContent = 'Class ' + option.class;
+            this.elements.classSelect.appendChild(element);
+        });
+        const classes = this.curriculumOptions.classes.map(option => option.class);
+        this.elements.classSelect.value = classes.includes(saved.class) ? saved.class : this.curriculumOptions.default_class;
+        this.populateSubjects(saved.class ? saved.subject : this.curriculumOptions.default_subject);
+        this.elements.chapterInput.value = saved.chapter || '';
     }
 
-    toggleVoiceInput() {
-        if (!this.recognition) return;
+    populateSubjects(selected) {
+        const select = this.elements.subjectSelect;
+        const current = selected !== undefined ? selected : select.value;
+        const classOption = this.curriculumOptions.classes.find(option => option.class === this.elements.classSelect.value);
+        const subjects = classOption ? classOption.subjects : [];
+
+        select.innerHTML = '<option value="">All subjects</option>';
+        subjects.forEach(subject => {
+            const element = document.createElement('option');
+            element.value = subject;
+            element.textContent = subject.replace(/\b\w/g, letter => letter.toUpperCase());
+            select.appendChild(element);
+        });
+        select.value = subjects.includes(current) ? current : '';
+        this.populateChapters();
+    }
 
-        if (this.isListening) {
-            this.recognition.stop();
-        } else {
+    // Suggests chapters that exist in the backend's NCERT knowledge base
+    populateChapters() {
+        const datalist = this.elements.chapterOptions;
+        const classOption = this.curriculumOptions.classes.find(option => option.class === this.elements.classSelect.value);
+        const bySubject = (classOption && classOption.chapters) || {};
+        const subject = this.elements.subjectSelect.value.toLowerCase();
+        const chapters = subject ? (bySubject[subject] || []) : [].concat(...Object.values(bySubject));
+
+        datalist.innerHTML = '';
+        chapters.forEach(chapter => {
+            const option = document.createElement('option');
+            option.value = chapter;
+            datalist.appendChild(option);
+        });
+    }
+
+    getCurriculum() {
+        if (!this.curriculumOptions) return undefined;
+        return {
+            class: this.elements.classSelect.value,
+            subject: this.elements.subjectSelect.value || undefined,
+            chapter: this.elements.chapterInput.value.trim() || undefined
+        };
+    }
+
+    saveCurriculum() {
+        localStorage.setItem('jarvis-curriculum', JSON.stringify(this.getCurriculum() || {}));
+    }
+
+    // Reopens the conversation from the last visit, or starts a new one
+    async restoreConversation() {
+        const savedId = localStorage.getItem('jarvis-conversation-id');
+        if (savedId) {
             try {
-                this.recognition.start();
+                const response = await this.apiFetch('/api/conversations/' + encodeURIComponent(savedId));
+                if (response.ok) {
+                    const conversation = await response.json();
+                    this.showConversation(conversation);
+                    console.log("💾 Restored conversation " + conversation.id + " (" + conversation.messages.length + " messages)");
+                    return;
+                }
             } catch (error) {
-                console.error("Speech start error:", error);
-                this.updateSystemStatus("Voice unavailable", "Use text input");
+                console.error("❌ Could not restore conversation:", error);
             }
         }
+        await this.startNewConversation();
     }
 
-    resetVoiceButton() {
-        this.isListening = false;
-        this.elements.voiceButton.textContent = '🎤';
-        this.elements.voiceButton.style.background = 'linear-gradient(135deg, #00d4ff 0%, #0080ff 100%)';
-        this.updateSystemStatus("JARVIS Ready", "Voice input ready");
+    // Makes a stored conversation the current one and renders its messages
+    showConversation(conversation) {
+        this.speaker.stopAll();
+        this.attachments.clear();
+        this.elements.messagesArea.innerHTML = '';
+        this.conversationId = conversation.id;
+        this.conversationTitle = conversation.title;
+        this.conversationHistory = conversation.messages;
+        localStorage.setItem('jarvis-conversation-id', conversation.id);
+        this.offline.saveConversation();
+        this.displayWelcomeMessage();
+        let question = null;
+        conversation.messages.forEach(message => {
+            if (message.role === 'user') {
+                const messageContent = this.addMessageToChat(message.content, 'user');
+                this.attachments.showOnMessage(messageContent, message.attachments);
+                question = message.content;
+            } else {
+                const messageContent = this.addMessageToChat(message.content, 'ai');
+                this.addCitations(messageContent, message.citations);
+                this.addProviderLabel(messageContent, message.provider);
+                this.speaker.addControls(messageContent);
+                this.flashcards.addButton(messageContent, message.content, question);
+            }
+        });
+        this.offline.showQueue();
     }
 
-    async testBackendConnection() {
+    async startNewConversation() {
+        this.speaker.stopAll();
+        this.attachments.clear();
+        this.conversationHistory = [];
+        this.conversationId = null;
+        this.conversationTitle = null;
+        this.elements.messagesArea.innerHTML = '';
+        localStorage.removeItem('jarvis-conversation-id');
+
         try {
-            console.log("🔍 Testing backend connection...");
-            const response = await fetch(this.backendURL + '/health');
+            const response = await this.apiFetch('/api/conversations', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
             if (response.ok) {
-                const data = await response.json();
-                console.log("✅ Backend connection successful:", data);
-                this.updateSystemStatus("Connected", "AI servers ready");
-            } else {
-                throw new Error("Backend not responding properly");
+                const conversation = await response.json();
+                this.conversationId = conversation.id;
+                localStorage.setItem('jarvis-conversation-id', conversation.id);
             }
         } catch (error) {
-            console.error("❌ Backend connection failed:", error);
-            this.updateSystemStatus("Backend offline", "Check if server is running");
-            throw new Error("Cannot connect to backend server. Please make sure it's running on " + this.backendURL);
+            console.error("❌ Could not create conversation:", error);
         }
+
+        this.displayWelcomeMessage();
+        this.offline.showQueue();
     }
 
-    async processUserMessage() {
+    // `options.message` re-asks a question without the input box,
+    // `options.fresh` bypasses the backend's answer cache and `options.speak`
+    // set to false leaves reading the answer aloud to the caller (voice
+    // conversation mode). `options.queued` sends a question from the offline
+    // queue, whose bubble is already in the chat. Resolves with the answer, or
+    // null when there is none.
+    async processUserMessage(options = {}) {
         if (this.isProcessing) {
-            return;
+            return null;
         }
 
-        const message = this.elements.messageInput.value.trim();
+        const queued = options.queued;
+        const message = queued ? queued.message : options.message || this.elements.messageInput.value.trim();
         if (!message) {
             this.elements.messageInput.focus();
-            return;
+            return null;
+        }
+        if (!queued && this.attachments.uploading) {
+            this.updateSystemStatus("Still reading your file...", "Send once the attachment is ready");
+            return null;
+        }
+        const attachments = queued ? queued.attachments : this.attachments.list();
+
+        // Offline, or earlier questions still waiting: this one waits its turn
+        if (!queued && (!this.offline.online || this.offline.queue.length > 0)) {
+            this.elements.messageInput.value = '';
+            this.elements.messageInput.style.height = '55px';
+            this.offline.enqueue(message, attachments);
+            return null;
         }
 
         this.isProcessing = true;
-        this.elements.messageInput.value = '';
-        this.elements.messageInput.style.height = '55px';
-        this.addMessageToChat(message, 'user');
+        this.abortController = new AbortController();
+        this.elements.sendButton.style.display = 'none';
+        this.elements.stopButton.style.display = 'flex';
+        let userMessage = queued && this.offline.bubble(queued);
+        if (!userMessage) {
+            this.elements.messageInput.value = '';
+            this.elements.messageInput.style.height = '55px';
+            userMessage = this.addMessageToChat(message, 'user');
+            this.attachments.showOnMessage(userMessage, attachments);
+        }
         this.showTypingIndicator();
         this.updateSystemStatus("Processing...", "Generating AI response");
 
         try {
-            this.conversationHistory.push({
-                role: 'user',
-                content: message,
-                timestamp: Date.now()
-            });
-
-            if (this.conversationHistory.length > 20) {
-                this.conversationHistory = this.conversationHistory.slice(-10);
+            if (!queued && this.elements.compareToggle.checked) {
+                const comparison = await this.getAIResponse(message, {
+                    compare: true,
+                    attachments: attachments,
+                    signal: this.abortController.signal
+                });
+                this.hideTypingIndicator();
+                this.addComparisonToChat(message, comparison);
+                const answered = comparison.answers.filter(answer => answer.ok).length;
+                this.updateSystemStatus("Answers ready", answered + " providers - pick the best one");
+                return null;
             }
 
-            const response = await this.getAIResponse(message);
+            const response = await this.getAIResponse(message, {
+                fresh: options.fresh,
+                attachments: attachments,
+                signal: this.abortController.signal
+            });
 
             this.conversationHistory.push({
+                role: 'user',
+                content: message,
+                timestamp: new Date().toISOString()
+            }, {
                 role: 'assistant',
                 content: response.text,
-                timestamp: Date.now()
+                timestamp: new Date().toISOString(),
+                provider: response.provider
             });
+            this.offline.saveConversation();
 
             this.hideTypingIndicator();
-            this.addMessageToChat(response.text, 'ai');
+            const messageContent = response.element || this.addMessageToChat(response.text, 'ai');
+            this.addCitations(messageContent, response.citations);
+            this.addProviderLabel(messageContent, response.provider, response.context);
+            if (response.cached) {
+                this.addFreshAnswerButton(messageContent, message);
+            }
 
-            if (response.text.length < 500) {
-                this.speakResponse(response.text);
+            this.speaker.addControls(messageContent);
+            this.flashcards.addButton(messageContent, response.text, message);
+            response.element = messageContent;
+            if (options.speak !== false && this.speaker.autoRead) {
+                this.speaker.speak(messageContent);
             }
 
             this.updateSystemStatus("Response complete", "via " + response.provider);
+            return response;
         } catch (error) {
-            console.error("❌ Error processing message:", error);
             this.hideTypingIndicator();
+            if (error.name === 'AbortError') {
+                // A partly streamed answer is kept and marked in readResponseStream
+                if (!error.answerShown) {
+                    this.addMessageToChat("⏹️ Stopped before an answer arrived.", 'ai');
+                }
+                this.updateSystemStatus("Stopped", "Request cancelled");
+                return null;
+            }
+            if (error.unreachable) {
+                // Kept, and sent again when the backend is back
+                this.offline.goOffline();
+                if (!queued) this.offline.enqueue(message, attachments, userMessage);
+                return null;
+            }
+            console.error("❌ Error processing message:", error);
             
             let errorMessage = "I'm having trouble connecting to my AI servers. ";
             if (error.message.includes("backend server")) {
@@ -247,47 +492,173 @@ this.backendURL = window.location.hostname === 'localhost'
                 errorMessage += "Please check your internet connection and try again.";
             }
             
+            errorMessage += this.requestIdNote(error);
+
             this.addMessageToChat(errorMessage, 'ai');
             this.updateSystemStatus("Connection error", "Check backend server");
+            return null;
         } finally {
             this.isProcessing = false;
+            this.abortController = null;
+            this.elements.stopButton.style.display = 'none';
+            this.elements.sendButton.style.display = '';
             setTimeout(() => { this.elements.messageInput.focus(); }, 100);
         }
     }
 
-    async getAIResponse(message) {
+    // Aborts the request in flight; the backend notices the closed connection
+    // and cancels its provider call
+    stopProcessing() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    // With `compare` the backend asks several providers at once and the raw
+    // comparison ({ compare_id, answers, citations }) is returned unstreamed
+    async getAIResponse(message, { fresh = false, compare = false, attachments = [], signal } = {}) {
         try {
             console.log("📡 Sending request to backend...");
-            const response = await fetch(this.backendURL + '/api/chat', {
+            const response = await this.apiFetch('/api/chat', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
                 },
                 body: JSON.stringify({
                     message: message,
-                    history: this.conversationHistory.slice(-6)
-                })
+                    conversationId: this.conversationId,
+                    curriculum: this.getCurriculum(),
+                    // Only used when the backend has no stored conversation;
+                    // the backend trims it to fit each provider's context window
+                    history: this.conversationId ? undefined : this.conversationHistory,
+                    fresh: fresh || undefined,
+                    compare: compare || undefined,
+                    attachments: attachments.length ? attachments.map(attachment => attachment.id) : undefined,
+                    stream: !compare
+                }),
+                signal: signal
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                throw new Error('Backend response error: ' + response.status + ' - ' + (errorData.error || errorData.message || 'Unknown error'));
+                throw this.backendError('Backend response error: ' + response.status + ' - ' + (errorData.error || errorData.message || 'Unknown error'), response);
+            }
+
+            if (compare) {
+                return await response.json();
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (response.body && contentType.includes('text/event-stream')) {
+                return await this.readResponseStream(response);
             }
 
             const data = await response.json();
             return {
                 text: data.response || "I apologize, but I couldn't generate a response. Please try again.",
-                provider: data.provider || "Unknown"
+                provider: data.provider || "Unknown",
+                context: data.context,
+                citations: data.citations,
+                cached: Boolean(data.cached)
             };
         } catch (error) {
             console.error("❌ API call failed:", error);
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error("Cannot connect to backend server. Make sure it's running on " + this.backendURL);
+                const unreachable = new Error("Cannot connect to backend server. Make sure it's running on " + this.backendURL);
+                unreachable.unreachable = true;
+                throw unreachable;
             }
             throw error;
         }
     }
 
+    // Renders a Server-Sent Events answer into a chat bubble as tokens arrive.
+    // A `reset` event means the backend switched providers mid-answer.
+    async readResponseStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let messageContent = null;
+        let result = null;
+
+        while (!result) {
+            let chunk;
+            try {
+                chunk = await reader.read();
+            } catch (error) {
+                if (error.name === 'AbortError' && messageContent) {
+                    const note = document.createElement('div');
+                    note.className = 'stopped-note';
+                    note.textContent = '⏹️ Stopped';
+                    messageContent.appendChild(note);
+                    error.answerShown = true;
+                }
+                throw error;
+            }
+            const { value, done } = chunk;
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            let boundary;
+            while (!result && (boundary = buffer.indexOf('\n\n')) !== -1) {
+                const { event, data } = this.parseStreamEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+
+                if (event === 'provider') {
+                    this.updateSystemStatus("Streaming...", "via " + data.provider);
+                } else if (event === 'token') {
+                    if (!messageContent) {
+                        this.hideTypingIndicator();
+                        messageContent = this.addMessageToChat('', 'ai');
+                    }
+                    text += data.delta;
+                    messageContent.innerHTML = this.formatAIContent(text);
+                    this.markdown.renderMath(messageContent);
+                    this.scrollToBottom();
+                } else if (event === 'reset') {
+                    text = '';
+                    if (messageContent) {
+                        messageContent.innerHTML = '';
+                    }
+                    this.updateSystemStatus("Switching provider...", data.provider + " failed");
+                } else if (event === 'done') {
+                    result = { text: text, provider: data.provider || "Unknown", context: data.context, citations: data.citations, cached: Boolean(data.cached) };
+                } else if (event === 'error') {
+                    if (messageContent) {
+                        messageContent.parentElement.remove();
+                    }
+                    throw this.backendError('Backend response error: ' + (data.error || data.message || 'Unknown error'), response);
+                }
+            }
+        }
+
+        reader.cancel().catch(() => {});
+        if (!result) {
+            throw this.backendError("Backend response error: stream ended unexpectedly", response);
+        }
+        result.element = messageContent;
+        return result;
+    }
+
+    parseStreamEvent(rawEvent) {
+        let event = 'message';
+        let data = '';
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data += line.slice(5).trim();
+            }
+        });
+        try {
+            return { event, data: data ? JSON.parse(data) : {} };
+        } catch (error) {
+            return { event, data: {} };
+        }
+    }
+
     addMessageToChat(content, sender) {
         const messagesArea = this.elements.messagesArea;
         const messageDiv = document.createElement('div');
@@ -299,18 +670,188 @@ this.backendURL = window.location.hostname === 'localhost'
             messageContent.innerHTML = '<strong>👤 You:</strong> ' + this.escapeHTML(content);
         } else {
             messageContent.innerHTML = this.formatAIContent(content);
+            this.markdown.renderMath(messageContent);
         }
 
         messageDiv.appendChild(messageContent);
         messagesArea.appendChild(messageDiv);
         this.scrollToBottom();
+        return messageContent;
+    }
+
+    // NCERT sources as footnotes; each one expands to show the passage used
+    addCitations(messageContent, citations) {
+        if (!messageContent || !citations || citations.length === 0) return;
+        const sources = document.createElement('details');
+        sources.className = 'citations';
+        const summary = document.createElement('summary');
+        summary.textContent = '📚 NCERT sources (' + citations.length + ')';
+        sources.appendChild(summary);
+
+        const list = document.createElement('ol');
+        citations.forEach(citation => {
+            const item = document.createElement('li');
+            const footnote = document.createElement('details');
+            const label = document.createElement('summary');
+            label.textContent = '[' + citation.n + '] ' + citation.book + ' — ' + citation.chapter +
+                (citation.page ? ', p. ' + citation.page : '');
+            const excerpt = document.createElement('blockquote');
+            excerpt.textContent = citation.excerpt;
+            footnote.appendChild(label);
+            footnote.appendChild(excerpt);
+            item.appendChild(footnote);
+            list.appendChild(item);
+        });
+        sources.appendChild(list);
+        messageContent.appendChild(sources);
+    }
+
+    addProviderLabel(messageContent, provider, context) {
+        if (!messageContent || !provider) return;
+        const label = document.createElement('div');
+        label.className = 'message-meta';
+        let text = 'via ' + provider;
+        if (context && context.turns_total > 0) {
+            text += ' · ' + context.turns_included + '/' + context.turns_total + ' earlier messages';
+            if (context.summarized) {
+                text += ' + summary';
+            }
+        }
+        if (context && context.message_truncated) {
+            text += ' · question shortened';
+        }
+        label.textContent = text;
+        messageContent.appendChild(label);
+    }
+
+    // Cached answers get a button that asks the question again with `fresh`
+    addFreshAnswerButton(messageContent, question) {
+        const label = messageContent.querySelector('.message-meta');
+        if (!label) return;
+        label.appendChild(document.createTextNode(' · ⚡ saved answer '));
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'fresh-answer-btn';
+        button.textContent = '↻ Get a fresh answer';
+        button.addEventListener('click', () => {
+            if (this.isProcessing) return;
+            button.remove();
+            this.processUserMessage({ message: question, fresh: true });
+        });
+        label.appendChild(button);
+    }
+
+    // Compare mode: one tab per provider with its latency. Picking the best
+    // answer records the preference and adds it to the conversation.
+    addComparisonToChat(question, comparison) {
+        const messageContent = this.addMessageToChat('', 'ai');
+        const tabBar = document.createElement('div');
+        tabBar.className = 'compare-tabs';
+        tabBar.setAttribute('role', 'tablist');
+        messageContent.appendChild(tabBar);
+
+        const tabs = [];
+        const panels = [];
+        const picks = [];
+        const firstAnswered = Math.max(0, comparison.answers.findIndex(answer => answer.ok));
+        const select = (index) => {
+            tabs.forEach((tab, i) => {
+                tab.classList.toggle('active', i === index);
+                tab.setAttribute('aria-selected', String(i === index));
+            });
+            panels.forEach((panel, i) => { panel.hidden = i !== index; });
+        };
+
+        comparison.answers.forEach((answer, index) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'compare-tab' + (answer.ok ? '' : ' failed');
+            tab.setAttribute('role', 'tab');
+            tab.title = answer.model;
+            tab.textContent = (answer.ok ? '' : '✗ ') + answer.provider + ' · ' + (answer.latency_ms / 1000).toFixed(1) + 's';
+            tab.addEventListener('click', () => select(index));
+            tabBar.appendChild(tab);
+            tabs.push(tab);
+
+            const panel = document.createElement('div');
+            panel.className = 'compare-panel';
+            panel.setAttribute('role', 'tabpanel');
+            if (answer.ok) {
+                panel.innerHTML = this.formatAIContent(answer.response);
+                this.markdown.renderMath(panel);
+                const pick = document.createElement('button');
+                pick.type = 'button';
+                pick.className = 'compare-pick';
+                pick.textContent = '👍 This is the best answer';
+                pick.addEventListener('click', () => {
+                    this.pickComparisonAnswer(question, comparison, answer, tab, picks);
+                });
+                panel.appendChild(pick);
+                picks.push(pick);
+            } else {
+                panel.textContent = '⚠️ ' + answer.provider + ' could not answer: ' + answer.error;
+            }
+            messageContent.appendChild(panel);
+            panels.push(panel);
+        });
+
+        select(firstAnswered);
+        this.addCitations(messageContent, comparison.citations);
+        this.scrollToBottom();
+    }
+
+    async pickComparisonAnswer(question, comparison, answer, tab, picks) {
+        picks.forEach(pick => { pick.disabled = true; });
+        try {
+            const response = await this.apiFetch('/api/chat/compare/' + encodeURIComponent(comparison.compare_id) + '/preference', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ provider: answer.provider })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw this.backendError(errorData.message || 'HTTP ' + response.status, response);
+            }
+
+            tab.classList.add('preferred');
+            tab.textContent = '★ ' + tab.textContent;
+            this.conversationHistory.push({
+                role: 'user',
+                content: question,
+                timestamp: new Date().toISOString()
+            }, {
+                role: 'assistant',
+                content: answer.response,
+                timestamp: new Date().toISOString(),
+                provider: answer.provider
+            });
+            this.offline.saveConversation();
+            this.updateSystemStatus("Preference saved", "Best answer: " + answer.provider);
+        } catch (error) {
+            console.error("❌ Could not save preference:", error);
+            picks.forEach(pick => { pick.disabled = false; });
+            this.updateSystemStatus("Preference not saved", error.message + this.requestIdNote(error));
+        }
     }
 
     formatAIContent(content) {
-        return content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/\n/g, '<br>');
+        return this.sanitizer.sanitize(this.markdown.render(content));
+    }
+
+    // KaTeX is served by the backend from its own node_modules, so maths
+    // renders without any CDN access
+    loadMathRenderer() {
+        if (window.katex) return;
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = this.backendURL + '/vendor/katex/katex.min.css';
+        document.head.appendChild(stylesheet);
+
+        const script = document.createElement('script');
+        script.src = this.backendURL + '/vendor/katex/katex.min.js';
+        script.onload = () => this.markdown.renderMath(this.elements.messagesArea);
+        script.onerror = () => console.error("❌ Could not load the maths renderer - equations will show as LaTeX");
+        document.head.appendChild(script);
     }
 
     escapeHTML(text) {
@@ -340,30 +881,14 @@ this.backendURL = window.location.hostname === 'localhost'
         this.elements.apiInfo.textContent = info || '';
     }
 
-    speakResponse(text) {
-        if ('speechSynthesis' in window && text.length < 800) {
-            const cleanText = text
-                .replace(/\*\*(.*?)\*\*/g, '$1')
-                .replace(/\*(.*?)\*/g, '$1')
-                .replace(/[🤖📚📊🌱🏛️⚡🌍📖🔍💡✅❌⚠️🎯🚀🌟💎]/g, '')
-                .substring(0, 400);
-            
-            const utterance = new SpeechSynthesisUtterance(cleanText);
-            utterance.rate = 0.9;
-            utterance.volume = 0.6;
-            utterance.pitch = 1.1;
-            
-            speechSynthesis.speak(utterance);
-        }
-    }
-
     displayWelcomeMessage() {
         const welcome = "🤖 **JARVIS AI System Online**\n\nJust A Rather Very Intelligent System ready to assist! I'm securely connected to multiple AI providers through a protected backend server.";
         this.addMessageToChat(welcome, 'ai');
     }
 
     handleInitializationError(error) {
-        document.body.innerHTML = '<div style="padding:40px; color:#ff4757; font-family: monospace; text-align: center;"><h1>🚨 JARVIS Initialization Error</h1><p>' + error.message + '</p><p>Make sure the backend server is running!</p><button onclick="location.reload()" style="background:#00d4ff; color:#000; border:none; padding:15px 30px; border-radius:8px; cursor:pointer;">🔄 Restart JARVIS</button></div>';
+        document.body.innerHTML = '<div style="padding:40px; color:#ff4757; font-family: monospace; text-align: center;"><h1>🚨 JARVIS Initialization Error</h1><p>' + this.escapeHTML(error.message) + '</p><p>Make sure the backend server is running!</p><button id="restartButton" style="background:#00d4ff; color:#000; border:none; padding:15px 30px; border-radius:8px; cursor:pointer;">🔄 Restart JARVIS</button></div>';
+        document.getElementById('restartButton').addEventListener('click', () => location.reload());
     }
 }
 
@@ -0,0 +1,206 @@
+// JARVIS AI - Export and import of study sessions
+// 📤 Export saves the current conversation as Markdown revision notes, as a
+// JSON file that can be imported again, or as a printable handout (the
+// browser's print dialog can save it as a PDF). 📥 Import loads such a JSON
+// file as a new conversation, so a session can continue on another device.
+const HANDOUT_STYLES = `
+    body { font-family: Georgia, 'Times New Roman', serif; color: #1a1a1a; max-width: 760px; margin: 32px auto; padding: 0 24px; line-height: 1.55; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    .handout-meta { color: #666; font-size: 13px; margin-bottom: 24px; }
+    .turn { border-top: 1px solid #ddd; padding: 14px 0; page-break-inside: avoid; }
+    .turn h2 { font-size: 14px; font-family: Arial, sans-serif; text-transform: uppercase; letter-spacing: 0.5px; margin: 0 0 8px 0; }
+    .turn.user h2 { color: #0066aa; }
+    .turn.assistant h2 { color: #333; }
+    .turn time { color: #888; font-weight: normal; text-transform: none; margin-left: 8px; }
+    .question { font-weight: bold; white-space: pre-wrap; }
+    pre { background: #f4f4f4; border: 1px solid #ddd; border-radius: 4px; padding: 10px; overflow-x: auto; font-size: 12px; }
+    code { font-family: 'Courier New', monospace; }
+    table { border-collapse: collapse; margin: 8px 0; }
+    th, td { border: 1px solid #bbb; padding: 4px 8px; }
+    blockquote { border-left: 3px solid #bbb; margin: 8px 0; padding-left: 12px; color: #444; }
+    .sources, .attached { font-size: 12px; color: #555; }
+    @media print { body { margin: 0 auto; } }
+`;
+
+class JarvisSessions {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        this.exportButton = document.getElementById('exportButton');
+        this.exportMenu = document.getElementById('exportMenu');
+        this.importButton = document.getElementById('importButton');
+        this.importInput = document.getElementById('importInput');
+
+        this.exportButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.exportMenu.hidden = !this.exportMenu.hidden;
+        });
+        document.addEventListener('click', () => {
+            this.exportMenu.hidden = true;
+        });
+        this.exportMenu.querySelectorAll('[data-export]').forEach(item => {
+            item.addEventListener('click', () => {
+                this.exportMenu.hidden = true;
+                const format = item.getAttribute('data-export');
+                if (format === 'handout') {
+                    this.printHandout();
+                } else {
+                    this.download(format);
+                }
+            });
+        });
+
+        this.importButton.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) this.importFile(file);
+        });
+    }
+
+    // False, with a status message, when there is nothing to export yet
+    canExport() {
+        if (this.jarvis.conversationId && this.jarvis.conversationHistory.length > 0) return true;
+        this.jarvis.updateSystemStatus("Nothing to export yet", "Ask JARVIS a question first");
+        return false;
+    }
+
+    // `format` is 'markdown' or 'json'
+    async download(format) {
+        if (!this.canExport()) return;
+        try {
+            const response = await this.jarvis.apiFetch('/api/conversations/' + encodeURIComponent(this.jarvis.conversationId) +
+                '/export?format=' + format);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw this.jarvis.backendError(data.message || data.error || 'Export failed', response);
+            }
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = (disposition.match(/filename="?([^";]+)"?/) || [])[1] ||
+                'jarvis-conversation.' + (format === 'markdown' ? 'md' : 'json');
+            this.saveFile(await response.blob(), filename);
+            this.jarvis.updateSystemStatus("Session exported", filename);
+        } catch (error) {
+            console.error("❌ Export failed:", error);
+            this.jarvis.updateSystemStatus("Export failed", error.message + this.jarvis.requestIdNote(error));
+        }
+    }
+
+    saveFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Opens the session as a formatted page and the print dialog over it
+    async printHandout() {
+        if (!this.canExport()) return;
+        // Opened straight away: pop-up blockers only allow it during the click
+        const handout = window.open('', '_blank');
+        if (!handout) {
+            this.jarvis.updateSystemStatus("Pop-up blocked", "Allow pop-ups to print the handout");
+            return;
+        }
+        try {
+            const response = await this.jarvis.apiFetch('/api/conversations/' + encodeURIComponent(this.jarvis.conversationId));
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw this.jarvis.backendError(data.message || data.error || 'Could not load the conversation', response);
+            }
+            this.writeHandout(handout, await response.json());
+            this.jarvis.updateSystemStatus("Handout ready", "Choose \"Save as PDF\" to keep a copy");
+        } catch (error) {
+            console.error("❌ Handout failed:", error);
+            handout.close();
+            this.jarvis.updateSystemStatus("Handout failed", error.message + this.jarvis.requestIdNote(error));
+        }
+    }
+
+    writeHandout(handout, conversation) {
+        // Rendered here, where the sanitiser, Markdown renderer and KaTeX live
+        const body = document.createElement('div');
+        const add = (parent, tag, className, text) => {
+            const element = document.createElement(tag);
+            if (className) element.className = className;
+            if (text !== undefined) element.textContent = text;
+            parent.appendChild(element);
+            return element;
+        };
+
+        add(body, 'h1', null, conversation.title);
+        add(body, 'div', 'handout-meta', 'Study session with JARVIS · ' + conversation.messages.length + ' messages · ' +
+            new Date(conversation.createdAt).toLocaleDateString());
+
+        conversation.messages.forEach(message => {
+            const turn = add(body, 'section', 'turn ' + message.role);
+            const heading = add(turn, 'h2', null, message.role === 'user' ? 'Question' : 'JARVIS' + (message.provider ? ' · ' + message.provider : ''));
+            if (message.timestamp) {
+                add(heading, 'time', null, new Date(message.timestamp).toLocaleString());
+            }
+            if (message.role === 'user') {
+                add(turn, 'div', 'question', message.content);
+                if (message.attachments && message.attachments.length) {
+                    add(turn, 'div', 'attached', '📎 ' + message.attachments.map(attachment => attachment.name).join(', '));
+                }
+                return;
+            }
+            const answer = add(turn, 'div', 'answer');
+            answer.innerHTML = this.jarvis.formatAIContent(message.content);
+            this.jarvis.markdown.renderMath(answer);
+            if (message.citations && message.citations.length) {
+                const sources = add(turn, 'ol', 'sources');
+                message.citations.forEach(citation => {
+                    add(sources, 'li', null, citation.book + ', "' + citation.chapter + '"' + (citation.page ? ', page ' + citation.page : ''));
+                });
+            }
+        });
+
+        const doc = handout.document;
+        doc.title = conversation.title + ' - JARVIS';
+        const style = doc.createElement('style');
+        style.textContent = HANDOUT_STYLES;
+        doc.head.appendChild(style);
+        doc.body.innerHTML = body.innerHTML;
+
+        // Print once the KaTeX fonts and styles are in, so maths prints properly
+        const stylesheet = doc.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = this.jarvis.backendURL + '/vendor/katex/katex.min.css';
+        stylesheet.onload = () => handout.print();
+        stylesheet.onerror = () => handout.print();
+        doc.head.appendChild(stylesheet);
+        handout.focus();
+    }
+
+    async importFile(file) {
+        if (this.jarvis.isProcessing) return;
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error(file.name + ' is not a JSON file');
+            }
+            const response = await this.jarvis.apiFetch('/api/conversations/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw this.jarvis.backendError(result.message || result.error || 'Import failed', response);
+            }
+            this.jarvis.showConversation(result);
+            console.log("📥 Imported conversation " + result.id + " (" + result.messages.length + " messages)");
+            this.jarvis.updateSystemStatus("Session imported", result.title);
+        } catch (error) {
+            console.error("❌ Import failed:", error);
+            this.jarvis.addMessageToChat("⚠️ Could not import " + file.name + ": " + error.message + this.jarvis.requestIdNote(error), 'ai');
+            this.jarvis.updateSystemStatus("Import failed", "See the message in the chat");
+        }
+    }
+}
@@ -0,0 +1,325 @@
+// JARVIS AI - Spoken answers
+// Reads AI messages aloud one sentence at a time through a queue, highlights
+// the sentence being spoken and gives every message read/pause/skip
+// controls. Rate, pitch and volume come from the backend (TTS_* settings);
+// the chosen voice and the auto-read switch are saved in this browser.
+const SPEECH_VOICE_KEY = 'jarvis-tts-voice';
+const SPEECH_AUTO_KEY = 'jarvis-tts-auto';
+
+// Some browsers stop long utterances part-way, so long sentences are split
+const MAX_UTTERANCE_CHARS = 220;
+
+// Elements that start and end a sentence, and parts of a message not read out
+const SPEECH_BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, td, th, tr, ul, ol, table';
+const SPEECH_SKIP = '.message-meta, .citations, .speech-controls, .compare-tabs, .stopped-note, button';
+
+const SENTENCE_END = /[.!?]["'”’)\]]*\s*$/;
+const EMOJI = /[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]️?/gu;
+
+class JarvisSpeaker {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        this.supported = 'speechSynthesis' in window;
+        this.settings = { rate: 0.9, pitch: 1.1, volume: 0.6 };
+        this.queue = [];        // { element, sentences, index, resolve }
+        this.current = null;
+        this.paused = false;
+        this.prepared = new WeakMap();  // message element -> sentences
+        this.controls = new Map();      // message element -> its buttons
+
+        this.voiceSelect = document.getElementById('speechVoiceSelect');
+        this.autoLabel = document.getElementById('speechAutoLabel');
+        this.autoToggle = document.getElementById('speechAutoToggle');
+
+        if (!this.supported) {
+            this.voiceSelect.style.display = 'none';
+            this.autoLabel.style.display = 'none';
+            return;
+        }
+
+        this.autoToggle.checked = localStorage.getItem(SPEECH_AUTO_KEY) !== 'off';
+        this.autoToggle.addEventListener('change', () => {
+            localStorage.setItem(SPEECH_AUTO_KEY, this.autoToggle.checked ? 'on' : 'off');
+        });
+        this.voiceSelect.addEventListener('change', () => {
+            localStorage.setItem(SPEECH_VOICE_KEY, this.voiceSelect.value);
+        });
+        // Voices load asynchronously in most browsers
+        this.loadVoices();
+        speechSynthesis.addEventListener('voiceschanged', () => this.loadVoices());
+    }
+
+    get autoRead() {
+        return this.supported && this.autoToggle.checked;
+    }
+
+    // `tts` comes from the `speech.tts` block of /health
+    configure(tts) {
+        if (!tts) return;
+        const clamp = (value, min, max, fallback) => Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+        this.settings = {
+            rate: clamp(tts.rate, 0.1, 10, this.settings.rate),
+            pitch: clamp(tts.pitch, 0, 2, this.settings.pitch),
+            volume: clamp(tts.volume, 0, 1, this.settings.volume)
+        };
+    }
+
+    loadVoices() {
+        const voices = speechSynthesis.getVoices();
+        const saved = localStorage.getItem(SPEECH_VOICE_KEY) || '';
+        this.voiceSelect.replaceChildren(
+            new Option('🔈 Default voice', ''),
+            ...voices.map(voice => new Option(voice.name + ' (' + voice.lang + ')', voice.voiceURI))
+        );
+        this.voiceSelect.value = voices.some(voice => voice.voiceURI === saved) ? saved : '';
+    }
+
+    selectedVoice() {
+        const uri = this.voiceSelect.value;
+        return uri ? speechSynthesis.getVoices().find(voice => voice.voiceURI === uri) || null : null;
+    }
+
+    // Queues a rendered AI message; resolves when it has been read, skipped
+    // or stopped
+    speak(messageContent) {
+        if (!this.supported || !messageContent) return Promise.resolve();
+        const sentences = this.prepare(messageContent);
+        if (sentences.length === 0) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.queue.push({ element: messageContent, sentences, index: 0, resolve });
+            if (!this.current) {
+                this.next();
+            } else {
+                this.updateControls();
+            }
+        });
+    }
+
+    next() {
+        this.current = this.queue.shift() || null;
+        this.paused = false;
+        this.updateControls();
+        if (this.current) {
+            this.speakSentence(this.current);
+        }
+    }
+
+    speakSentence(item) {
+        if (item.index >= item.sentences.length) {
+            this.finish(item);
+            return;
+        }
+        const sentence = item.sentences[item.index];
+        this.highlight(item.element, sentence.n);
+
+        const utterance = new SpeechSynthesisUtterance(sentence.text);
+        const voice = this.selectedVoice();
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.lang = voice ? voice.lang : this.jarvis.voice.settings.language;
+        utterance.rate = this.settings.rate;
+        utterance.pitch = this.settings.pitch;
+        utterance.volume = this.settings.volume;
+        // Also fires (as an error) when speech is cancelled by skip or stop
+        const advance = () => {
+            if (this.current !== item || item.cancelled) return;
+            item.index += 1;
+            this.speakSentence(item);
+        };
+        utterance.onend = advance;
+        utterance.onerror = advance;
+        speechSynthesis.speak(utterance);
+    }
+
+    finish(item) {
+        this.highlight(item.element, null);
+        item.resolve();
+        if (this.current === item) {
+            this.next();
+        }
+    }
+
+    pause() {
+        if (!this.current || this.paused) return;
+        speechSynthesis.pause();
+        this.paused = true;
+        this.updateControls();
+    }
+
+    resume() {
+        if (!this.current || !this.paused) return;
+        speechSynthesis.resume();
+        this.paused = false;
+        this.updateControls();
+    }
+
+    // Stops reading `messageContent` (playing or queued) and moves on
+    skip(messageContent) {
+        const queued = this.queue.find(item => item.element === messageContent);
+        if (queued) {
+            this.queue = this.queue.filter(item => item !== queued);
+            queued.resolve();
+            this.updateControls();
+            return;
+        }
+        if (this.current && this.current.element === messageContent) {
+            this.cancelCurrent();
+            this.next();
+        }
+    }
+
+    // Silences everything, e.g. when a new conversation starts
+    stopAll() {
+        this.queue.forEach(item => item.resolve());
+        this.queue = [];
+        this.cancelCurrent();
+        this.current = null;
+        this.paused = false;
+        this.updateControls();
+    }
+
+    cancelCurrent() {
+        const item = this.current;
+        if (!item) return;
+        item.cancelled = true;
+        // A paused synthesiser stays paused after cancel() in Chrome
+        speechSynthesis.resume();
+        speechSynthesis.cancel();
+        this.highlight(item.element, null);
+        item.resolve();
+    }
+
+    highlight(messageContent, n) {
+        messageContent.querySelectorAll('.tts-speaking').forEach(element => element.classList.remove('tts-speaking'));
+        if (n === null) return;
+        const parts = messageContent.querySelectorAll('[data-sentence="' + n + '"]');
+        parts.forEach(element => element.classList.add('tts-speaking'));
+        if (parts.length > 0) {
+            parts[0].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    // Wraps each sentence of the rendered message in spans (maths and code
+    // blocks count as one piece each) and returns what to say for each one:
+    // [{ n, text }], where n is the sentence the text belongs to
+    prepare(messageContent) {
+        if (this.prepared.has(messageContent)) return this.prepared.get(messageContent);
+
+        const texts = [''];
+        const endSentence = () => {
+            if (texts[texts.length - 1].trim()) texts.push('');
+        };
+        const mark = (element, spoken) => {
+            element.classList.add('tts-sentence');
+            element.setAttribute('data-sentence', String(texts.length - 1));
+            texts[texts.length - 1] += ' ' + spoken + ' ';
+        };
+
+        const walk = (node) => {
+            [...node.childNodes].forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    if (!child.textContent.trim()) return;
+                    const fragment = document.createDocumentFragment();
+                    child.textContent.split(/(?<=[.!?]["'”’)\]]*)(?=\s)/).forEach(segment => {
+                        const span = document.createElement('span');
+                        span.textContent = segment;
+                        mark(span, segment);
+                        fragment.appendChild(span);
+                        if (SENTENCE_END.test(segment)) endSentence();
+                    });
+                    child.replaceWith(fragment);
+                    return;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE || child.matches(SPEECH_SKIP)) return;
+
+                if (child.classList.contains('math')) {
+                    // Before KaTeX has loaded the placeholder still holds the TeX
+                    mark(child, child.getAttribute('data-speech') || this.jarvis.markdown.speakMath(child.textContent));
+                } else if (child.tagName === 'PRE') {
+                    endSentence();
+                    mark(child, '(code example shown on screen)');
+                    endSentence();
+                } else {
+                    const block = child.matches(SPEECH_BLOCKS);
+                    if (block) endSentence();
+                    if (child.tagName === 'LI' && node.tagName === 'OL') {
+                        texts[texts.length - 1] += 'Step ' + ([...node.children].indexOf(child) + 1) + ': ';
+                    }
+                    walk(child);
+                    if (block) endSentence();
+                }
+            });
+        };
+        walk(messageContent);
+
+        const sentences = [];
+        texts.forEach((text, n) => {
+            const clean = text.replace(EMOJI, '').replace(/\s+/g, ' ').trim();
+            if (!/[\p{L}\p{N}]/u.test(clean)) return;
+            this.splitLong(clean).forEach(part => sentences.push({ n, text: part }));
+        });
+        this.prepared.set(messageContent, sentences);
+        return sentences;
+    }
+
+    // Breaks a long sentence at commas or spaces
+    splitLong(text) {
+        const parts = [];
+        let rest = text;
+        while (rest.length > MAX_UTTERANCE_CHARS) {
+            const window = rest.slice(0, MAX_UTTERANCE_CHARS);
+            let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '));
+            if (cut < MAX_UTTERANCE_CHARS / 2) cut = window.lastIndexOf(' ');
+            if (cut <= 0) cut = MAX_UTTERANCE_CHARS;
+            parts.push(rest.slice(0, cut + 1).trim());
+            rest = rest.slice(cut + 1).trim();
+        }
+        if (rest) parts.push(rest);
+        return parts;
+    }
+
+    // Read aloud / pause / resume / skip buttons under an AI message
+    addControls(messageContent) {
+        if (!this.supported || !messageContent || this.controls.has(messageContent)) return;
+        const bar = document.createElement('div');
+        bar.className = 'speech-controls';
+        const button = (label, title, onClick) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'speech-btn';
+            element.textContent = label;
+            element.title = title;
+            element.addEventListener('click', onClick);
+            bar.appendChild(element);
+            return element;
+        };
+
+        const controls = {
+            read: button('🔊 Read aloud', 'Read this answer aloud', () => this.speak(messageContent)),
+            pause: button('⏸️ Pause', 'Pause reading', () => (this.paused ? this.resume() : this.pause())),
+            skip: button('⏭️ Skip', 'Stop reading this answer', () => this.skip(messageContent))
+        };
+        messageContent.appendChild(bar);
+        this.controls.set(messageContent, controls);
+        this.updateControls();
+    }
+
+    updateControls() {
+        this.controls.forEach((controls, messageContent) => {
+            // Messages removed by a new conversation
+            if (!messageContent.isConnected) {
+                this.controls.delete(messageContent);
+                return;
+            }
+            const playing = Boolean(this.current && this.current.element === messageContent);
+            const queued = this.queue.some(item => item.element === messageContent);
+            controls.read.hidden = playing || queued;
+            controls.pause.hidden = !playing;
+            controls.pause.textContent = this.paused ? '▶️ Resume' : '⏸️ Pause';
+            controls.skip.hidden = !playing && !queued;
+            controls.skip.textContent = queued ? '⏭️ Skip (queued)' : '⏭️ Skip';
+        });
+    }
+}
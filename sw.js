@@ -0,0 +1,98 @@
+// JARVIS AI - Service worker
+// Keeps the app shell - the intro, the chat page, their scripts and icons - in
+// a cache so JARVIS opens without a network. Cached files are served straight
+// away and refreshed in the background for the next visit. Bump the version
+// in SHELL_CACHE when files are added to or removed from APP_SHELL.
+const SHELL_CACHE = 'jarvis-shell-v3';
+const RUNTIME_CACHE = 'jarvis-runtime-v1';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'intro.css',
+    'intro.js',
+    'main.html',
+    'sanitize.js',
+    'markdown.js',
+    'auth.js',
+    'quiz.js',
+    'voice.js',
+    'speaker.js',
+    'attachments.js',
+    'sessions.js',
+    'planner.js',
+    'flashcards.js',
+    'offline.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Loaded from other origins but needed offline too: the intro's web font and
+// the backend's copy of KaTeX. API calls are never cached; the page queues
+// messages itself while the backend is unreachable.
+const RUNTIME_ASSETS = [
+    /^https:\/\/fonts\.(googleapis|gstatic)\.com\//,
+    /\/vendor\/katex\//
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    } else if (RUNTIME_ASSETS.some(pattern => pattern.test(request.url))) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    }
+});
+
+// Responses from other origins loaded with no-cors are opaque (status 0)
+const cacheable = (response) => response.ok || response.type === 'opaque';
+
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const network = fetch(event.request).then(response => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (cacheable(response)) cache.put(request, response.clone());
+    return response;
+}
+
+// Study plan reminders open JARVIS, or bring it to the front
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.matchAll({ type: 'window' }).then(windows => {
+        const open = windows.find(client => client.url.includes('main.html'));
+        return open ? open.focus() : self.clients.openWindow('main.html');
+    }));
+});
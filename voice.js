@@ -0,0 +1,272 @@
+// JARVIS AI - Voice input
+// One-shot dictation from the 🎤 button, and a hands-free conversation mode:
+// listen (showing the transcript live), send after a pause, speak the answer,
+// then listen again. With the wake phrase switched on the conversation waits
+// in standby until the phrase is heard. Recognition is stopped while JARVIS
+// is thinking or speaking so it never transcribes its own voice.
+const WAKE_STORAGE_KEY = 'jarvis-wake-phrase';
+
+// Recognition errors that just mean nobody spoke or we stopped it ourselves
+const QUIET_SPEECH_ERRORS = ['no-speech', 'aborted'];
+
+// How long conversation mode listens for a question before going back to
+// standby when the wake phrase is on
+const WAKE_IDLE_MS = 15000;
+
+// Pause before listening again once JARVIS stops speaking, so the end of its
+// own voice is not picked up
+const ECHO_GUARD_MS = 400;
+
+class JarvisVoice {
+    constructor(jarvis) {
+        this.jarvis = jarvis;
+        // Overridden by the `speech` block of /health (SPEECH_* in .env)
+        this.settings = { language: 'en-US', continuous: false, interimResults: true, pauseMs: 1500, wakePhrase: 'jarvis' };
+        this.mode = 'off';      // off | dictation | conversation
+        this.state = 'idle';    // idle | standby | listening | thinking | speaking
+        this.recognizing = false;
+        this.transcript = '';   // final text from earlier recognition sessions
+        this.sessionFinal = '';
+        this.sessionInterim = '';
+        this.pauseTimer = null;
+        this.idleTimer = null;
+
+        this.voiceButton = document.getElementById('voiceButton');
+        this.conversationButton = document.getElementById('conversationButton');
+        this.wakeLabel = document.getElementById('wakeLabel');
+        this.wakeToggle = document.getElementById('wakeToggle');
+
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) {
+            this.voiceButton.style.display = 'none';
+            this.conversationButton.style.display = 'none';
+            this.wakeLabel.style.display = 'none';
+            return;
+        }
+
+        this.recognition = new SpeechRecognition();
+        this.recognition.onresult = (event) => this.handleResult(event);
+        this.recognition.onerror = (event) => this.handleError(event);
+        this.recognition.onend = () => this.handleEnd();
+
+        this.wakeToggle.checked = localStorage.getItem(WAKE_STORAGE_KEY) === 'on';
+        this.wakeToggle.addEventListener('change', () => {
+            localStorage.setItem(WAKE_STORAGE_KEY, this.wakeToggle.checked ? 'on' : 'off');
+        });
+        this.voiceButton.addEventListener('click', () => this.toggleDictation());
+        this.conversationButton.addEventListener('click', () => this.toggleConversation());
+    }
+
+    get supported() {
+        return Boolean(this.recognition);
+    }
+
+    // `speech` comes from the `speech` block of /health
+    configure(speech) {
+        if (!speech) return;
+        this.settings = {
+            language: speech.language || this.settings.language,
+            continuous: Boolean(speech.continuous),
+            interimResults: speech.interim_results !== false,
+            pauseMs: speech.pause_ms || this.settings.pauseMs,
+            wakePhrase: (speech.wake_phrase || '').trim().toLowerCase()
+        };
+        if (!this.supported) return;
+        this.wakeLabel.style.display = this.settings.wakePhrase ? '' : 'none';
+        this.wakeLabel.title = 'In conversation mode, wait for "' + this.settings.wakePhrase + '" before listening';
+    }
+
+    useWakePhrase() {
+        return Boolean(this.settings.wakePhrase) && this.wakeToggle.checked;
+    }
+
+    toggleDictation() {
+        if (!this.supported) return;
+        if (this.mode === 'dictation') {
+            this.send();
+            return;
+        }
+        this.stop();
+        this.mode = 'dictation';
+        this.listen('listening');
+    }
+
+    toggleConversation() {
+        if (!this.supported) return;
+        if (this.mode === 'conversation') {
+            this.stop();
+            return;
+        }
+        this.stop();
+        this.mode = 'conversation';
+        this.listen(this.useWakePhrase() ? 'standby' : 'listening');
+    }
+
+    stop() {
+        if (this.state === 'speaking') {
+            this.jarvis.speaker.stopAll();
+        }
+        this.mode = 'off';
+        this.setState('idle');
+        this.clearTimers();
+        this.resetTranscript();
+        if (this.recognizing) {
+            this.recognition.abort();
+        }
+    }
+
+    listen(state) {
+        this.resetTranscript();
+        this.setState(state);
+        if (state === 'listening' && this.mode === 'conversation' && this.useWakePhrase()) {
+            this.idleTimer = setTimeout(() => {
+                if (this.state === 'listening' && !this.currentText()) this.setState('standby');
+            }, WAKE_IDLE_MS);
+        }
+        this.startRecognition();
+    }
+
+    startRecognition() {
+        if (this.recognizing) return;
+        this.recognition.lang = this.settings.language;
+        this.recognition.continuous = this.mode === 'conversation' || this.settings.continuous;
+        this.recognition.interimResults = this.settings.interimResults || this.mode === 'conversation';
+        try {
+            this.recognition.start();
+            this.recognizing = true;
+        } catch (error) {
+            console.error("Speech start error:", error);
+            this.stop();
+            this.jarvis.updateSystemStatus("Voice unavailable", "Use text input");
+        }
+    }
+
+    handleResult(event) {
+        if (this.state !== 'listening' && this.state !== 'standby') return;
+
+        let finalText = '';
+        let interimText = '';
+        for (let i = 0; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (result.isFinal) {
+                finalText += result[0].transcript;
+            } else {
+                interimText += result[0].transcript;
+            }
+        }
+
+        if (this.state === 'standby') {
+            const heard = (finalText + ' ' + interimText).toLowerCase();
+            if (heard.includes(this.settings.wakePhrase)) {
+                // Restart in a clean session so the wake phrase is not part of the question
+                this.listen('listening');
+                this.recognition.abort();
+            }
+            return;
+        }
+
+        this.sessionFinal = finalText;
+        this.sessionInterim = interimText;
+        this.showTranscript();
+
+        clearTimeout(this.pauseTimer);
+        if (this.currentText() && (this.mode === 'conversation' || this.settings.continuous)) {
+            this.pauseTimer = setTimeout(() => this.send(), this.settings.pauseMs);
+        }
+    }
+
+    handleError(event) {
+        if (QUIET_SPEECH_ERRORS.includes(event.error)) return;
+        console.error("Speech recognition error:", event.error);
+        this.stop();
+        if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+            this.jarvis.updateSystemStatus("Microphone blocked", "Allow microphone access to talk to JARVIS");
+        } else {
+            this.jarvis.updateSystemStatus("Voice error", "Try again or use text");
+        }
+    }
+
+    handleEnd() {
+        this.recognizing = false;
+        // Browsers end recognition sessions on their own; keep what was heard
+        this.transcript = (this.transcript + ' ' + this.sessionFinal).trim();
+        this.sessionFinal = '';
+
+        if (this.mode === 'dictation' && !this.settings.continuous) {
+            this.send();
+            return;
+        }
+        if (this.state === 'listening' || this.state === 'standby') {
+            this.startRecognition();
+        }
+    }
+
+    // Sends what was heard as a chat message. In conversation mode the answer
+    // is spoken and listening resumes once JARVIS has finished talking.
+    async send() {
+        this.clearTimers();
+        const message = this.currentText();
+        if (this.mode === 'dictation') {
+            this.stop();
+            if (message) this.jarvis.processUserMessage({ message: message });
+            return;
+        }
+        if (this.mode !== 'conversation' || !message) return;
+
+        this.setState('thinking');
+        this.resetTranscript();
+        if (this.recognizing) {
+            this.recognition.abort();
+        }
+
+        const response = await this.jarvis.processUserMessage({ message: message, speak: false });
+        if (this.mode !== 'conversation') return;
+        if (response && response.element) {
+            this.setState('speaking');
+            await this.jarvis.speaker.speak(response.element);
+            await new Promise(resolve => setTimeout(resolve, ECHO_GUARD_MS));
+        }
+        if (this.mode === 'conversation') {
+            this.listen('listening');
+        }
+    }
+
+    currentText() {
+        return [this.transcript, this.sessionFinal, this.sessionInterim].join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    showTranscript() {
+        this.jarvis.elements.messageInput.value = this.currentText();
+        this.jarvis.autoResizeTextarea();
+    }
+
+    resetTranscript() {
+        this.transcript = '';
+        this.sessionFinal = '';
+        this.sessionInterim = '';
+    }
+
+    clearTimers() {
+        clearTimeout(this.pauseTimer);
+        clearTimeout(this.idleTimer);
+    }
+
+    setState(state) {
+        this.state = state;
+        const dictating = this.mode === 'dictation';
+        this.voiceButton.textContent = dictating ? '⏹️' : '🎤';
+        this.voiceButton.classList.toggle('voice-active', dictating);
+        this.conversationButton.classList.toggle('voice-active', this.mode === 'conversation');
+        this.conversationButton.textContent = { standby: '💤', listening: '👂', thinking: '💭', speaking: '🔊' }[state] || '🗣️';
+
+        if (state === 'standby') {
+            this.jarvis.updateSystemStatus("Waiting for \"" + this.settings.wakePhrase + "\"", "Say the wake phrase to ask a question");
+        } else if (state === 'listening') {
+            this.jarvis.updateSystemStatus("Listening...", dictating ? "Voice input active" : "Conversation mode - pause to send");
+        } else if (state === 'speaking') {
+            this.jarvis.updateSystemStatus("Speaking...", "Conversation mode");
+        } else if (state === 'idle') {
+            this.jarvis.updateSystemStatus("JARVIS Ready", "Voice input ready");
+        }
+    }
+}